@@ -5,6 +5,7 @@
  * 
  * FORWARD SYNC (incident.io → ServiceNow):
  * - Listens for incident.io webhooks for incident creation and updates
+ *   (or polls incident.io where webhooks cannot reach the service)
  * - Creates new ServiceNow incidents when incidents are created in incident.io
  * - Updates existing ServiceNow incidents when incident.io incidents change
  * - Maps incident.io fields (severity, status, assignments) to ServiceNow fields
@@ -13,9 +14,23 @@
  * - Receives ServiceNow webhook notifications when incidents are updated
  * - Updates corresponding incident.io incidents with ServiceNow changes
  * - Maps ServiceNow priority/urgency/impact to incident.io severity levels
- * - Prevents sync loops with intelligent cooldown mechanisms
+ * - Prevents sync loops by recognising the integration's own changes (origin markers)
+ * - Alternatively polls ServiceNow for changes where business rules cannot be installed
+ * - Optionally declares incident.io incidents for matching records raised in ServiceNow
  * 
  * KEY FEATURES:
+ * - Durable webhook queue: deliveries are acknowledged once persisted and processed
+ *   by a background worker with retries and backoff
+ * - Replayed webhook deliveries are recognised by delivery ID and acknowledged without reprocessing
+ * - Bursts of incident.io updates for one incident are coalesced into a single sync
+ * - Dead-letter store for events that keep failing, with inspection and replay
+ * - Local link registry of incident.io ↔ ServiceNow records to avoid lookup round-trips
+ * - Pluggable state store (memory, file or Redis) for locks and write fingerprints shared by replicas
+ * - Optional attachment sync: files from incident.io updates are uploaded to ServiceNow and
+ *   ServiceNow attachments are linked back in incident.io updates
+ * - Optional timeline backfill: every incident.io update is posted as its own work note
+ * - ServiceNow work notes are read from the journal and posted as one incident.io update each
+ * - Optional scheduled reconciliation reports (and can repair) drift left by missed webhooks
  * - Configurable field mappings between systems
  * - Loop prevention to avoid infinite sync cycles  
  * - Comprehensive logging and error handling
@@ -40,6 +55,26 @@ const IncidentIOClient = require('./incident-io-client');
 const IncidentHandler = require('./incident-handler');
 const FieldMapper = require('./field-mapper');
 const ReverseSyncHandler = require('./reverse-sync-handler');
+const WebhookQueue = require('./webhook-queue');
+const DeadLetterStore = require('./dead-letter-store');
+const LinkRegistry = require('./link-registry');
+const StateStore = require('./state-store');
+const DeliveryDeduplicator = require('./delivery-deduplicator');
+const AuditLog = require('./audit-log');
+const AttachmentSync = require('./attachment-sync');
+const TimelineSync = require('./timeline-sync');
+const IncidentIOResolver = require('./incident-io-resolver');
+const JournalSync = require('./journal-sync');
+const OriginTracker = require('./origin-tracker');
+const Reconciler = require('./reconciler');
+const ServiceNowPoller = require('./servicenow-poller');
+const IncidentIOPoller = require('./incident-io-poller');
+
+// incident.io events that may be folded together within the coalescing window
+const COALESCED_EVENT_TYPES = [
+  'public_incident.incident_updated_v2',
+  'public_incident.incident_status_updated_v2'
+];
 
 class App {
   constructor() {
@@ -51,6 +86,20 @@ class App {
     this.incidentHandler = null;
     this.fieldMapper = null;
     this.reverseSyncHandler = null;
+    this.webhookQueue = null;
+    this.deadLetterStore = null;
+    this.linkRegistry = null;
+    this.stateStore = null;
+    this.deliveryDeduplicator = null;
+    this.auditLog = null;
+    this.attachmentSync = null;
+    this.timelineSync = null;
+    this.incidentIOResolver = null;
+    this.journalSync = null;
+    this.originTracker = null;
+    this.reconciler = null;
+    this.serviceNowPoller = null;
+    this.incidentIOPoller = null;
   }
 
   async initialize() {
@@ -65,12 +114,54 @@ class App {
     this.serviceNowClient = new ServiceNowClient(this.config.servicenow, this.logger);
     this.incidentIOClient = new IncidentIOClient(this.config.incident_io, this.logger);
     this.fieldMapper = new FieldMapper(this.config.field_mappings, this.logger);
+    this.linkRegistry = new LinkRegistry(this.config.links, this.logger);
+    this.stateStore = StateStore.create(this.config.state, this.logger);
+    this.deliveryDeduplicator = new DeliveryDeduplicator(this.config.deduplication, this.logger, this.stateStore);
+    this.auditLog = new AuditLog(this.config.audit, this.logger);
+    this.originTracker = new OriginTracker(this.config.origin, this.logger, this.stateStore, this.incidentIOClient);
+    this.attachmentSync = new AttachmentSync(
+      this.serviceNowClient,
+      this.incidentIOClient,
+      this.config.attachments,
+      this.logger,
+      this.linkRegistry
+    );
+    this.timelineSync = new TimelineSync(
+      this.serviceNowClient,
+      this.incidentIOClient,
+      this.config.timeline,
+      this.logger,
+      this.linkRegistry,
+      this.originTracker
+    );
+
+    this.journalSync = new JournalSync(
+      this.serviceNowClient,
+      this.incidentIOClient,
+      this.config.journal,
+      this.logger,
+      this.linkRegistry
+    );
+    this.incidentIOResolver = new IncidentIOResolver(this.incidentIOClient, this.config.lookups, this.logger);
+
+    // Shared state and optional sync features used by both handlers
+    const dependencies = {
+      linkRegistry: this.linkRegistry,
+      stateStore: this.stateStore,
+      auditLog: this.auditLog,
+      attachmentSync: this.attachmentSync,
+      timelineSync: this.timelineSync,
+      incidentIOResolver: this.incidentIOResolver,
+      journalSync: this.journalSync,
+      originTracker: this.originTracker
+    };
     this.incidentHandler = new IncidentHandler(
       this.serviceNowClient,
       this.incidentIOClient,
       this.fieldMapper,
       this.config,
-      this.logger
+      this.logger,
+      dependencies
     );
     this.reverseSyncHandler = new ReverseSyncHandler(
       this.serviceNowClient,
@@ -78,7 +169,36 @@ class App {
       this.config,
       this.logger,
       this.fieldMapper,
-      this.incidentHandler
+      this.incidentHandler,
+      dependencies
+    );
+    this.reconciler = new Reconciler(
+      this.serviceNowClient,
+      this.incidentIOClient,
+      this.fieldMapper,
+      this.config.reconciliation,
+      this.logger,
+      { incidentHandler: this.incidentHandler }
+    );
+
+    // Setup durable webhook queue
+    this.setupQueue();
+
+    // Changes found by polling are queued like business rule notifications
+    this.serviceNowPoller = new ServiceNowPoller(
+      this.serviceNowClient,
+      this.config.servicenow_polling,
+      this.logger,
+      this.linkRegistry,
+      (deliveryId, payload, metadata) => this.enqueueDelivery('servicenow', deliveryId, payload, metadata)
+    );
+    this.incidentIOPoller = new IncidentIOPoller(
+      this.incidentIOClient,
+      this.config.incident_io_polling,
+      this.logger,
+      this.linkRegistry,
+      (deliveryId, payload, metadata) =>
+        this.enqueueDelivery('incident_io', deliveryId, payload, metadata, this.getCoalescingOptions(payload))
     );
 
     // Setup Express middleware
@@ -116,6 +236,30 @@ class App {
     });
   }
 
+  setupQueue() {
+    this.deadLetterStore = new DeadLetterStore(this.config.dead_letters, this.logger);
+    this.webhookQueue = new WebhookQueue(this.config.queue, this.logger, this.deadLetterStore);
+
+    this.webhookQueue.registerHandler('incident_io', (payload) =>
+      this.routeWebhookEvent(payload)
+    );
+
+    this.webhookQueue.registerHandler('servicenow', (payload) => {
+      if (payload.operation === 'attachment') {
+        return this.reverseSyncHandler.handleServiceNowAttachment(payload.sys_id);
+      }
+      if (payload.operation === 'insert') {
+        return this.reverseSyncHandler.handleServiceNowInsert(payload.sys_id, { trigger: 'servicenow_webhook' });
+      }
+      return this.reverseSyncHandler.handleServiceNowUpdate(
+        payload.sys_id,
+        payload.updated_fields || [],
+        payload.old_values || {},
+        { trigger: payload.trigger || 'servicenow_webhook', updated_by: payload.updated_by, updated_on: payload.updated_on }
+      );
+    });
+  }
+
   setupMiddleware() {
     // Security middleware
     this.express.use(helmet());
@@ -158,7 +302,7 @@ class App {
 
   setupRoutes() {
     // Health check endpoint
-    this.express.get('/health', (req, res) => {
+    this.express.get('/health', async (req, res) => {
       res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
@@ -167,7 +311,19 @@ class App {
           servicenow_instance: this.config.servicenow.instance_url,
           incident_io_api: this.config.incident_io.api_url,
           features: this.config.features
-        }
+        },
+        queue: await this.webhookQueue.getStats().catch(error => ({ error: error.message })),
+        dead_letters: await this.deadLetterStore.getStats().catch(error => ({ error: error.message }))
+      });
+    });
+
+    // Sync statistics endpoint
+    this.express.get('/stats', async (req, res) => {
+      res.json({
+        timestamp: new Date().toISOString(),
+        deliveries: this.deliveryDeduplicator.getStats(),
+        queue: await this.webhookQueue.getStats().catch(error => ({ error: error.message })),
+        sync: await this.incidentHandler.getSyncStats()
       });
     });
 
@@ -197,10 +353,19 @@ class App {
           incident_id: payload.data?.incident?.id 
         });
 
-        // Route to appropriate handler
-        await this.routeWebhookEvent(payload);
+        // Persist the event; the queue worker routes it to the appropriate handler.
+        // Bursts of updates for one incident are folded into a single job.
+        const deliveryId = req.headers['webhook-id'];
+        const job = await this.enqueueDelivery('incident_io', deliveryId, payload, {
+          event_type: payload.event_type,
+          delivery_id: deliveryId
+        }, this.getCoalescingOptions(payload));
 
-        res.status(200).json({ success: true });
+        if (!job) {
+          return res.status(200).json({ success: true, duplicate: true });
+        }
+
+        res.status(200).json({ success: true, queued: true, job_id: job.id });
       } catch (error) {
         this.logger.error('Webhook processing error', { 
           error: error.message,
@@ -299,20 +464,27 @@ class App {
           return res.status(200).json({ success: true, message: 'Ignored non-incident update' });
         }
 
-        // Only process updates (not inserts/deletes)
-        if (payload.operation !== 'update') {
+        // Only process updates (not deletes), plus attachment notifications and
+        // inserts when the matching features are enabled
+        const isAttachment = payload.operation === 'attachment' && this.config.features.sync_attachments;
+        const isInsert = payload.operation === 'insert' && this.config.features.create_from_servicenow;
+        if (payload.operation !== 'update' && !isAttachment && !isInsert) {
           this.logger.debug('Ignoring non-update operation', { operation: payload.operation });
           return res.status(200).json({ success: true, message: 'Ignored non-update operation' });
         }
 
-        // Handle the ServiceNow update
-        await this.reverseSyncHandler.handleServiceNowUpdate(
-          payload.sys_id,
-          payload.updated_fields || [],
-          payload.old_values || {}
-        );
+        // Persist the update; the queue worker hands it to the reverse sync handler
+        const deliveryId = DeliveryDeduplicator.servicenowDeliveryId(payload);
+        const job = await this.enqueueDelivery('servicenow', deliveryId, payload, {
+          operation: payload.operation,
+          delivery_id: deliveryId
+        });
 
-        res.status(200).json({ success: true });
+        if (!job) {
+          return res.status(200).json({ success: true, duplicate: true });
+        }
+
+        res.status(200).json({ success: true, queued: true, job_id: job.id });
       } catch (error) {
         this.logger.error('ServiceNow webhook processing error', { 
           error: error.message,
@@ -350,6 +522,173 @@ class App {
         }
       });
     }
+
+    // Sync history for an incident (incident.io ID, ServiceNow number or
+    // sys_id). Always available, but only with the admin API token.
+    const requireAdmin = (req, res, next) => this.authorizeAdmin(req, res, next);
+    this.express.get('/sync/incident/:incidentId/history', requireAdmin, async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || 100;
+        const entries = await this.auditLog.history(req.params.incidentId, {
+          limit,
+          direction: req.query.direction || null
+        });
+        res.json({ incident: req.params.incidentId, count: entries.length, entries });
+      } catch (error) {
+        this.logger.error('Failed to read sync history', {
+          error: error.message,
+          incidentId: req.params.incidentId
+        });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Administrative endpoints (dead letters, links, reconciliation), all
+    // behind the admin API token
+    if (this.config.features?.enable_admin_endpoints) {
+      this.setupAdminRoutes();
+    }
+  }
+
+  setupAdminRoutes() {
+    const requireAdmin = (req, res, next) => this.authorizeAdmin(req, res, next);
+    this.express.use('/admin', requireAdmin);
+
+    this.express.get('/admin/links', async (req, res) => {
+      try {
+        const links = await this.linkRegistry.list();
+        res.json({ count: links.length, links });
+      } catch (error) {
+        this.logger.error('Failed to list incident links', { error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.express.post('/admin/links/rebuild', async (req, res) => {
+      try {
+        const count = await this.linkRegistry.rebuild(
+          this.serviceNowClient,
+          this.config.servicenow.incident_id_field
+        );
+        res.json({ success: true, links: count });
+      } catch (error) {
+        this.logger.error('Failed to rebuild incident links', { error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.express.get('/admin/reconciliation', async (req, res) => {
+      try {
+        const reports = await this.reconciler.listReports();
+        if (reports.length === 0) {
+          return res.status(404).json({ error: 'No reconciliation report yet' });
+        }
+        res.json(req.query.all ? { count: reports.length, reports } : reports[0]);
+      } catch (error) {
+        this.logger.error('Failed to read reconciliation reports', { error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.express.post('/admin/reconciliation/run', async (req, res) => {
+      try {
+        const report = await this.reconciler.run({
+          mode: req.body?.mode,
+          since: req.body?.since,
+          trigger: 'admin'
+        });
+        res.json(report);
+      } catch (error) {
+        this.logger.error('Failed to run reconciliation', { error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.express.get('/admin/dead-letters', async (req, res) => {
+      try {
+        const entries = await this.deadLetterStore.list({
+          type: req.query.type,
+          classification: req.query.classification
+        });
+        res.json({ count: entries.length, dead_letters: entries });
+      } catch (error) {
+        this.logger.error('Failed to list dead letters', { error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.express.get('/admin/dead-letters/:id', async (req, res) => {
+      try {
+        const entry = await this.deadLetterStore.get(req.params.id);
+        if (!entry) {
+          return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        res.json(entry);
+      } catch (error) {
+        this.logger.error('Failed to get dead letter', { error: error.message, id: req.params.id });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.express.post('/admin/dead-letters/replay', async (req, res) => {
+      try {
+        const jobs = await this.deadLetterStore.replayAll(this.webhookQueue, {
+          type: req.body?.type,
+          classification: req.body?.classification
+        });
+        res.json({ success: true, replayed: jobs.length, job_ids: jobs.map(job => job.id) });
+      } catch (error) {
+        this.logger.error('Failed to replay dead letters', { error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.express.post('/admin/dead-letters/:id/replay', async (req, res) => {
+      try {
+        const job = await this.deadLetterStore.replay(req.params.id, this.webhookQueue);
+        if (!job) {
+          return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        res.json({ success: true, job_id: job.id });
+      } catch (error) {
+        this.logger.error('Failed to replay dead letter', { error: error.message, id: req.params.id });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.express.delete('/admin/dead-letters/:id', async (req, res) => {
+      try {
+        const removed = await this.deadLetterStore.remove(req.params.id);
+        if (!removed) {
+          return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        res.json({ success: true });
+      } catch (error) {
+        this.logger.error('Failed to discard dead letter', { error: error.message, id: req.params.id });
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Only let requests carrying the admin API token (Authorization: Bearer)
+   * through. Without a configured token every request is refused.
+   */
+  authorizeAdmin(req, res, next) {
+    const token = this.config.admin?.api_token;
+    if (!token || token.includes('${')) {
+      this.logger.warn('Rejected admin request, no admin API token is configured', { path: req.path, ip: req.ip });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const expected = Buffer.from(`Bearer ${token}`);
+    const provided = Buffer.from(req.get('Authorization') || '');
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      this.logger.warn('Rejected unauthorized admin request', { path: req.path, ip: req.ip });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
   }
 
   verifyWebhookSignature(req) {
@@ -382,6 +721,58 @@ class App {
     );
   }
 
+  /**
+   * Queue a webhook delivery unless it is a replay of one already received.
+   * Resolves to the queued job, or null for a duplicate.
+   */
+  async enqueueDelivery(source, deliveryId, payload, metadata, options = {}) {
+    if (!(await this.deliveryDeduplicator.claim(source, deliveryId))) {
+      return null;
+    }
+
+    try {
+      return await this.webhookQueue.enqueue(source, payload, metadata, {
+        orderKey: this.getOrderKey(source, payload),
+        ...options
+      });
+    } catch (error) {
+      // Let the sender's retry through since this delivery was never persisted
+      await this.deliveryDeduplicator.release(source, deliveryId);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue ordering key of a delivery: the incident or record it is about, so
+   * its events are processed in order even across retries
+   */
+  getOrderKey(source, payload) {
+    const id = source === 'incident_io'
+      ? this.incidentHandler.getWebhookIncident(payload)?.id
+      : payload?.sys_id;
+    return id ? `${source}:${id}` : null;
+  }
+
+  /**
+   * Queue coalescing options for an incident.io event, or {} if it should not
+   * be coalesced
+   */
+  getCoalescingOptions(payload) {
+    const { window_ms: windowMs, max_wait_ms: maxWaitMs } = this.config.coalescing;
+    const incident = this.incidentHandler.getWebhookIncident(payload);
+
+    if (!windowMs || !incident?.id || !COALESCED_EVENT_TYPES.includes(payload.event_type)) {
+      return {};
+    }
+
+    return {
+      coalesceKey: `incident_io:${incident.id}`,
+      windowMs,
+      maxWaitMs: Math.max(maxWaitMs, windowMs),
+      merge: (existing, incoming) => this.incidentHandler.coalesceWebhookPayloads(existing, incoming)
+    };
+  }
+
   async routeWebhookEvent(payload) {
     const eventType = payload.event_type;
     
@@ -462,21 +853,8 @@ class App {
     });
 
     // Graceful shutdown handling
-    process.on('SIGTERM', () => {
-      this.logger.info('SIGTERM received, shutting down gracefully...');
-      this.server?.close(() => {
-        this.logger.info('Server closed');
-        process.exit(0);
-      });
-    });
-
-    process.on('SIGINT', () => {
-      this.logger.info('SIGINT received, shutting down gracefully...');
-      this.server?.close(() => {
-        this.logger.info('Server closed');
-        process.exit(0);
-      });
-    });
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
 
     process.on('unhandledRejection', (reason, promise) => {
       this.logger.error('Unhandled promise rejection', { reason, promise });
@@ -488,8 +866,42 @@ class App {
     });
   }
 
+  /**
+   * Stop the background loops, wait for in-flight queue jobs, then close the
+   * state store and HTTP server and exit. Safe to call more than once.
+   */
+  shutdown(signal) {
+    if (!this.shuttingDown) {
+      this.shuttingDown = (async () => {
+        this.logger.info(`${signal} received, shutting down gracefully...`);
+        this.reconciler?.stop();
+        this.serviceNowPoller?.stop();
+        this.incidentIOPoller?.stop();
+
+        try {
+          await this.webhookQueue?.stop();
+          await this.stateStore?.close();
+        } catch (error) {
+          this.logger.error('Error during shutdown', { error: error.message });
+        }
+
+        if (!this.server) {
+          process.exit(0);
+        }
+        this.server.close(() => {
+          this.logger.info('Server closed');
+          process.exit(0);
+        });
+      })();
+    }
+    return this.shuttingDown;
+  }
+
   async start() {
     await this.initialize();
+
+    // Fail fast if reverse mappings name a status or severity that does not exist
+    await this.reverseSyncHandler.validateIncidentIONames();
     
     const port = process.env.PORT || this.config.webhook.port;
     if (!port) {
@@ -499,6 +911,20 @@ class App {
       this.logger.info(`Server started on port ${port}`);
     });
 
+    await this.webhookQueue.start();
+
+    if (this.config.features.reconciliation) {
+      this.reconciler.start();
+    }
+
+    if (this.config.features.servicenow_polling) {
+      this.serviceNowPoller.start();
+    }
+
+    if (this.config.features.incident_io_polling) {
+      this.incidentIOPoller.start();
+    }
+
     return this.server;
   }
 }
@@ -0,0 +1,309 @@
+/**
+ * Attachment Synchronization
+ *
+ * Enabled with features.sync_attachments.
+ *
+ * FORWARD (incident.io → ServiceNow):
+ * Files and images linked from incident.io updates (markdown links and images)
+ * are downloaded and uploaded to the ServiceNow record via the Attachment API.
+ *
+ * REVERSE (ServiceNow → incident.io):
+ * ServiceNow has no file upload counterpart in incident.io, so attachments
+ * added to a linked record are posted to the incident as an update listing a
+ * link to each file.
+ *
+ * SAFEGUARDS (config.attachments):
+ * - allowed_hosts: files are only downloaded from incident.io and these hosts
+ *   ("*.example.com" matches subdomains); redirects are followed one hop at a
+ *   time and each target host is checked again
+ * - max_size_bytes: larger files are skipped
+ * - allowed_mime_types: only these content types are transferred
+ * - files are deduplicated by SHA-256 checksum, so the same file linked from
+ *   several updates is only uploaded once
+ *
+ * Progress is kept per incident in the link registry ("attachments" section),
+ * so every source URL is downloaded at most once and every ServiceNow
+ * attachment is announced at most once.
+ */
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+
+// Markdown links and images: [name](url) / ![alt](url)
+const MARKDOWN_LINK_PATTERN = /(!?)\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)/g;
+
+const MAX_REDIRECTS = 5;
+
+class AttachmentSync {
+  constructor(serviceNowClient, incidentIOClient, config, logger, linkRegistry) {
+    this.serviceNowClient = serviceNowClient;
+    this.incidentIOClient = incidentIOClient;
+    this.config = config;
+    this.logger = logger;
+    this.linkRegistry = linkRegistry;
+    this.maxSizeBytes = config.max_size_bytes || 10 * 1024 * 1024;
+    this.allowedMimeTypes = config.allowed_mime_types || [];
+    this.allowedHosts = (config.allowed_hosts || []).map(host => host.toLowerCase());
+  }
+
+  /**
+   * Find files and images referenced in an incident.io update message.
+   * Images are always included; plain links only when they point at a file.
+   */
+  static extractAttachmentRefs(message) {
+    const refs = [];
+    if (!message) {
+      return refs;
+    }
+
+    for (const [, image, label, url] of message.matchAll(MARKDOWN_LINK_PATTERN)) {
+      let fileName;
+      try {
+        fileName = decodeURIComponent(path.basename(new URL(url).pathname));
+      } catch (error) {
+        continue; // Not a usable URL
+      }
+      if (image || path.extname(fileName)) {
+        refs.push({ url, file_name: fileName || label || 'attachment' });
+      }
+    }
+    return refs;
+  }
+
+  /**
+   * Check a file against the MIME allowlist. Parameters such as charset are
+   * ignored and "image/*" style wildcards are supported.
+   */
+  isAllowedType(contentType) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    return this.allowedMimeTypes.some(allowed =>
+      allowed === type || (allowed.endsWith('/*') && type.startsWith(allowed.slice(0, -1)))
+    );
+  }
+
+  /**
+   * Check a URL against the download host allowlist. incident.io and its
+   * subdomains are always allowed.
+   */
+  isAllowedHost(url) {
+    if (this.isIncidentIOUrl(url)) {
+      return true;
+    }
+    const hostname = new URL(url).hostname.toLowerCase();
+    return this.allowedHosts.some(allowed =>
+      allowed === hostname || (allowed.startsWith('*.') && hostname.endsWith(allowed.slice(1)))
+    );
+  }
+
+  /**
+   * Upload files referenced in the incident's updates to its ServiceNow record
+   */
+  async syncToServiceNow(incidentId, sysId) {
+    const results = { uploaded: 0, duplicate: 0, rejected: 0, failed: 0 };
+    const link = await this.linkRegistry.get(incidentId);
+    if (!link) {
+      return results;
+    }
+
+    const state = link.attachments || {};
+    const sources = state.sources || {};
+    const checksums = new Set(state.checksums || []);
+
+    const updates = await this.incidentIOClient.getIncidentUpdates(incidentId);
+    const refs = updates
+      .flatMap(update => AttachmentSync.extractAttachmentRefs(update.message))
+      .filter(ref => !sources[ref.url] && !this.isServiceNowUrl(ref.url));
+
+    for (const ref of refs) {
+      let outcome;
+      try {
+        outcome = await this.transferToServiceNow(ref, sysId, checksums);
+      } catch (error) {
+        // Not recorded, so the file is tried again on the next sync
+        results.failed++;
+        this.logger.warn('Failed to sync attachment to ServiceNow', {
+          incident_id: incidentId,
+          servicenow_sys_id: sysId,
+          url: ref.url,
+          error: error.message
+        });
+        continue;
+      }
+
+      results[outcome.result]++;
+      if (outcome.checksum) {
+        checksums.add(outcome.checksum);
+      }
+
+      await this.linkRegistry.updateState(incidentId, 'attachments', (attachments) => {
+        attachments.sources = { ...attachments.sources, [ref.url]: outcome };
+        attachments.checksums = [...new Set([...(attachments.checksums || []), ...checksums])];
+        if (outcome.attachment_sys_id) {
+          attachments.uploaded_ids = [...(attachments.uploaded_ids || []), outcome.attachment_sys_id];
+        }
+      });
+    }
+
+    if (refs.length > 0) {
+      this.logger.info('Attachment sync to ServiceNow completed', {
+        incident_id: incidentId,
+        servicenow_sys_id: sysId,
+        ...results
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Download one file and upload it unless it is too large, not allowed or
+   * already present on the record
+   */
+  async transferToServiceNow(ref, sysId, checksums) {
+    if (!this.isAllowedHost(ref.url)) {
+      this.logger.info('Skipping attachment from host not in allowed_hosts', { url: ref.url });
+      return { result: 'rejected', reason: 'host_not_allowed', recorded_at: new Date().toISOString() };
+    }
+
+    const response = await this.download(ref.url).catch((error) => {
+      if (error.message?.includes('maxContentLength')) {
+        return null;
+      }
+      throw error;
+    });
+
+    const recordedAt = new Date().toISOString();
+    if (response?.rejected) {
+      this.logger.info('Skipping attachment redirected to host not in allowed_hosts', { url: ref.url, location: response.location });
+      return { result: 'rejected', reason: 'host_not_allowed', recorded_at: recordedAt };
+    }
+    if (!response) {
+      this.logger.info('Skipping attachment over size limit', { url: ref.url, max_size_bytes: this.maxSizeBytes });
+      return { result: 'rejected', reason: 'too_large', recorded_at: recordedAt };
+    }
+
+    const content = Buffer.from(response.data);
+    const contentType = (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim();
+    if (!this.isAllowedType(contentType)) {
+      this.logger.info('Skipping attachment with disallowed type', { url: ref.url, content_type: contentType });
+      return { result: 'rejected', reason: 'type_not_allowed', content_type: contentType, recorded_at: recordedAt };
+    }
+
+    const checksum = crypto.createHash('sha256').update(content).digest('hex');
+    if (checksums.has(checksum)) {
+      return { result: 'duplicate', checksum, recorded_at: recordedAt };
+    }
+
+    const attachment = await this.serviceNowClient.uploadAttachment(sysId, ref.file_name, contentType, content);
+    return {
+      result: 'uploaded',
+      checksum,
+      attachment_sys_id: attachment?.sys_id || null,
+      recorded_at: recordedAt
+    };
+  }
+
+  /**
+   * Download a file without letting axios follow redirects, so every redirect
+   * target is checked against the host allowlist and the incident.io API key
+   * is only ever sent to incident.io over HTTPS. Returns { rejected, location } when a
+   * redirect leaves the allowed hosts.
+   */
+  async download(url) {
+    let current = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const response = await axios.get(current, {
+        responseType: 'arraybuffer',
+        timeout: this.config.download_timeout_ms || 30000,
+        maxContentLength: this.maxSizeBytes,
+        maxRedirects: 0,
+        validateStatus: status => (status >= 200 && status < 300) || [301, 302, 303, 307, 308].includes(status),
+        headers: this.getDownloadHeaders(current)
+      });
+
+      if (response.status < 300) {
+        return response;
+      }
+
+      if (!response.headers.location) {
+        throw new Error(`Redirect without a location downloading ${current}`);
+      }
+      const location = new URL(response.headers.location, current).toString();
+      if (!/^https?:$/.test(new URL(location).protocol) || !this.isAllowedHost(location)) {
+        return { rejected: true, location };
+      }
+      current = location;
+    }
+    throw new Error(`Too many redirects downloading ${url}`);
+  }
+
+  /**
+   * Authenticate downloads from incident.io. Checked for every redirect hop,
+   * so the API key never leaves HTTPS or incident.io.
+   */
+  getDownloadHeaders(url) {
+    if (new URL(url).protocol !== 'https:' || !this.isIncidentIOUrl(url)) {
+      return {};
+    }
+    return { Authorization: `Bearer ${this.incidentIOClient.config.api_key}` };
+  }
+
+  /**
+   * Announce attachments added to a ServiceNow record in an incident.io update
+   */
+  async syncToIncidentIO(sysId) {
+    const link = await this.linkRegistry.findBySysId(sysId);
+    if (!link) {
+      this.logger.debug('ServiceNow record is not linked, skipping attachment sync', { sys_id: sysId });
+      return { posted: 0 };
+    }
+
+    const state = link.attachments || {};
+    const known = new Set([...(state.uploaded_ids || []), ...(state.posted_ids || [])]);
+    const checksums = new Set(state.checksums || []);
+
+    const attachments = (await this.serviceNowClient.listAttachments(sysId)).filter(attachment =>
+      !known.has(attachment.sys_id) &&
+      !(attachment.hash && checksums.has(attachment.hash)) &&
+      this.isAllowedType(attachment.content_type) &&
+      parseInt(attachment.size_bytes || '0') <= this.maxSizeBytes
+    );
+
+    if (attachments.length === 0) {
+      return { posted: 0 };
+    }
+
+    const lines = attachments.map(attachment =>
+      `- [${attachment.file_name}](${this.serviceNowClient.getAttachmentUrl(attachment.sys_id)})`
+    );
+    const result = await this.incidentIOClient.addIncidentUpdate(
+      link.incident_io_id,
+      `Attachments added in ServiceNow ${link.number || sysId}:\n${lines.join('\n')}`
+    );
+
+    await this.linkRegistry.updateState(link.incident_io_id, 'attachments', (section) => {
+      section.posted_ids = [...(section.posted_ids || []), ...attachments.map(attachment => attachment.sys_id)];
+    });
+
+    this.logger.info('Posted ServiceNow attachments to incident.io', {
+      sys_id: sysId,
+      incident_io_id: link.incident_io_id,
+      count: attachments.length
+    });
+    return {
+      posted: attachments.length,
+      incident_io_id: link.incident_io_id,
+      update_id: result?.update?.id || null
+    };
+  }
+
+  isServiceNowUrl(url) {
+    return url.startsWith(this.serviceNowClient.config.instance_url);
+  }
+
+  isIncidentIOUrl(url) {
+    const { hostname } = new URL(url);
+    return hostname === 'incident.io' || hostname.endsWith('.incident.io');
+  }
+}
+
+module.exports = AttachmentSync;
@@ -0,0 +1,163 @@
+jest.mock('axios');
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const AttachmentSync = require('./attachment-sync');
+const LinkRegistry = require('./link-registry');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const file = (content, contentType = 'image/png') => ({
+  status: 200,
+  headers: { 'content-type': contentType },
+  data: Buffer.from(content)
+});
+
+const redirect = (location, status = 302) => ({ status, headers: { location }, data: Buffer.alloc(0) });
+
+describe('AttachmentSync', () => {
+  let dir;
+  let linkRegistry;
+  let serviceNowClient;
+  let incidentIOClient;
+  let updates;
+  let responses;
+  let sync;
+
+  const headersFor = (url) => axios.get.mock.calls.find(([requested]) => requested === url)?.[1].headers;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'attachment-sync-'));
+    linkRegistry = new LinkRegistry({ file: path.join(dir, 'links.json'), instance: 'dev' }, logger);
+    await linkRegistry.upsert('01A', { sys_id: 'sys1', number: 'INC0010001' });
+
+    serviceNowClient = {
+      config: { instance_url: 'https://dev.service-now.com' },
+      uploadAttachment: jest.fn(async () => ({ sys_id: 'att1' }))
+    };
+    incidentIOClient = {
+      config: { api_key: 'inc_secret' },
+      getIncidentUpdates: jest.fn(async () => updates)
+    };
+    updates = [];
+    responses = {};
+    axios.get.mockReset();
+    axios.get.mockImplementation(async (url) => {
+      const response = responses[url];
+      if (!response) {
+        throw new Error(`Unexpected download of ${url}`);
+      }
+      if (response instanceof Error) {
+        throw response;
+      }
+      return response;
+    });
+
+    sync = new AttachmentSync(serviceNowClient, incidentIOClient, {
+      allowed_hosts: ['files.example.com', '*.cdn.example.net'],
+      allowed_mime_types: ['image/*', 'application/pdf'],
+      max_size_bytes: 1024
+    }, logger, linkRegistry);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test.each([
+    ['https://app.incident.io/files/a.png', true],
+    ['https://incident.io/a.png', true],
+    ['https://files.example.com/a.png', true],
+    ['https://eu.cdn.example.net/a.png', true],
+    ['https://cdn.example.net/a.png', false],
+    ['https://evilincident.io/a.png', false],
+    ['https://incident.io.attacker.test/a.png', false],
+    ['http://169.254.169.254/latest/meta-data', false]
+  ])('allowed host check for %s is %s', (url, allowed) => {
+    expect(sync.isAllowedHost(url)).toBe(allowed);
+  });
+
+  test('sends the API key only to incident.io over HTTPS', () => {
+    expect(sync.getDownloadHeaders('https://app.incident.io/files/a.png')).toEqual({ Authorization: 'Bearer inc_secret' });
+    expect(sync.getDownloadHeaders('http://app.incident.io/files/a.png')).toEqual({});
+    expect(sync.getDownloadHeaders('https://files.example.com/a.png')).toEqual({});
+  });
+
+  test('checks the API key again on every redirect hop', async () => {
+    responses['https://app.incident.io/files/a.png'] = redirect('http://app.incident.io/files/a.png');
+    responses['http://app.incident.io/files/a.png'] = redirect('https://files.example.com/a.png', 307);
+    responses['https://files.example.com/a.png'] = file('png');
+
+    const response = await sync.download('https://app.incident.io/files/a.png');
+
+    expect(response.data.toString()).toBe('png');
+    expect(headersFor('https://app.incident.io/files/a.png')).toEqual({ Authorization: 'Bearer inc_secret' });
+    expect(headersFor('http://app.incident.io/files/a.png')).toEqual({});
+    expect(headersFor('https://files.example.com/a.png')).toEqual({});
+    expect(axios.get.mock.calls.every(([, options]) => options.maxRedirects === 0)).toBe(true);
+  });
+
+  test.each([
+    ['a host outside the allowlist', 'https://internal.example.org/a.png'],
+    ['an FTP URL', 'ftp://files.example.com/a.png'],
+    ['a file URL', 'file:///etc/passwd']
+  ])('does not follow a redirect to %s', async (label, location) => {
+    responses['https://app.incident.io/files/a.png'] = redirect(location);
+
+    expect(await sync.download('https://app.incident.io/files/a.png')).toEqual({ rejected: true, location });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after too many redirects', async () => {
+    responses['https://files.example.com/loop.png'] = redirect('/loop.png');
+
+    await expect(sync.download('https://files.example.com/loop.png')).rejects.toThrow('Too many redirects');
+    expect(axios.get).toHaveBeenCalledTimes(6);
+  });
+
+  test('uploads each file once and deduplicates by checksum', async () => {
+    updates = [
+      { id: 'u1', message: 'Graph: ![latency](https://app.incident.io/files/latency.png)' },
+      { id: 'u2', message: 'Same graph [again](https://files.example.com/copy.png) and [notes](https://internal.example.org/notes.pdf)' }
+    ];
+    responses['https://app.incident.io/files/latency.png'] = file('same bytes');
+    responses['https://files.example.com/copy.png'] = file('same bytes');
+
+    expect(await sync.syncToServiceNow('01A', 'sys1')).toEqual({ uploaded: 1, duplicate: 1, rejected: 1, failed: 0 });
+    expect(serviceNowClient.uploadAttachment).toHaveBeenCalledTimes(1);
+    expect(serviceNowClient.uploadAttachment).toHaveBeenCalledWith('sys1', 'latency.png', 'image/png', Buffer.from('same bytes'));
+
+    const { attachments } = await linkRegistry.get('01A');
+    expect(attachments.sources['https://internal.example.org/notes.pdf']).toMatchObject({ result: 'rejected', reason: 'host_not_allowed' });
+    expect(attachments.uploaded_ids).toEqual(['att1']);
+
+    expect(await sync.syncToServiceNow('01A', 'sys1')).toEqual({ uploaded: 0, duplicate: 0, rejected: 0, failed: 0 });
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('skips files over the size limit or of a disallowed type', async () => {
+    updates = [{ id: 'u1', message: '[dump](https://files.example.com/dump.zip) [big](https://files.example.com/big.png)' }];
+    responses['https://files.example.com/dump.zip'] = file('zip', 'application/zip');
+    responses['https://files.example.com/big.png'] = new Error('maxContentLength size of 1024 exceeded');
+
+    expect(await sync.syncToServiceNow('01A', 'sys1')).toEqual({ uploaded: 0, duplicate: 0, rejected: 2, failed: 0 });
+    expect(axios.get.mock.calls[0][1].maxContentLength).toBe(1024);
+
+    const { sources } = (await linkRegistry.get('01A')).attachments;
+    expect(sources['https://files.example.com/dump.zip']).toMatchObject({ reason: 'type_not_allowed', content_type: 'application/zip' });
+    expect(sources['https://files.example.com/big.png']).toMatchObject({ reason: 'too_large' });
+    expect(serviceNowClient.uploadAttachment).not.toHaveBeenCalled();
+  });
+
+  test('retries downloads that failed on the next sync', async () => {
+    updates = [{ id: 'u1', message: '![graph](https://files.example.com/graph.png)' }];
+    responses['https://files.example.com/graph.png'] = new Error('socket hang up');
+
+    expect(await sync.syncToServiceNow('01A', 'sys1')).toMatchObject({ failed: 1 });
+
+    responses['https://files.example.com/graph.png'] = file('png');
+    expect(await sync.syncToServiceNow('01A', 'sys1')).toMatchObject({ uploaded: 1, failed: 0 });
+  });
+});
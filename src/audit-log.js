@@ -0,0 +1,177 @@
+/**
+ * Sync Audit Log
+ *
+ * Append-only record of every forward (incident.io → ServiceNow) and reverse
+ * (ServiceNow → incident.io) sync, one JSON document per line. Each entry holds
+ * the direction, what triggered the sync, the records involved, the fields that
+ * were written with their before/after values, the outcome and the duration.
+ *
+ * ENTRY SHAPE:
+ * {
+ *   id, timestamp, direction: 'forward' | 'reverse', operation, trigger,
+ *   incident_io_id, sys_id, number,
+ *   outcome: 'success' | 'skipped' | 'failed', reason, error,
+ *   fields: { [field]: { before, after } },
+ *   duration_ms
+ * }
+ *
+ * Writing an entry never fails the sync it describes; errors are only logged.
+ *
+ * RETENTION:
+ * Once the file reaches max_file_bytes it is rotated to "<file>.1" (older files
+ * move up to "<file>.2" and so on) and a new file is started. Only max_files
+ * files are kept, so the log and the cost of reading history stay bounded.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class AuditLog {
+  constructor(config = {}, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.enabled = config.enabled !== false;
+    this.filePath = config.file;
+    this.maxFileBytes = config.max_file_bytes || 10 * 1024 * 1024;
+    this.maxFiles = Math.max(config.max_files || 5, 1);
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Append an entry to the log
+   */
+  async record(entry) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...entry
+    };
+
+    // Serialize appends so concurrent syncs never interleave lines
+    const run = this.pending.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await this.rotateIfFull();
+      await fs.appendFile(this.filePath, JSON.stringify(record) + '\n');
+    });
+    this.pending = run.catch(() => {});
+
+    try {
+      await run;
+      return record;
+    } catch (error) {
+      this.logger.warn('Failed to write sync audit entry', {
+        incident_io_id: entry.incident_io_id,
+        sys_id: entry.sys_id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Start a new file once the current one reaches max_file_bytes, dropping the
+   * oldest rotated file beyond max_files
+   */
+  async rotateIfFull() {
+    let size;
+    try {
+      ({ size } = await fs.stat(this.filePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (size < this.maxFileBytes) {
+      return;
+    }
+
+    await fs.rm(this.rotatedPath(this.maxFiles - 1), { force: true });
+    for (let index = this.maxFiles - 2; index >= 0; index--) {
+      await fs.rename(this.rotatedPath(index), this.rotatedPath(index + 1)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  }
+
+  /**
+   * Path of a rotated file; index 0 is the current file
+   */
+  rotatedPath(index) {
+    return index === 0 ? this.filePath : `${this.filePath}.${index}`;
+  }
+
+  /**
+   * Read all entries still kept, in the order they were written
+   */
+  async readAll() {
+    const entries = [];
+    for (let index = this.maxFiles - 1; index >= 0; index--) {
+      entries.push(...await this.readFile(this.rotatedPath(index)));
+    }
+    return entries;
+  }
+
+  /**
+   * Read the entries of one log file
+   */
+  async readFile(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A torn last line after a crash should not hide the rest of the history
+        this.logger.warn('Skipping unreadable audit entry', { error: error.message });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Sync history for one incident, matched by incident.io ID, ServiceNow
+   * number or ServiceNow sys_id. Newest entries first.
+   */
+  async history(identifier, { limit = 100, direction = null } = {}) {
+    const entries = await this.readAll();
+
+    return entries
+      .filter(entry =>
+        entry.incident_io_id === identifier ||
+        entry.sys_id === identifier ||
+        entry.number === identifier
+      )
+      .filter(entry => !direction || entry.direction === direction)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Build the before/after field changes for an entry
+   */
+  static fieldChanges(after = {}, before = {}) {
+    const changes = {};
+    for (const [field, value] of Object.entries(after)) {
+      changes[field] = {
+        before: before?.[field] ?? null,
+        after: value
+      };
+    }
+    return changes;
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AuditLog = require('./audit-log');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('AuditLog', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-log-'));
+    file = path.join(dir, 'audit', 'audit.jsonl');
+    logger.warn.mockClear();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('appends entries with an ID and timestamp, one line each', async () => {
+    const auditLog = new AuditLog({ file }, logger);
+
+    const entry = await auditLog.record({ direction: 'forward', incident_io_id: '01A', outcome: 'success' });
+    await Promise.all([
+      auditLog.record({ direction: 'reverse', incident_io_id: '01A', outcome: 'success' }),
+      auditLog.record({ direction: 'forward', incident_io_id: '01B', outcome: 'failed' })
+    ]);
+
+    expect(entry).toEqual(expect.objectContaining({ id: expect.any(String), timestamp: expect.any(String), incident_io_id: '01A' }));
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).direction)).toEqual(['forward', 'reverse', 'forward']);
+  });
+
+  test('finds an incident by incident.io ID, number or sys_id, newest first', async () => {
+    const auditLog = new AuditLog({ file }, logger);
+    await auditLog.record({ direction: 'forward', operation: 'create', incident_io_id: '01A', sys_id: 'sys1', number: 'INC001' });
+    await auditLog.record({ direction: 'reverse', operation: 'update', sys_id: 'sys1', number: 'INC001' });
+    await auditLog.record({ direction: 'forward', operation: 'update', incident_io_id: '01B' });
+    await auditLog.record({ direction: 'forward', operation: 'update', incident_io_id: '01A' });
+
+    const operations = entries => entries.map(entry => `${entry.direction}:${entry.operation}`);
+    expect(operations(await auditLog.history('01A'))).toEqual(['forward:update', 'forward:create']);
+    expect(operations(await auditLog.history('INC001'))).toEqual(['reverse:update', 'forward:create']);
+    expect(operations(await auditLog.history('sys1', { direction: 'reverse' }))).toEqual(['reverse:update']);
+    expect(operations(await auditLog.history('01A', { limit: 1 }))).toEqual(['forward:update']);
+    expect(await auditLog.history('01C')).toEqual([]);
+  });
+
+  test('rotates full files and keeps max_files of them', async () => {
+    const auditLog = new AuditLog({ file, max_file_bytes: 1, max_files: 3 }, logger);
+    for (const id of ['01A', '01B', '01C', '01D']) {
+      await auditLog.record({ incident_io_id: id });
+    }
+
+    expect((await fs.readdir(path.dirname(file))).sort()).toEqual(['audit.jsonl', 'audit.jsonl.1', 'audit.jsonl.2']);
+    expect((await auditLog.readAll()).map(entry => entry.incident_io_id)).toEqual(['01B', '01C', '01D']);
+  });
+
+  test('skips a torn line without hiding the rest', async () => {
+    const auditLog = new AuditLog({ file }, logger);
+    await auditLog.record({ incident_io_id: '01A' });
+    await fs.appendFile(file, '{"incident_io_id":"01A","dire');
+
+    expect(await auditLog.history('01A')).toHaveLength(1);
+    expect(logger.warn).toHaveBeenCalledWith('Skipping unreadable audit entry', { error: expect.any(String) });
+  });
+
+  test('never fails the sync when an entry cannot be written', async () => {
+    await fs.writeFile(path.join(dir, 'audit'), 'not a directory');
+    const auditLog = new AuditLog({ file }, logger);
+
+    expect(await auditLog.record({ incident_io_id: '01A', sys_id: 'sys1' })).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith('Failed to write sync audit entry', {
+      incident_io_id: '01A',
+      sys_id: 'sys1',
+      error: expect.any(String)
+    });
+    // Later writes are not blocked by the failed one
+    expect(await auditLog.record({ incident_io_id: '01B' })).toBeNull();
+  });
+
+  test('writes nothing when disabled', async () => {
+    const auditLog = new AuditLog({ file, enabled: false }, logger);
+
+    expect(await auditLog.record({ incident_io_id: '01A' })).toBeNull();
+    await expect(fs.access(file)).rejects.toThrow();
+  });
+
+  test('builds before/after field changes', () => {
+    expect(AuditLog.fieldChanges({ state: '2', impact: '1' }, { state: '1' })).toEqual({
+      state: { before: '1', after: '2' },
+      impact: { before: null, after: '1' }
+    });
+    expect(AuditLog.fieldChanges({ state: '2' }, null)).toEqual({ state: { before: null, after: '2' } });
+  });
+});
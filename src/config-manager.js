@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
+const FieldMapper = require('./field-mapper');
+const ExpressionLanguage = require('./expression-language');
 
 class ConfigManager {
   constructor(configDir = 'config') {
@@ -177,6 +179,25 @@ class ConfigManager {
       }
     }
 
+    // Validate admin endpoint authentication
+    if (this.config.features?.enable_admin_endpoints && (!this.config.admin?.api_token || this.config.admin.api_token.includes('${'))) {
+      errors.push('Admin API token is required when admin endpoints are enabled (check ADMIN_API_TOKEN environment variable)');
+    }
+
+    // Validate state store configuration
+    if (this.config.state?.backend === 'redis' && (!this.config.state.redis_url || this.config.state.redis_url.includes('${'))) {
+      errors.push('Redis URL is required when the redis state backend is selected (check REDIS_URL environment variable)');
+    }
+
+    // Validate the ServiceNow insert condition expression
+    const insertCondition = this.config.servicenow_inserts?.condition;
+    if (insertCondition) {
+      const conditionError = ExpressionLanguage.check(insertCondition);
+      if (conditionError) {
+        errors.push(`servicenow_inserts.condition: ${conditionError}`);
+      }
+    }
+
     // Validate field mappings
     if (!this.fieldMappings) {
       errors.push('Field mappings configuration is missing');
@@ -199,19 +220,20 @@ class ConfigManager {
     // Validate incident creation mappings
     if (this.fieldMappings.incident_creation) {
       for (const [field, mapping] of Object.entries(this.fieldMappings.incident_creation)) {
-        const fieldErrors = this.validateFieldMapping(field, mapping, 'creation');
-        errors.push(...fieldErrors);
+        errors.push(...FieldMapper.validateFieldMapping(`creation mapping ${field}`, mapping, this.fieldMappings.timezone));
       }
     }
 
     // Validate incident update mappings
     if (this.fieldMappings.incident_updates) {
       for (const [field, mapping] of Object.entries(this.fieldMappings.incident_updates)) {
-        const fieldErrors = this.validateFieldMapping(field, mapping, 'update');
-        errors.push(...fieldErrors);
+        errors.push(...FieldMapper.validateFieldMapping(`update mapping ${field}`, mapping, this.fieldMappings.timezone));
       }
     }
 
+    errors.push(...FieldMapper.validateOwnership(this.fieldMappings.field_ownership));
+    errors.push(...FieldMapper.validateExpressions(this.fieldMappings));
+
     // Validate custom mappings
     if (this.fieldMappings.custom_mappings) {
       for (const [field, mapping] of Object.entries(this.fieldMappings.custom_mappings)) {
@@ -224,63 +246,6 @@ class ConfigManager {
     return errors;
   }
 
-  /**
-   * Validate individual field mapping
-   */
-  validateFieldMapping(fieldName, mapping, context) {
-    const errors = [];
-
-    // Check required properties
-    if (!mapping.type) {
-      errors.push(`${context} mapping ${fieldName}: type is required`);
-      return errors;
-    }
-
-    // Validate based on type
-    switch (mapping.type) {
-      case 'text':
-        if (!mapping.source) {
-          errors.push(`${context} mapping ${fieldName}: source is required for text type`);
-        }
-        break;
-
-      case 'user_lookup':
-        if (!mapping.source) {
-          errors.push(`${context} mapping ${fieldName}: source is required for user_lookup type`);
-        }
-        break;
-
-      case 'reference_lookup':
-        if (!mapping.source) {
-          errors.push(`${context} mapping ${fieldName}: source is required for reference_lookup type`);
-        }
-        if (!mapping.lookup_table) {
-          errors.push(`${context} mapping ${fieldName}: lookup_table is required for reference_lookup type`);
-        }
-        break;
-
-      case 'choice_mapping':
-        if (!mapping.source) {
-          errors.push(`${context} mapping ${fieldName}: source is required for choice_mapping type`);
-        }
-        if (!mapping.mappings || typeof mapping.mappings !== 'object') {
-          errors.push(`${context} mapping ${fieldName}: mappings object is required for choice_mapping type`);
-        }
-        break;
-
-      case 'expression':
-        if (!mapping.expression) {
-          errors.push(`${context} mapping ${fieldName}: expression is required for expression type`);
-        }
-        break;
-
-      default:
-        errors.push(`${context} mapping ${fieldName}: unknown type '${mapping.type}'`);
-    }
-
-    return errors;
-  }
-
   /**
    * Get full configuration object
    */
@@ -327,7 +292,13 @@ class ConfigManager {
       create_incidents: true,
       update_incidents: true,
       deduplicate_work_notes: true,
-      sync_attachments: false
+      backfill_timeline: false,
+      sync_attachments: false,
+      create_from_servicenow: false,
+      journal_work_notes: false,
+      reconciliation: false,
+      servicenow_polling: false,
+      incident_io_polling: false
     };
   }
 
@@ -342,6 +313,235 @@ class ConfigManager {
     };
   }
 
+  /**
+   * Get storage configuration (where local state files are kept)
+   */
+  get storage() {
+    return {
+      data_dir: 'data',
+      ...this.config?.storage
+    };
+  }
+
+  /**
+   * Get webhook queue configuration
+   */
+  get queue() {
+    return {
+      file: path.join(this.storage.data_dir, 'webhook-queue.json'),
+      max_attempts: 5,
+      backoff_ms: 1000,
+      max_backoff_ms: 300000,
+      poll_interval_ms: 1000,
+      concurrency: 1,
+      ...this.config?.queue
+    };
+  }
+
+  /**
+   * Get coalescing configuration for bursts of incident.io update events
+   */
+  get coalescing() {
+    return {
+      window_ms: 2000,
+      max_wait_ms: 10000,
+      ...this.config?.coalescing
+    };
+  }
+
+  /**
+   * Get webhook delivery deduplication configuration
+   */
+  get deduplication() {
+    return {
+      ttl_ms: 86400000,
+      ...this.config?.deduplication
+    };
+  }
+
+  /**
+   * Get attachment sync configuration (used when features.sync_attachments is on)
+   */
+  get attachments() {
+    return {
+      max_size_bytes: 10 * 1024 * 1024,
+      allowed_hosts: [],
+      allowed_mime_types: [
+        'image/png',
+        'image/jpeg',
+        'image/gif',
+        'image/webp',
+        'application/pdf',
+        'text/plain',
+        'text/csv'
+      ],
+      download_timeout_ms: 30000,
+      ...this.config?.attachments
+    };
+  }
+
+  /**
+   * Get timeline backfill configuration (used when features.backfill_timeline is on)
+   */
+  get timeline() {
+    return {
+      max_note_length: this.field_mappings?.validation_rules?.max_field_lengths?.work_notes || 4000,
+      ...this.config?.timeline
+    };
+  }
+
+  /**
+   * Get configuration for declaring incidents from ServiceNow inserts
+   * (used when features.create_from_servicenow is on)
+   */
+  get servicenow_inserts() {
+    return {
+      conditions: {},
+      condition: null,
+      integration_user: this.origin.integration_user,
+      visibility: 'public',
+      incident_type_id: null,
+      ...this.config?.servicenow_inserts
+    };
+  }
+
+  /**
+   * Get loop prevention configuration: the ServiceNow user the integration
+   * writes as, and how long write fingerprints are kept
+   */
+  get origin() {
+    return {
+      integration_user: this.config?.servicenow?.auth?.username,
+      fingerprint_ttl_ms: 86400000,
+      ...this.config?.origin
+    };
+  }
+
+  /**
+   * Get journal work note sync configuration (used when features.journal_work_notes is on)
+   */
+  get journal() {
+    return {
+      integration_user: this.origin.integration_user,
+      page_size: 100,
+      ...this.config?.journal
+    };
+  }
+
+  /**
+   * Get incident.io polling configuration (used when features.incident_io_polling is on)
+   */
+  get incident_io_polling() {
+    return {
+      interval_ms: 30000,
+      page_size: 100,
+      initial_lookback_ms: 0,
+      file: path.join(this.storage.data_dir, 'incident-io-poll.json'),
+      ...this.config?.incident_io_polling
+    };
+  }
+
+  /**
+   * Get ServiceNow polling configuration (used when features.servicenow_polling is on)
+   */
+  get servicenow_polling() {
+    return {
+      interval_ms: 60000,
+      page_size: 100,
+      initial_lookback_ms: 0,
+      integration_user: this.origin.integration_user,
+      file: path.join(this.storage.data_dir, 'servicenow-poll.json'),
+      ...this.config?.servicenow_polling
+    };
+  }
+
+  /**
+   * Get drift reconciliation configuration (scheduled when features.reconciliation is on)
+   */
+  get reconciliation() {
+    return {
+      mode: 'report',
+      interval_ms: 3600000,
+      window_ms: 7200000,
+      page_size: 100,
+      max_incidents: 500,
+      create_missing: Boolean(this.features.create_incidents),
+      keep_reports: 10,
+      file: path.join(this.storage.data_dir, 'reconciliation.json'),
+      ...this.config?.reconciliation
+    };
+  }
+
+  /**
+   * Get incident.io name lookup configuration (statuses, severities, custom fields)
+   */
+  get lookups() {
+    return {
+      ttl_ms: 300000,
+      ...this.config?.lookups
+    };
+  }
+
+  /**
+   * Get admin endpoint configuration (used when features.enable_admin_endpoints is on)
+   */
+  get admin() {
+    return {
+      api_token: null,
+      ...this.config?.admin
+    };
+  }
+
+  /**
+   * Get sync audit log configuration
+   */
+  get audit() {
+    return {
+      enabled: true,
+      file: path.join(this.storage.data_dir, 'audit.jsonl'),
+      max_file_bytes: 10 * 1024 * 1024,
+      max_files: 5,
+      ...this.config?.audit
+    };
+  }
+
+  /**
+   * Get dead-letter store configuration
+   */
+  get dead_letters() {
+    return {
+      file: path.join(this.storage.data_dir, 'dead-letters.json'),
+      ...this.config?.dead_letters
+    };
+  }
+
+  /**
+   * Get link registry configuration
+   */
+  get links() {
+    return {
+      file: path.join(this.storage.data_dir, 'links.json'),
+      instance: this.config?.servicenow?.instance_url,
+      table: this.config?.servicenow?.table || 'incident',
+      ...this.config?.links
+    };
+  }
+
+  /**
+   * Get shared state store configuration (locks and write fingerprints)
+   */
+  get state() {
+    return {
+      backend: 'memory',
+      file: path.join(this.storage.data_dir, 'state.json'),
+      redis_url: 'redis://127.0.0.1:6379',
+      key_prefix: 'incident-sync:',
+      lock_ttl_ms: 120000,
+      lock_wait_ms: 30000,
+      ...this.config?.state
+    };
+  }
+
   /**
    * Get field mappings configuration
    */
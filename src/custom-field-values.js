@@ -0,0 +1,57 @@
+/**
+ * Custom field values of an incident, looked up by custom field ID or name
+ * (case-insensitive). Text, numeric, link and timestamp fields give their
+ * value, select options their label and catalog entries their name;
+ * multi-select fields give a list.
+ */
+class CustomFieldValues {
+  constructor(entries) {
+    this.entries = entries;
+  }
+
+  get(nameOrId) {
+    const key = String(nameOrId).toLowerCase();
+    const entry = this.entries.find(({ custom_field: field }) =>
+      field?.id === nameOrId || field?.name?.toLowerCase() === key
+    );
+    if (!entry) {
+      return undefined;
+    }
+
+    const values = (entry.values || [])
+      .map(CustomFieldValues.valueOf)
+      .filter(value => value !== null && value !== undefined && value !== '');
+    if (entry.custom_field?.field_type === 'multi_select') {
+      return values;
+    }
+    return values.length > 1 ? values : values[0] ?? null;
+  }
+
+  /**
+   * The plain value of one custom field entry value
+   */
+  static valueOf(value) {
+    if (value.value_option) return value.value_option.value;
+    if (value.value_catalog_entry) return value.value_catalog_entry.name;
+    return value.value_text ?? value.value_numeric ?? value.value_link ?? value.value_timestamp ?? null;
+  }
+
+  /**
+   * Every field by ID and name, for expressions and templates
+   */
+  toObject() {
+    const result = {};
+    for (const entry of this.entries) {
+      const field = entry.custom_field || {};
+      const value = this.get(field.id ?? field.name);
+      for (const key of [field.id, field.name, field.name?.toLowerCase()]) {
+        if (key !== undefined && !Object.prototype.hasOwnProperty.call(result, key)) {
+          result[key] = value;
+        }
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = CustomFieldValues;
@@ -0,0 +1,92 @@
+const CustomFieldValues = require('./custom-field-values');
+const FieldMapper = require('./field-mapper');
+
+const entries = [
+  {
+    custom_field: { id: '01TEXT', name: 'Affected Service', field_type: 'text' },
+    values: [{ value_text: 'Checkout' }]
+  },
+  {
+    custom_field: { id: '01OPT', name: 'Impact', field_type: 'single_select' },
+    values: [{ value_option: { id: '01O1', value: 'High' } }]
+  },
+  {
+    custom_field: { id: '01MULTI', name: 'Teams', field_type: 'multi_select' },
+    values: [{ value_option: { value: 'Core' } }]
+  },
+  {
+    custom_field: { id: '01CAT', name: 'Service', field_type: 'single_select' },
+    values: [{ value_catalog_entry: { id: '01E1', name: 'Payments API' } }]
+  },
+  {
+    custom_field: { id: '01LINK', name: 'Runbook', field_type: 'link' },
+    values: [{ value_link: 'https://runbooks.example.com/checkout' }]
+  },
+  {
+    custom_field: { id: '01NUM', name: 'Customers Affected', field_type: 'numeric' },
+    values: [{ value_numeric: '1200' }]
+  },
+  {
+    custom_field: { id: '01EMPTY', name: 'Notes', field_type: 'text' },
+    values: []
+  }
+];
+
+describe('CustomFieldValues.get', () => {
+  const values = new CustomFieldValues(entries);
+
+  test('reads every value type', () => {
+    expect(values.get('Affected Service')).toBe('Checkout');
+    expect(values.get('Impact')).toBe('High');
+    expect(values.get('Service')).toBe('Payments API');
+    expect(values.get('Runbook')).toBe('https://runbooks.example.com/checkout');
+    expect(values.get('Customers Affected')).toBe('1200');
+  });
+
+  test('gives multi-select fields a list, even with one value', () => {
+    expect(values.get('Teams')).toEqual(['Core']);
+  });
+
+  test('finds fields by ID or case-insensitive name', () => {
+    expect(values.get('01OPT')).toBe('High');
+    expect(values.get('affected service')).toBe('Checkout');
+  });
+
+  test('tells an empty field from an unknown one', () => {
+    expect(values.get('Notes')).toBeNull();
+    expect(values.get('Nope')).toBeUndefined();
+  });
+
+  test('toObject keys values by ID, name and lower-case name', () => {
+    const object = values.toObject();
+    expect(object['01TEXT']).toBe('Checkout');
+    expect(object['Affected Service']).toBe('Checkout');
+    expect(object['affected service']).toBe('Checkout');
+    expect(object.Teams).toEqual(['Core']);
+  });
+});
+
+describe('custom_fields in source paths', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const mapper = new FieldMapper({}, logger);
+  const data = { incident: { custom_field_entries: entries } };
+
+  test('resolve custom fields by name or ID', () => {
+    expect(mapper.getSourceValue('incident.custom_fields["Affected Service"]', data)).toBe('Checkout');
+    expect(mapper.getSourceValue("incident.custom_fields['01CAT']", data)).toBe('Payments API');
+    expect(mapper.getSourceValue('incident.custom_fields.Impact', data)).toBe('High');
+    expect(mapper.getSourceValue('incident.custom_fields["Teams"][*]', data)).toEqual(['Core']);
+    expect(mapper.getSourceValue('incident.custom_fields["Unknown"]', data)).toBeNull();
+  });
+
+  test('keep a custom_fields property that is already there', () => {
+    const plain = { incident: { custom_fields: { Region: 'EU' }, custom_field_entries: entries } };
+    expect(mapper.getSourceValue('incident.custom_fields.Region', plain)).toBe('EU');
+  });
+
+  test('are visible to expressions and templates by name', () => {
+    const scoped = FieldMapper.expressionIncident(data.incident);
+    expect(scoped.custom_fields['Affected Service']).toBe('Checkout');
+    expect(scoped.custom_field_entries).toBe(entries);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Date/Time Conversion
+ *
+ * incident.io timestamps are ISO 8601 in UTC; ServiceNow date/time fields are
+ * "YYYY-MM-DD HH:mm:ss" (glide date/time). The Table API reads and writes them
+ * in UTC, but values shown to or entered by users are in the instance or user
+ * timezone. This converts between the two, and between any format built from
+ * the tokens YYYY, MM, DD, HH, mm, ss and SSS, in any IANA timezone.
+ *
+ * Formats:
+ * - "auto" (parse only): Date, epoch milliseconds, ISO 8601 or glide
+ * - "iso": 2026-03-04T05:06:07.000Z (always UTC)
+ * - "glide": YYYY-MM-DD HH:mm:ss
+ * - "glide_date": YYYY-MM-DD
+ * - "epoch": milliseconds since 1970
+ * - any other string is a pattern, e.g. "DD/MM/YYYY HH:mm"
+ */
+
+const NAMED_PATTERNS = {
+  glide: 'YYYY-MM-DD HH:mm:ss',
+  glide_date: 'YYYY-MM-DD'
+};
+
+const TOKEN_PATTERN = /YYYY|SSS|MM|DD|HH|mm|ss/g;
+
+const TOKEN_REGEX = {
+  YYYY: '(\\d{4})',
+  MM: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+  HH: '(\\d{1,2})',
+  mm: '(\\d{1,2})',
+  ss: '(\\d{1,2})',
+  SSS: '(\\d{1,3})'
+};
+
+const ISO_WITH_ZONE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+const formatterCache = new Map();
+
+/**
+ * Intl formatter giving the wall-clock parts of an instant in a timezone
+ */
+function partsFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Wall-clock fields of a Date in a timezone
+ */
+function zonedFields(date, timezone) {
+  if (timezone === 'UTC') {
+    return {
+      YYYY: date.getUTCFullYear(),
+      MM: date.getUTCMonth() + 1,
+      DD: date.getUTCDate(),
+      HH: date.getUTCHours(),
+      mm: date.getUTCMinutes(),
+      ss: date.getUTCSeconds(),
+      SSS: date.getUTCMilliseconds()
+    };
+  }
+
+  const parts = Object.fromEntries(
+    partsFormatter(timezone).formatToParts(date).map(part => [part.type, Number(part.value)])
+  );
+  return {
+    YYYY: parts.year,
+    MM: parts.month,
+    DD: parts.day,
+    HH: parts.hour,
+    mm: parts.minute,
+    ss: parts.second,
+    SSS: date.getUTCMilliseconds()
+  };
+}
+
+/**
+ * The instant at which the wall clock in a timezone shows the given fields.
+ *
+ * Around a daylight saving change this behaves like JavaScript's Date: a time
+ * repeated when clocks go back resolves to its first (earlier) occurrence, and
+ * a time skipped when clocks go forward is moved forward by the gap, so
+ * 02:30 on a spring-forward night in New York is 03:30 EDT.
+ */
+function fromZonedFields(fields, timezone) {
+  const wallClock = Date.UTC(fields.YYYY, fields.MM - 1, fields.DD, fields.HH, fields.mm, fields.ss, fields.SSS);
+  if (timezone === 'UTC') {
+    return new Date(wallClock);
+  }
+
+  const offsetAt = (time) => {
+    const zoned = zonedFields(new Date(time), timezone);
+    return Date.UTC(zoned.YYYY, zoned.MM - 1, zoned.DD, zoned.HH, zoned.mm, zoned.ss, zoned.SSS) - time;
+  };
+
+  // The offsets in force a day either side cover any single change
+  const dayMs = 24 * 60 * 60 * 1000;
+  const offsetBefore = offsetAt(wallClock - dayMs);
+  const offsetAfter = offsetAt(wallClock + dayMs);
+
+  const matches = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => wallClock - offset)
+    .filter(time => offsetAt(time) === wallClock - time)
+    .sort((a, b) => a - b);
+  if (matches.length > 0) {
+    return new Date(matches[0]);
+  }
+
+  // Skipped wall-clock time: read it with the offset from before the change
+  return new Date(wallClock - offsetBefore);
+}
+
+class DateTime {
+  /**
+   * Parse a date/time value. Values without a zone (glide and patterns) are
+   * read in the given timezone. Returns a Date, or null for an empty value;
+   * throws if the value does not match the format.
+   */
+  static parse(value, format = 'auto', timezone = 'UTC') {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    if (format === 'auto') {
+      if (value instanceof Date) return DateTime.checkValid(value, value);
+      if (typeof value === 'number' || /^\d{10,}$/.test(String(value))) {
+        return DateTime.checkValid(new Date(Number(value)), value);
+      }
+      const text = String(value).trim();
+      if (ISO_WITH_ZONE.test(text)) return DateTime.checkValid(new Date(text), value);
+      const pattern = text.length > 10 ? NAMED_PATTERNS.glide : NAMED_PATTERNS.glide_date;
+      return DateTime.parsePattern(text.replace('T', ' '), pattern, timezone);
+    }
+
+    if (format === 'iso') {
+      return DateTime.checkValid(new Date(String(value)), value);
+    }
+    if (format === 'epoch') {
+      return DateTime.checkValid(new Date(Number(value)), value);
+    }
+    return DateTime.parsePattern(String(value).trim(), NAMED_PATTERNS[format] || format, timezone);
+  }
+
+  /**
+   * Format a Date (or anything parse() accepts) in the given format and timezone
+   */
+  static format(value, format = 'iso', timezone = 'UTC') {
+    const date = DateTime.parse(value);
+    if (!date) {
+      return null;
+    }
+
+    if (format === 'iso') return date.toISOString();
+    if (format === 'epoch') return date.getTime();
+
+    const fields = zonedFields(date, timezone);
+    return (NAMED_PATTERNS[format] || format).replace(TOKEN_PATTERN, token =>
+      String(fields[token]).padStart(token.length, '0')
+    );
+  }
+
+  static parsePattern(text, pattern, timezone) {
+    const tokens = pattern.match(TOKEN_PATTERN) || [];
+    const regex = pattern
+      .split(TOKEN_PATTERN)
+      .map(literal => literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .map((literal, index) => (index === 0 ? literal : TOKEN_REGEX[tokens[index - 1]] + literal))
+      .join('');
+
+    const match = text.match(new RegExp(`^${regex}$`));
+    if (!match) {
+      throw new Error(`"${text}" does not match the date format "${pattern}"`);
+    }
+
+    const fields = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0, SSS: 0 };
+    tokens.forEach((token, index) => {
+      fields[token] = Number(token === 'SSS' ? match[index + 1].padEnd(3, '0') : match[index + 1]);
+    });
+
+    // Date.UTC rolls over out-of-range fields (month 13, 31 April) instead of failing
+    const check = new Date(Date.UTC(fields.YYYY, fields.MM - 1, fields.DD, fields.HH, fields.mm, fields.ss));
+    if (check.getUTCMonth() !== fields.MM - 1 || check.getUTCDate() !== fields.DD ||
+        check.getUTCHours() !== fields.HH || check.getUTCMinutes() !== fields.mm || check.getUTCSeconds() !== fields.ss) {
+      throw new Error(`"${text}" is not a valid date`);
+    }
+    return DateTime.checkValid(fromZonedFields(fields, timezone), text);
+  }
+
+  static checkValid(date, original) {
+    if (isNaN(date)) {
+      throw new Error(`"${original}" is not a valid date`);
+    }
+    return date;
+  }
+
+  /**
+   * Whether a timezone name is known to the runtime
+   */
+  static isValidTimezone(timezone) {
+    try {
+      partsFormatter(timezone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a format is a named format or a pattern using at least one token
+   */
+  static isValidFormat(format, { allowAuto = false } = {}) {
+    if (typeof format !== 'string') return false;
+    if (format === 'auto') return allowAuto;
+    return ['iso', 'epoch'].includes(format) || format in NAMED_PATTERNS || new RegExp(TOKEN_PATTERN.source).test(format);
+  }
+}
+
+module.exports = DateTime;
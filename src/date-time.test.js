@@ -0,0 +1,94 @@
+const DateTime = require('./date-time');
+
+describe('DateTime.parse', () => {
+  test('reads glide values in UTC by default', () => {
+    expect(DateTime.parse('2026-03-04 05:06:07', 'glide').toISOString()).toBe('2026-03-04T05:06:07.000Z');
+  });
+
+  test('reads glide values in a timezone', () => {
+    expect(DateTime.parse('2026-01-15 09:00:00', 'glide', 'America/New_York').toISOString())
+      .toBe('2026-01-15T14:00:00.000Z');
+    expect(DateTime.parse('2026-07-15 09:00:00', 'glide', 'America/New_York').toISOString())
+      .toBe('2026-07-15T13:00:00.000Z');
+    expect(DateTime.parse('2026-01-01 00:00:00', 'glide', 'Asia/Kolkata').toISOString())
+      .toBe('2025-12-31T18:30:00.000Z');
+  });
+
+  test('moves a time skipped by spring-forward past the gap', () => {
+    expect(DateTime.parse('2026-03-08 02:30:00', 'glide', 'America/New_York').toISOString())
+      .toBe('2026-03-08T07:30:00.000Z');
+    // Lord Howe Island only moves its clocks by 30 minutes
+    expect(DateTime.parse('2026-10-04 02:15:00', 'glide', 'Australia/Lord_Howe').toISOString())
+      .toBe('2026-10-03T15:45:00.000Z');
+  });
+
+  test('reads the times either side of a spring-forward gap unchanged', () => {
+    expect(DateTime.parse('2026-03-08 01:59:59', 'glide', 'America/New_York').toISOString())
+      .toBe('2026-03-08T06:59:59.000Z');
+    expect(DateTime.parse('2026-03-08 03:00:00', 'glide', 'America/New_York').toISOString())
+      .toBe('2026-03-08T07:00:00.000Z');
+  });
+
+  test('resolves a time repeated by fall-back to its first occurrence', () => {
+    expect(DateTime.parse('2026-11-01 01:30:00', 'glide', 'America/New_York').toISOString())
+      .toBe('2026-11-01T05:30:00.000Z');
+    expect(DateTime.parse('2026-10-25 01:30:00', 'glide', 'Europe/London').toISOString())
+      .toBe('2026-10-25T00:30:00.000Z');
+  });
+
+  test('reads custom patterns', () => {
+    expect(DateTime.parse('04/03/2026 05:06', 'DD/MM/YYYY HH:mm').toISOString()).toBe('2026-03-04T05:06:00.000Z');
+    expect(DateTime.parse('2026-03-04', 'glide_date').toISOString()).toBe('2026-03-04T00:00:00.000Z');
+  });
+
+  test('detects the format with auto', () => {
+    expect(DateTime.parse('2026-03-04T05:06:07+01:00').toISOString()).toBe('2026-03-04T04:06:07.000Z');
+    expect(DateTime.parse('2026-03-04 05:06:07').toISOString()).toBe('2026-03-04T05:06:07.000Z');
+    expect(DateTime.parse(1772600767000).toISOString()).toBe('2026-03-04T05:06:07.000Z');
+  });
+
+  test('returns null for empty values', () => {
+    expect(DateTime.parse('')).toBeNull();
+    expect(DateTime.parse(null)).toBeNull();
+  });
+
+  test('rejects values that do not match or are out of range', () => {
+    expect(() => DateTime.parse('04/03/2026', 'glide')).toThrow('does not match the date format');
+    expect(() => DateTime.parse('2026-13-01 00:00:00', 'glide')).toThrow('is not a valid date');
+    expect(() => DateTime.parse('2026-04-31 00:00:00', 'glide')).toThrow('is not a valid date');
+  });
+});
+
+describe('DateTime.format', () => {
+  test('writes the wall-clock time in a timezone', () => {
+    expect(DateTime.format('2026-03-08T07:30:00Z', 'glide', 'America/New_York')).toBe('2026-03-08 03:30:00');
+    expect(DateTime.format('2026-03-08T06:30:00Z', 'glide', 'America/New_York')).toBe('2026-03-08 01:30:00');
+    expect(DateTime.format('2026-11-01T06:30:00Z', 'glide', 'America/New_York')).toBe('2026-11-01 01:30:00');
+  });
+
+  test('round-trips glide values outside DST changes', () => {
+    const date = DateTime.parse('2026-06-30 23:59:59', 'glide', 'Europe/Berlin');
+    expect(DateTime.format(date, 'glide', 'Europe/Berlin')).toBe('2026-06-30 23:59:59');
+  });
+
+  test('writes iso, epoch and patterns', () => {
+    expect(DateTime.format('2026-03-04 05:06:07', 'iso')).toBe('2026-03-04T05:06:07.000Z');
+    expect(DateTime.format('2026-03-04T05:06:07.089Z', 'epoch')).toBe(1772600767089);
+    expect(DateTime.format('2026-03-04T05:06:07.089Z', 'DD/MM/YYYY HH:mm:ss.SSS')).toBe('04/03/2026 05:06:07.089');
+  });
+});
+
+describe('DateTime validation helpers', () => {
+  test('isValidTimezone', () => {
+    expect(DateTime.isValidTimezone('Europe/London')).toBe(true);
+    expect(DateTime.isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+  });
+
+  test('isValidFormat', () => {
+    expect(DateTime.isValidFormat('glide')).toBe(true);
+    expect(DateTime.isValidFormat('DD.MM.YYYY')).toBe(true);
+    expect(DateTime.isValidFormat('auto')).toBe(false);
+    expect(DateTime.isValidFormat('auto', { allowAuto: true })).toBe(true);
+    expect(DateTime.isValidFormat('nonsense')).toBe(false);
+  });
+});
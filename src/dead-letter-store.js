@@ -0,0 +1,180 @@
+/**
+ * Dead-Letter Store
+ *
+ * Keeps sync events that could not be processed, together with the original
+ * payload, the classified error and the number of attempts made. Entries can be
+ * inspected, replayed back into the webhook queue or discarded, either through
+ * the admin API or the CLI.
+ *
+ * ERROR CLASSIFICATION:
+ * - auth:         401/403 from either API (not retried)
+ * - not_found:    404 from either API (not retried)
+ * - validation:   other 4xx responses or missing required fields (not retried)
+ * - rate_limited: 429 responses (retried)
+ * - transient:    5xx responses and network errors (retried)
+ * - unknown:      anything else (retried)
+ */
+const crypto = require('crypto');
+const FileStore = require('./file-store');
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'];
+
+class DeadLetterStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.store = new FileStore(config.file, { entries: [] }, logger);
+  }
+
+  /**
+   * Classify an error and decide whether it is worth retrying
+   */
+  static classifyError(error) {
+    const status = error.response?.status || null;
+    const code = error.code || null;
+
+    let classification = 'unknown';
+    if (status === 401 || status === 403) {
+      classification = 'auth';
+    } else if (status === 404) {
+      classification = 'not_found';
+    } else if (status === 429) {
+      classification = 'rate_limited';
+    } else if (status >= 400 && status < 500) {
+      classification = 'validation';
+    } else if (status >= 500 || NETWORK_ERROR_CODES.includes(code)) {
+      classification = 'transient';
+    } else if (error.message?.startsWith('Missing required fields')) {
+      classification = 'validation';
+    }
+
+    return {
+      classification,
+      retryable: !['auth', 'not_found', 'validation'].includes(classification),
+      status,
+      code
+    };
+  }
+
+  /**
+   * Store a failed queue job
+   */
+  async add(job, error, classified = DeadLetterStore.classifyError(error)) {
+    const entry = {
+      id: crypto.randomUUID(),
+      job_id: job.id,
+      type: job.type,
+      payload: job.payload,
+      metadata: job.metadata || {},
+      order_key: job.order_key || null,
+      attempts: job.attempts,
+      error: {
+        message: error.message,
+        classification: classified.classification,
+        status: classified.status,
+        code: classified.code
+      },
+      enqueued_at: job.created_at,
+      failed_at: new Date().toISOString()
+    };
+
+    await this.store.update((data) => {
+      data.entries.push(entry);
+    });
+
+    this.logger.error('Sync event moved to dead-letter store', {
+      dead_letter_id: entry.id,
+      job_id: job.id,
+      type: job.type,
+      attempts: job.attempts,
+      classification: classified.classification,
+      error: error.message
+    });
+
+    return entry;
+  }
+
+  /**
+   * List dead-lettered events (without payloads), optionally filtered
+   */
+  async list(filters = {}) {
+    const data = await this.store.read();
+    return data.entries
+      .filter(entry => !filters.type || entry.type === filters.type)
+      .filter(entry => !filters.classification || entry.error.classification === filters.classification)
+      .map(({ payload, ...summary }) => summary);
+  }
+
+  /**
+   * Get a single dead-lettered event including its payload
+   */
+  async get(id) {
+    const data = await this.store.read();
+    return data.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Discard a dead-lettered event
+   */
+  async remove(id) {
+    return this.store.update((data) => {
+      const before = data.entries.length;
+      data.entries = data.entries.filter(entry => entry.id !== id);
+      return data.entries.length < before;
+    });
+  }
+
+  /**
+   * Put a dead-lettered event back on the webhook queue
+   */
+  async replay(id, queue) {
+    const entry = await this.get(id);
+    if (!entry) return null;
+
+    // Enqueue before removing so the event is never lost in between
+    const job = await queue.enqueue(entry.type, entry.payload, {
+      ...entry.metadata,
+      replayed_from: entry.id
+    }, { orderKey: entry.order_key || null });
+    await this.remove(id);
+
+    this.logger.info('Dead-lettered event replayed', {
+      dead_letter_id: id,
+      job_id: job.id,
+      type: entry.type
+    });
+
+    return job;
+  }
+
+  /**
+   * Replay every dead-lettered event matching the filters
+   */
+  async replayAll(queue, filters = {}) {
+    const entries = await this.list(filters);
+    const jobs = [];
+
+    for (const entry of entries) {
+      const job = await this.replay(entry.id, queue);
+      if (job) jobs.push(job);
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Get dead-letter statistics
+   */
+  async getStats() {
+    const data = await this.store.read();
+    return {
+      total: data.entries.length,
+      by_classification: data.entries.reduce((acc, entry) => {
+        acc[entry.error.classification] = (acc[entry.error.classification] || 0) + 1;
+        return acc;
+      }, {})
+    };
+  }
+}
+
+module.exports = DeadLetterStore;
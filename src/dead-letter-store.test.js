@@ -0,0 +1,128 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DeadLetterStore = require('./dead-letter-store');
+const WebhookQueue = require('./webhook-queue');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('DeadLetterStore.classifyError', () => {
+  test.each([
+    ['401', 'auth', false, httpError(401)],
+    ['403', 'auth', false, httpError(403)],
+    ['404', 'not_found', false, httpError(404)],
+    ['422', 'validation', false, httpError(422)],
+    ['missing required fields', 'validation', false, new Error('Missing required fields: short_description')],
+    ['429', 'rate_limited', true, httpError(429)],
+    ['502', 'transient', true, httpError(502)],
+    ['ECONNRESET', 'transient', true, Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })],
+    ['other errors', 'unknown', true, new Error('Something odd')]
+  ])('%s is %s', (label, classification, retryable, error) => {
+    expect(DeadLetterStore.classifyError(error)).toMatchObject({ classification, retryable });
+  });
+});
+
+describe('dead-lettering queue jobs', () => {
+  let dir;
+  let queue;
+  let deadLetters;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dead-letter-'));
+    deadLetters = new DeadLetterStore({ file: path.join(dir, 'dead-letter.json') }, logger);
+    queue = new WebhookQueue({
+      file: path.join(dir, 'queue.json'),
+      backoff_ms: 5,
+      poll_interval_ms: 10,
+      max_attempts: 3
+    }, logger, deadLetters);
+  });
+
+  afterEach(async () => {
+    await queue.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('keeps jobs that run out of attempts, with their payload', async () => {
+    queue.registerHandler('incident_io', async () => {
+      throw httpError(503);
+    });
+    await queue.start();
+    const job = await queue.enqueue('incident_io', { id: 'a' }, { delivery_id: 'd1' });
+
+    await waitFor(async () => (await deadLetters.getStats()).total === 1);
+    const [summary] = await deadLetters.list();
+    expect(summary).toMatchObject({
+      job_id: job.id,
+      type: 'incident_io',
+      metadata: { delivery_id: 'd1' },
+      attempts: 3,
+      error: { classification: 'transient', status: 503 }
+    });
+    expect(summary.payload).toBeUndefined();
+    expect((await deadLetters.get(summary.id)).payload).toEqual({ id: 'a' });
+    expect((await queue.getStats()).total).toBe(0);
+  });
+
+  test('does not retry errors that retrying cannot fix', async () => {
+    const handler = jest.fn(async () => {
+      throw httpError(404);
+    });
+    queue.registerHandler('incident_io', handler);
+    await queue.start();
+    await queue.enqueue('incident_io', { id: 'a' });
+
+    await waitFor(async () => (await deadLetters.getStats()).total === 1);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(await deadLetters.getStats()).toEqual({ total: 1, by_classification: { not_found: 1 } });
+  });
+
+  test('replays an entry back onto the queue', async () => {
+    let fail = true;
+    const handled = [];
+    queue.registerHandler('incident_io', async (payload, job) => {
+      if (fail) throw httpError(400);
+      handled.push({ payload, metadata: job.metadata });
+    });
+    await queue.start();
+    await queue.enqueue('incident_io', { id: 'a' }, {}, { orderKey: 'incident_io:a' });
+    await waitFor(async () => (await deadLetters.getStats()).total === 1);
+
+    fail = false;
+    const [entry] = await deadLetters.list();
+    const job = await deadLetters.replay(entry.id, queue);
+
+    expect(job.metadata.replayed_from).toBe(entry.id);
+    expect(job.order_key).toBe('incident_io:a');
+    await waitFor(async () => handled.length === 1);
+    expect(handled[0].payload).toEqual({ id: 'a' });
+    expect(await deadLetters.get(entry.id)).toBeNull();
+  });
+
+  test('replays all entries matching a filter and discards single entries', async () => {
+    const job = { id: 'j', type: 'servicenow', payload: {}, attempts: 1, created_at: new Date().toISOString() };
+    const kept = await deadLetters.add(job, httpError(401));
+    await deadLetters.add({ ...job, type: 'incident_io' }, httpError(401));
+    await deadLetters.add({ ...job, type: 'incident_io' }, httpError(422));
+
+    const replayed = await deadLetters.replayAll(queue, { type: 'incident_io', classification: 'auth' });
+    expect(replayed).toHaveLength(1);
+    expect((await deadLetters.list()).map(entry => entry.error.classification)).toEqual(['auth', 'validation']);
+
+    expect(await deadLetters.remove(kept.id)).toBe(true);
+    expect(await deadLetters.remove(kept.id)).toBe(false);
+    expect(await deadLetters.list()).toHaveLength(1);
+  });
+});
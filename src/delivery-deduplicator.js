@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook delivery deduplication.
+ *
+ * incident.io retries deliveries and the ServiceNow business rule can fire more
+ * than once for the same change. Each delivery ID is claimed in the shared state
+ * store for a TTL; a second delivery with the same ID within that time is a
+ * duplicate and is acknowledged without being queued again.
+ */
+class DeliveryDeduplicator {
+  constructor(config = {}, logger, stateStore) {
+    this.config = config;
+    this.logger = logger;
+    this.stateStore = stateStore;
+    this.ttlMs = config.ttl_ms || 86400000;
+    this.stats = {
+      accepted: 0,
+      duplicates: 0,
+      duplicates_by_source: {},
+      store_errors: 0
+    };
+  }
+
+  /**
+   * Delivery ID for a ServiceNow webhook: the event ID sent by the business
+   * rule, else a hash of the payload when it identifies the record version
+   * (sys_mod_count or updated_on). Without either, two real changes can send
+   * identical payloads (a field set back and forth), so the delivery is not
+   * deduplicated (null).
+   */
+  static servicenowDeliveryId(payload) {
+    if (payload.event_id) {
+      return String(payload.event_id);
+    }
+    if (!payload.sys_mod_count && !payload.updated_on) {
+      return null;
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  }
+
+  key(source, deliveryId) {
+    return `delivery:${source}:${deliveryId}`;
+  }
+
+  /**
+   * Claim a delivery. Resolves to false if it was already seen within the TTL.
+   * If the state store is unavailable the delivery is accepted, since handling
+   * an event twice is safer than dropping it.
+   */
+  async claim(source, deliveryId) {
+    if (!deliveryId) {
+      return true;
+    }
+
+    let claimed;
+    try {
+      claimed = await this.stateStore.setIfAbsent(
+        this.key(source, deliveryId),
+        { received_at: new Date().toISOString() },
+        this.ttlMs
+      );
+    } catch (error) {
+      this.stats.store_errors++;
+      this.logger.warn('Failed to record webhook delivery, processing without deduplication', {
+        source,
+        delivery_id: deliveryId,
+        error: error.message
+      });
+      return true;
+    }
+
+    if (!claimed) {
+      this.stats.duplicates++;
+      this.stats.duplicates_by_source[source] = (this.stats.duplicates_by_source[source] || 0) + 1;
+      this.logger.info('Ignoring duplicate webhook delivery', { source, delivery_id: deliveryId });
+      return false;
+    }
+
+    this.stats.accepted++;
+    return true;
+  }
+
+  /**
+   * Forget a delivery so a retry is accepted, e.g. when it could not be queued
+   */
+  async release(source, deliveryId) {
+    if (!deliveryId) {
+      return;
+    }
+
+    try {
+      await this.stateStore.delete(this.key(source, deliveryId));
+    } catch (error) {
+      this.logger.warn('Failed to release webhook delivery', {
+        source,
+        delivery_id: deliveryId,
+        error: error.message
+      });
+    }
+  }
+
+  getStats() {
+    return {
+      ttl_ms: this.ttlMs,
+      ...this.stats,
+      duplicates_by_source: { ...this.stats.duplicates_by_source }
+    };
+  }
+}
+
+module.exports = DeliveryDeduplicator;
@@ -0,0 +1,87 @@
+const DeliveryDeduplicator = require('./delivery-deduplicator');
+const MemoryStateStore = require('./memory-state-store');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('DeliveryDeduplicator.servicenowDeliveryId', () => {
+  test('uses the event ID sent by the business rule', () => {
+    expect(DeliveryDeduplicator.servicenowDeliveryId({ event_id: 42, sys_id: 'abc' })).toBe('42');
+  });
+
+  test('hashes payloads that identify the record version', () => {
+    const payload = { sys_id: 'abc', sys_mod_count: '7', state: '2' };
+    const id = DeliveryDeduplicator.servicenowDeliveryId(payload);
+
+    expect(id).toMatch(/^[0-9a-f]{64}$/);
+    expect(DeliveryDeduplicator.servicenowDeliveryId({ ...payload })).toBe(id);
+    expect(DeliveryDeduplicator.servicenowDeliveryId({ ...payload, sys_mod_count: '8' })).not.toBe(id);
+    expect(DeliveryDeduplicator.servicenowDeliveryId({ sys_id: 'abc', updated_on: '2026-03-04 05:06:07' }))
+      .toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('does not deduplicate payloads without a version', () => {
+    expect(DeliveryDeduplicator.servicenowDeliveryId({ sys_id: 'abc', state: '2' })).toBeNull();
+  });
+});
+
+describe('DeliveryDeduplicator.claim', () => {
+  let deduplicator;
+
+  beforeEach(() => {
+    deduplicator = new DeliveryDeduplicator({ ttl_ms: 1000 }, logger, new MemoryStateStore());
+  });
+
+  test('accepts a delivery once and counts duplicates by source', async () => {
+    expect(await deduplicator.claim('incident_io', 'msg_1')).toBe(true);
+    expect(await deduplicator.claim('incident_io', 'msg_1')).toBe(false);
+    expect(await deduplicator.claim('servicenow', 'msg_1')).toBe(true);
+    expect(await deduplicator.claim('servicenow', 'msg_1')).toBe(false);
+    expect(await deduplicator.claim('servicenow', 'msg_1')).toBe(false);
+
+    expect(deduplicator.getStats()).toEqual({
+      ttl_ms: 1000,
+      accepted: 2,
+      duplicates: 3,
+      duplicates_by_source: { incident_io: 1, servicenow: 2 },
+      store_errors: 0
+    });
+  });
+
+  test('accepts a delivery again once the TTL has passed', async () => {
+    const realNow = Date.now;
+    const start = realNow();
+    try {
+      Date.now = () => start;
+      expect(await deduplicator.claim('incident_io', 'msg_1')).toBe(true);
+      Date.now = () => start + 999;
+      expect(await deduplicator.claim('incident_io', 'msg_1')).toBe(false);
+      Date.now = () => start + 1001;
+      expect(await deduplicator.claim('incident_io', 'msg_1')).toBe(true);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('always accepts deliveries without an ID', async () => {
+    expect(await deduplicator.claim('servicenow', null)).toBe(true);
+    expect(await deduplicator.claim('servicenow', null)).toBe(true);
+    expect(deduplicator.getStats().accepted).toBe(0);
+  });
+
+  test('accepts a released delivery again', async () => {
+    await deduplicator.claim('incident_io', 'msg_1');
+    await deduplicator.release('incident_io', 'msg_1');
+    expect(await deduplicator.claim('incident_io', 'msg_1')).toBe(true);
+  });
+
+  test('accepts deliveries when the state store fails', async () => {
+    const failing = new MemoryStateStore();
+    failing.setIfAbsent = async () => {
+      throw new Error('connection refused');
+    };
+    deduplicator = new DeliveryDeduplicator({}, logger, failing);
+
+    expect(await deduplicator.claim('incident_io', 'msg_1')).toBe(true);
+    expect(deduplicator.getStats()).toMatchObject({ store_errors: 1, ttl_ms: 86400000 });
+  });
+});
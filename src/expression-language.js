@@ -0,0 +1,601 @@
+/**
+ * Sandboxed Expression Language for Field Mappings
+ *
+ * Expressions and conditions in field-mappings.json used to run as JavaScript
+ * through the vm module, which is not a security boundary. This is a small,
+ * purpose-built language instead: expressions are parsed once into a tree of
+ * closures and can only read the data they are given and call the helpers
+ * below. There are no assignments, loops, user-defined functions or access to
+ * anything outside the expression's scope, so evaluation has no side effects
+ * and always terminates.
+ *
+ * SYNTAX:
+ * - Literals: 'text', "text", 42, 1.5, true, false, null, [list, of, values]
+ * - Paths: incident.severity.name, incident.custom_field_entries[0], a['key'].
+ *   Paths are null-safe: reading through a missing value gives undefined
+ *   (a?.b is accepted as well). Only the data's own properties are visible.
+ * - Operators: ?? || && ! == != === !== < <= > >= + - * / % and cond ? a : b.
+ *   As in JavaScript, ?? cannot be mixed with || or && without parentheses.
+ *   == and != treat null and undefined as equal to each other only, and
+ *   compare a number with a numeric string by value (1 == '1'); any other
+ *   mix of types is unequal.
+ * - Helpers: upper, lower, trim, length, substring, replace, contains,
+ *   startsWith, endsWith, split, join, concat, coalesce, string, number, round,
+ *   floor, ceil, abs, min, max, now, date, formatDate, minutesBetween
+ *
+ * JAVASCRIPT COMPATIBILITY:
+ * Existing expressions keep working. Method calls on strings, lists, numbers
+ * and dates (value.toUpperCase(), name.substring(0, 80), list.includes(x),
+ * new Date(x).toISOString()) are limited to non-mutating built-in methods, and
+ * Math, JSON, Date.now, String, Number and Boolean are provided. Expressions
+ * using these forms are marked legacy so they can be reported.
+ *
+ * Syntax errors carry the line and column of the offending token, and are
+ * reported when the configuration is loaded.
+ */
+const DateTime = require('./date-time');
+
+class ExpressionError extends Error {
+  constructor(message, line = null, column = null) {
+    super(line ? `${message} at line ${line}, column ${column}` : message);
+    this.name = 'ExpressionError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const PUNCTUATORS = ['===', '!==', '?.', '??', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']'];
+
+const KEYWORD_VALUES = { true: true, false: false, null: null, undefined: undefined };
+
+/**
+ * Convert a date-like value (Date, epoch milliseconds, ISO string or ServiceNow
+ * "YYYY-MM-DD HH:mm:ss" in UTC) to a Date, or null
+ */
+function toDate(value) {
+  try {
+    return DateTime.parse(value);
+  } catch (error) {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+  }
+}
+
+function isMissing(value) {
+  return value === null || value === undefined;
+}
+
+function textOf(value) {
+  return isMissing(value) ? null : String(value);
+}
+
+// Functions callable as name(args)
+const HELPERS = {
+  upper: (value) => textOf(value)?.toUpperCase() ?? null,
+  lower: (value) => textOf(value)?.toLowerCase() ?? null,
+  trim: (value) => textOf(value)?.trim() ?? null,
+  length: (value) => (isMissing(value) ? 0 : (Array.isArray(value) ? value : String(value)).length),
+  substring: (value, start, end) => textOf(value)?.substring(start, end) ?? null,
+  replace: (value, search, replacement) =>
+    textOf(value)?.split(String(search)).join(String(replacement ?? '')) ?? null,
+  contains: (value, search) => {
+    if (Array.isArray(value)) return value.includes(search);
+    return !isMissing(value) && !isMissing(search) && String(value).includes(String(search));
+  },
+  startsWith: (value, search) => !isMissing(value) && String(value).startsWith(String(search)),
+  endsWith: (value, search) => !isMissing(value) && String(value).endsWith(String(search)),
+  split: (value, separator) => (isMissing(value) ? [] : String(value).split(String(separator))),
+  join: (list, separator = ', ') =>
+    (Array.isArray(list) ? list.filter(item => !isMissing(item)).join(String(separator)) : textOf(list)),
+  concat: (...values) => values.filter(value => !isMissing(value)).join(''),
+  coalesce: (...values) => values.find(value => !isMissing(value) && value !== '') ?? null,
+  string: (value) => textOf(value) ?? '',
+  number: (value) => (isMissing(value) || value === '' ? null : Number(value)),
+  round: (value, digits = 0) => Math.round(Number(value) * 10 ** digits) / 10 ** digits,
+  floor: (value) => Math.floor(Number(value)),
+  ceil: (value) => Math.ceil(Number(value)),
+  abs: (value) => Math.abs(Number(value)),
+  min: (...values) => Math.min(...values.map(Number)),
+  max: (...values) => Math.max(...values.map(Number)),
+  now: () => new Date().toISOString(),
+  date: (value) => toDate(value)?.toISOString() ?? null,
+  formatDate: (value, pattern = 'glide', timezone = 'UTC') => {
+    const date = toDate(value);
+    return date ? DateTime.format(date, String(pattern), String(timezone)) : null;
+  },
+  minutesBetween: (from, to) => {
+    const start = toDate(from);
+    const end = toDate(to);
+    return start && end ? Math.round((end - start) / 60000) : null;
+  }
+};
+
+// JavaScript globals kept for existing expressions
+const COMPAT_FUNCTIONS = {
+  String: (value) => String(value),
+  Number: (value) => Number(value),
+  Boolean: (value) => Boolean(value)
+};
+
+const NAMESPACES = new Map([
+  ['Math', Object.freeze({
+    PI: Math.PI,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    pow: Math.pow,
+    sqrt: Math.sqrt,
+    trunc: Math.trunc,
+    sign: Math.sign
+  })],
+  ['JSON', Object.freeze({ stringify: (value) => JSON.stringify(value) })],
+  ['Date', Object.freeze({ now: () => Date.now(), parse: (value) => Date.parse(value) })]
+]);
+const NAMESPACE_OBJECTS = new Set(NAMESPACES.values());
+
+// Non-mutating built-in methods that may be called on values
+const METHODS = {
+  string: new Set(['toUpperCase', 'toLowerCase', 'trim', 'trimStart', 'trimEnd', 'substring', 'substr',
+    'slice', 'includes', 'startsWith', 'endsWith', 'indexOf', 'lastIndexOf', 'replace', 'replaceAll',
+    'split', 'charAt', 'toString', 'concat']),
+  array: new Set(['includes', 'indexOf', 'join', 'slice', 'concat']),
+  number: new Set(['toFixed', 'toString']),
+  date: new Set(['toISOString', 'getTime', 'getFullYear', 'getMonth', 'getDate', 'getDay', 'getHours',
+    'getMinutes', 'getSeconds', 'getUTCFullYear', 'getUTCMonth', 'getUTCDate', 'getUTCDay',
+    'getUTCHours', 'getUTCMinutes', 'getUTCSeconds', 'toString'])
+};
+const ALL_METHODS = new Set([
+  ...Object.values(METHODS).flatMap(methods => [...methods]),
+  ...[...NAMESPACES.values()].flatMap(namespace => Object.keys(namespace))
+]);
+
+/**
+ * Equality for == and !=: strict, except that null equals undefined and a
+ * number equals a string holding the same number (ServiceNow sends numbers
+ * as strings)
+ */
+function looseEquals(a, b) {
+  if (isMissing(a) || isMissing(b)) {
+    return isMissing(a) && isMissing(b);
+  }
+  if (typeof a === 'number' && typeof b === 'string') {
+    return b.trim() !== '' && Number(b) === a;
+  }
+  if (typeof a === 'string' && typeof b === 'number') {
+    return looseEquals(b, a);
+  }
+  return a === b;
+}
+
+const BINARY_OPERATORS = {
+  '==': (a, b) => looseEquals(a, b),
+  '!=': (a, b) => !looseEquals(a, b),
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b
+};
+
+/**
+ * Read a property the way expressions see it: null-safe and limited to the
+ * value's own data
+ */
+function getMember(target, key) {
+  if (isMissing(target)) return undefined;
+
+  if (typeof target === 'string' || Array.isArray(target)) {
+    if (key === 'length') return target.length;
+    return /^\d+$/.test(String(key)) ? target[Number(key)] : undefined;
+  }
+  if (typeof target === 'object' && Object.prototype.hasOwnProperty.call(target, key)) {
+    return target[key];
+  }
+  return undefined;
+}
+
+function methodKind(target) {
+  if (typeof target === 'string') return 'string';
+  if (Array.isArray(target)) return 'array';
+  if (typeof target === 'number') return 'number';
+  if (target instanceof Date) return 'date';
+  return null;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = (count) => {
+    for (let i = 0; i < count; i++) {
+      if (source[index] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      index++;
+    }
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const start = { line, column };
+
+    if (/\s/.test(char)) {
+      advance(1);
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1] || ''))) {
+      const match = source.slice(index).match(/^(\d*\.?\d+(?:[eE][+-]?\d+)?|\d+\.)/);
+      tokens.push({ type: 'number', value: Number(match[0]), ...start });
+      advance(match[0].length);
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = source.slice(index).match(/^[A-Za-z_$][\w$]*/);
+      tokens.push({ type: 'identifier', value: match[0], ...start });
+      advance(match[0].length);
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      let value = '';
+      advance(1);
+      while (source[index] !== char) {
+        if (index >= source.length || source[index] === '\n') {
+          throw new ExpressionError('Unterminated string', start.line, start.column);
+        }
+        if (source[index] === '\\') {
+          const escaped = source[index + 1];
+          const simple = { n: '\n', t: '\t', r: '\r', '\\': '\\', '\'': '\'', '"': '"' };
+          if (escaped === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(index + 2, index + 6))) {
+            value += String.fromCharCode(parseInt(source.slice(index + 2, index + 6), 16));
+            advance(6);
+          } else if (escaped in simple) {
+            value += simple[escaped];
+            advance(2);
+          } else {
+            throw new ExpressionError(`Unknown escape sequence '\\${escaped ?? ''}'`, line, column);
+          }
+        } else {
+          value += source[index];
+          advance(1);
+        }
+      }
+      advance(1);
+      tokens.push({ type: 'string', value, ...start });
+      continue;
+    }
+
+    // "?." followed by a digit is a conditional with a decimal number (a ?.5 : b)
+    const punctuator = PUNCTUATORS.find(candidate =>
+      source.startsWith(candidate, index) && !(candidate === '?.' && /[0-9]/.test(source[index + 2] || ''))
+    );
+    if (!punctuator) {
+      throw new ExpressionError(`Unexpected character '${char}'`, line, column);
+    }
+    tokens.push({ type: 'punctuator', value: punctuator, ...start });
+    advance(punctuator.length);
+  }
+
+  tokens.push({ type: 'end', value: null, line, column });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing closures: each node becomes a function
+ * of the scope object
+ */
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.position = 0;
+    this.legacy = false;
+    this.logicalNodes = new WeakSet(); // unparenthesized || and && nodes
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isPunctuator(value) {
+    const token = this.peek();
+    return token.type === 'punctuator' && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.isPunctuator(value)) {
+      this.fail(`Expected '${value}'`);
+    }
+    return this.next();
+  }
+
+  fail(message, token = this.peek()) {
+    const found = token.type === 'end' ? 'end of expression' : `'${token.value}'`;
+    throw new ExpressionError(`${message}, found ${found}`, token.line, token.column);
+  }
+
+  parse() {
+    if (this.peek().type === 'end') {
+      this.fail('Expected an expression');
+    }
+    const node = this.parseConditional();
+    if (this.peek().type !== 'end') {
+      this.fail('Unexpected token');
+    }
+    return node;
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(0);
+    if (!this.isPunctuator('?')) {
+      return test;
+    }
+    this.next();
+    const consequent = this.parseConditional();
+    this.expect(':');
+    const alternate = this.parseConditional();
+    return (scope) => (test(scope) ? consequent(scope) : alternate(scope));
+  }
+
+  /**
+   * Binary operators by precedence level, loosest first
+   */
+  parseBinary(level) {
+    const levels = [['??'], ['||'], ['&&'], ['==', '!=', '===', '!=='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+    if (level === levels.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+    while (this.peek().type === 'punctuator' && levels[level].includes(this.peek().value)) {
+      const operatorToken = this.next();
+      const operator = operatorToken.value;
+      const right = this.parseBinary(level + 1);
+      const leftNode = left;
+
+      if (operator === '??') {
+        if (this.logicalNodes.has(leftNode) || this.logicalNodes.has(right)) {
+          throw new ExpressionError(
+            'Cannot mix ?? with || or && without parentheses',
+            operatorToken.line,
+            operatorToken.column
+          );
+        }
+        left = (scope) => leftNode(scope) ?? right(scope);
+      } else if (operator === '||') {
+        left = (scope) => leftNode(scope) || right(scope);
+        this.logicalNodes.add(left);
+      } else if (operator === '&&') {
+        left = (scope) => leftNode(scope) && right(scope);
+        this.logicalNodes.add(left);
+      } else {
+        const apply = BINARY_OPERATORS[operator];
+        left = (scope) => apply(leftNode(scope), right(scope));
+      }
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isPunctuator('!') || this.isPunctuator('-') || this.isPunctuator('+')) {
+      const operator = this.next().value;
+      const operand = this.parseUnary();
+      if (operator === '!') return (scope) => !operand(scope);
+      if (operator === '-') return (scope) => -operand(scope);
+      return (scope) => +operand(scope);
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.isPunctuator('.') || this.isPunctuator('?.')) {
+        this.next();
+        if (this.isPunctuator('[')) {
+          node = this.parseIndex(node);
+          continue;
+        }
+        const nameToken = this.next();
+        if (nameToken.type !== 'identifier') {
+          this.fail('Expected a property name', nameToken);
+        }
+        node = this.isPunctuator('(')
+          ? this.parseMethodCall(node, nameToken)
+          : this.memberNode(node, () => nameToken.value);
+      } else if (this.isPunctuator('[')) {
+        node = this.parseIndex(node);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseIndex(target) {
+    this.expect('[');
+    const key = this.parseConditional();
+    this.expect(']');
+    return this.memberNode(target, key);
+  }
+
+  memberNode(target, key) {
+    return (scope) => getMember(target(scope), key(scope));
+  }
+
+  parseArguments() {
+    this.expect('(');
+    const args = [];
+    while (!this.isPunctuator(')')) {
+      args.push(this.parseConditional());
+      if (!this.isPunctuator(')')) {
+        this.expect(',');
+      }
+    }
+    this.next();
+    return args;
+  }
+
+  parseMethodCall(target, nameToken) {
+    const name = nameToken.value;
+    if (!ALL_METHODS.has(name)) {
+      throw new ExpressionError(`Unknown method '${name}'`, nameToken.line, nameToken.column);
+    }
+    const args = this.parseArguments();
+    this.legacy = true;
+
+    return (scope) => {
+      const value = target(scope);
+      if (isMissing(value)) {
+        return undefined;
+      }
+
+      const values = args.map(arg => arg(scope));
+      if (values.some(arg => typeof arg === 'function')) {
+        throw new ExpressionError(`Functions cannot be passed to '${name}'`, nameToken.line, nameToken.column);
+      }
+
+      if (NAMESPACE_OBJECTS.has(value)) {
+        if (typeof value[name] !== 'function') {
+          throw new ExpressionError(`'${name}' is not an available function`, nameToken.line, nameToken.column);
+        }
+        return value[name](...values);
+      }
+
+      const kind = methodKind(value);
+      if (!kind || !METHODS[kind].has(name)) {
+        throw new ExpressionError(
+          `Method '${name}' is not available on ${kind || typeof value}`, nameToken.line, nameToken.column
+        );
+      }
+      return value[name](...values);
+    };
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return () => token.value;
+    }
+
+    if (token.type === 'punctuator' && token.value === '(') {
+      const node = this.parseConditional();
+      this.expect(')');
+      this.logicalNodes.delete(node);
+      return node;
+    }
+
+    if (token.type === 'punctuator' && token.value === '[') {
+      const items = [];
+      while (!this.isPunctuator(']')) {
+        items.push(this.parseConditional());
+        if (!this.isPunctuator(']')) {
+          this.expect(',');
+        }
+      }
+      this.next();
+      return (scope) => items.map(item => item(scope));
+    }
+
+    if (token.type !== 'identifier') {
+      this.fail('Expected a value', token);
+    }
+
+    const name = token.value;
+    if (name in KEYWORD_VALUES) {
+      return () => KEYWORD_VALUES[name];
+    }
+
+    if (name === 'new') {
+      const typeToken = this.next();
+      if (typeToken.type !== 'identifier' || typeToken.value !== 'Date') {
+        this.fail('Only new Date(...) is supported', typeToken);
+      }
+      const args = this.parseArguments();
+      this.legacy = true;
+      return (scope) => new Date(...args.map(arg => arg(scope)));
+    }
+
+    if (this.isPunctuator('(')) {
+      const helper = HELPERS[name] || COMPAT_FUNCTIONS[name];
+      if (!helper) {
+        if (ALL_METHODS.has(name)) {
+          throw new ExpressionError(`Unknown function '${name}' (call it as a method, e.g. value.${name}())`, token.line, token.column);
+        }
+        throw new ExpressionError(`Unknown function '${name}'`, token.line, token.column);
+      }
+      if (COMPAT_FUNCTIONS[name]) {
+        this.legacy = true;
+      }
+      const args = this.parseArguments();
+      return (scope) => helper(...args.map(arg => arg(scope)));
+    }
+
+    if (NAMESPACES.has(name)) {
+      const namespace = NAMESPACES.get(name);
+      return (scope) => (Object.prototype.hasOwnProperty.call(scope, name) ? scope[name] : namespace);
+    }
+
+    return (scope) => (Object.prototype.hasOwnProperty.call(scope, name) ? scope[name] : undefined);
+  }
+}
+
+class ExpressionLanguage {
+  /**
+   * Parse an expression. Returns { source, legacy, evaluate(scope) } and
+   * throws ExpressionError (with line and column) for invalid syntax.
+   */
+  static compile(source) {
+    if (typeof source !== 'string') {
+      throw new ExpressionError('Expression must be a string');
+    }
+
+    const parser = new Parser(source);
+    const root = parser.parse();
+
+    return {
+      source,
+      legacy: parser.legacy,
+      evaluate: (scope = {}) => root(scope)
+    };
+  }
+
+  /**
+   * Check an expression's syntax. Returns the error message, or null if valid.
+   */
+  static check(source) {
+    try {
+      ExpressionLanguage.compile(source);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+}
+
+ExpressionLanguage.ExpressionError = ExpressionError;
+ExpressionLanguage.helpers = Object.freeze({ ...HELPERS });
+
+module.exports = ExpressionLanguage;
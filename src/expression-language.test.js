@@ -0,0 +1,119 @@
+const ExpressionLanguage = require('./expression-language');
+
+const { ExpressionError } = ExpressionLanguage;
+
+const evaluate = (source, scope = {}) => ExpressionLanguage.compile(source).evaluate(scope);
+
+const incident = {
+  name: 'Checkout is down',
+  severity: { name: 'Major', rank: 2 },
+  custom_field_entries: [{ values: [{ value_text: 'Payments' }] }],
+  tags: ['a', 'b']
+};
+
+describe('ExpressionLanguage.compile', () => {
+  test('reads paths null-safely', () => {
+    expect(evaluate('incident.severity.name', { incident })).toBe('Major');
+    expect(evaluate('incident.custom_field_entries[0].values[0].value_text', { incident })).toBe('Payments');
+    expect(evaluate("incident['severity']?.rank", { incident })).toBe(2);
+    expect(evaluate('incident.missing.deeper', { incident })).toBeUndefined();
+    expect(evaluate('incident.tags.length', { incident })).toBe(2);
+  });
+
+  test('only exposes own properties', () => {
+    expect(evaluate('incident.constructor', { incident })).toBeUndefined();
+    expect(evaluate("incident['__proto__']", { incident })).toBeUndefined();
+    expect(evaluate('incident.name.constructor', { incident })).toBeUndefined();
+  });
+
+  test('applies operators with JavaScript precedence', () => {
+    expect(evaluate('1 + 2 * 3')).toBe(7);
+    expect(evaluate('(1 + 2) * 3')).toBe(9);
+    expect(evaluate('incident.severity.rank <= 2 ? "high" : "low"', { incident })).toBe('high');
+    expect(evaluate('!incident.closed && incident.severity.rank > 1', { incident })).toBe(true);
+    expect(evaluate('incident.summary ?? "none"', { incident })).toBe('none');
+  });
+
+  test('calls helpers', () => {
+    expect(evaluate('upper(incident.name)', { incident })).toBe('CHECKOUT IS DOWN');
+    expect(evaluate("coalesce(incident.summary, '', incident.name)", { incident })).toBe('Checkout is down');
+    expect(evaluate("join(incident.tags, '/')", { incident })).toBe('a/b');
+    expect(evaluate("minutesBetween('2026-03-04 05:00:00', '2026-03-04T06:30:00Z')")).toBe(90);
+    expect(evaluate("formatDate('2026-03-08T07:30:00Z', 'glide', 'America/New_York')")).toBe('2026-03-08 03:30:00');
+  });
+
+  test('marks JavaScript-style calls as legacy', () => {
+    const compiled = ExpressionLanguage.compile('incident.name.substring(0, 8).toUpperCase()');
+    expect(compiled.legacy).toBe(true);
+    expect(compiled.evaluate({ incident })).toBe('CHECKOUT');
+    expect(ExpressionLanguage.compile('upper(incident.name)').legacy).toBe(false);
+  });
+
+  test('rejects methods outside the allowed list', () => {
+    expect(() => evaluate('incident.tags.push(1)', { incident })).toThrow(ExpressionError);
+    expect(() => evaluate('incident.name.includes(1)', { incident })).not.toThrow();
+    expect(() => evaluate('incident.severity.includes(1)', { incident })).toThrow("Method 'includes' is not available on object");
+  });
+});
+
+describe('== and !=', () => {
+  test('treat null and undefined as equal only to each other', () => {
+    expect(evaluate('null == undefined')).toBe(true);
+    expect(evaluate('incident.missing == null', { incident })).toBe(true);
+    expect(evaluate("null == ''")).toBe(false);
+    expect(evaluate('null == 0')).toBe(false);
+    expect(evaluate('undefined != false')).toBe(true);
+  });
+
+  test('compare numbers with numeric strings by value', () => {
+    expect(evaluate("1 == '1'")).toBe(true);
+    expect(evaluate("'2.50' == 2.5")).toBe(true);
+    expect(evaluate("0 == ''")).toBe(false);
+    expect(evaluate("0 == ' '")).toBe(false);
+    expect(evaluate("1 != '1'")).toBe(false);
+  });
+
+  test('do not coerce other mixed types', () => {
+    expect(evaluate("true == 'true'")).toBe(false);
+    expect(evaluate('true == 1')).toBe(false);
+    expect(evaluate("[1] == '1'")).toBe(false);
+    expect(evaluate("'a' == 'a'")).toBe(true);
+  });
+});
+
+describe('?? mixed with || and &&', () => {
+  test('is rejected without parentheses', () => {
+    expect(() => ExpressionLanguage.compile('a || b ?? c')).toThrow('Cannot mix ?? with || or && without parentheses at line 1, column 8');
+    expect(() => ExpressionLanguage.compile('a ?? b && c')).toThrow('Cannot mix ?? with || or && without parentheses');
+  });
+
+  test('is accepted with parentheses', () => {
+    expect(evaluate('(a || b) ?? c', { b: 'b' })).toBe('b');
+    expect(evaluate('a ?? (b && c)', { b: 1, c: 2 })).toBe(2);
+    expect(evaluate('a ?? b ?? c', { c: 'c' })).toBe('c');
+  });
+});
+
+describe('syntax errors', () => {
+  test('carry the line and column of the offending token', () => {
+    let error;
+    try {
+      ExpressionLanguage.compile('incident.name +\n  * 2');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ExpressionError);
+    expect(error.line).toBe(2);
+    expect(error.column).toBe(3);
+    expect(error.reason).toBe("Expected a value, found '*'");
+  });
+
+  test('are reported by check()', () => {
+    expect(ExpressionLanguage.check('upper(incident.name)')).toBeNull();
+    expect(ExpressionLanguage.check("'open")).toBe('Unterminated string at line 1, column 1');
+    expect(ExpressionLanguage.check('a #')).toBe("Unexpected character '#' at line 1, column 3");
+    expect(ExpressionLanguage.check('eval(x)')).toBe("Unknown function 'eval' at line 1, column 1");
+    expect(ExpressionLanguage.check('(a')).toBe("Expected ')', found end of expression at line 1, column 3");
+    expect(ExpressionLanguage.check('')).toBe('Expected an expression, found end of expression at line 1, column 1');
+  });
+});
@@ -1,10 +1,31 @@
-const vm = require('vm');
+const ExpressionLanguage = require('./expression-language');
+const Template = require('./template');
+const DateTime = require('./date-time');
+const CustomFieldValues = require('./custom-field-values');
+
+// Who may write a field that both sync directions map (field_ownership)
+const OWNERSHIP_POLICIES = ['incident_io', 'servicenow', 'last_writer_wins', 'bidirectional'];
+
+// Work notes are append-only journal entries, never a conflict
+const OWNERSHIP_EXEMPT_FIELDS = ['work_notes'];
+
+// How a list mapping combines its items
+const LIST_OUTPUTS = ['join', 'glide_list', 'array'];
+
+// Mapping types applyFieldMapping() understands, and those that need no source
+const MAPPING_TYPES = ['text', 'user_lookup', 'reference_lookup', 'choice_mapping', 'expression',
+  'conditional', 'template', 'datetime', 'list'];
+const SOURCELESS_TYPES = ['expression', 'conditional', 'template'];
+
+// Mapping sections whose entries may hold expressions and conditions
+const EXPRESSION_SECTIONS = ['incident_creation', 'incident_updates', 'reverse_mappings.fields'];
 
 class FieldMapper {
   constructor(mappingsConfig, logger) {
     this.mappingsConfig = mappingsConfig;
     this.logger = logger;
     this.expressionCache = new Map();
+    this.templateCache = new Map();
   }
 
   /**
@@ -44,9 +65,89 @@ class FieldMapper {
   }
 
   /**
-   * Apply field mappings to convert incident.io data to ServiceNow format
+   * Configured reverse (ServiceNow → incident.io) field mappings, or null when
+   * reverse_mappings.fields is not configured
+   */
+  getReverseMappings() {
+    return this.mappingsConfig.reverse_mappings?.fields || null;
+  }
+
+  /**
+   * Ownership policy of a ServiceNow field (field_ownership.fields, else
+   * field_ownership.default, else bidirectional)
+   */
+  getFieldOwnership(field) {
+    const ownership = this.mappingsConfig.field_ownership || {};
+    return ownership.fields?.[field] || ownership.default || 'bidirectional';
+  }
+
+  /**
+   * Decide which changed ServiceNow fields a sync direction may write.
+   *
+   * direction is 'forward' (incident.io → ServiceNow) or 'reverse'. For
+   * last_writer_wins, context.incident_io_updated_at (ISO) and
+   * context.servicenow_updated_on ("YYYY-MM-DD HH:mm:ss" UTC) decide; a tie
+   * or a missing timestamp lets the write through. Every field held back is a
+   * resolved conflict; they are logged once per call, with the rest of context
+   * (record IDs).
+   *
+   * Resolves to { allowed: [fields], conflicts: [{ field, policy, winner }] }.
+   */
+  resolveOwnership(fields, direction, context = {}) {
+    const result = this.evaluateOwnership(fields, direction, context);
+    if (result.conflicts.length > 0) {
+      this.logger.info('Field ownership conflict resolved', { ...context, direction, conflicts: result.conflicts });
+    }
+    return result;
+  }
+
+  /**
+   * The decision resolveOwnership() makes, without logging it, for callers
+   * that only compare (such as drift reports)
+   */
+  evaluateOwnership(fields, direction, context = {}) {
+    const writer = direction === 'forward' ? 'incident_io' : 'servicenow';
+    const incidentIOTime = Date.parse(context.incident_io_updated_at || '');
+    const serviceNowTime = Date.parse(
+      context.servicenow_updated_on ? `${context.servicenow_updated_on.replace(' ', 'T')}Z` : ''
+    );
+
+    const allowed = [];
+    const conflicts = [];
+    for (const field of fields) {
+      const policy = this.getFieldOwnership(field);
+      let winner = writer;
+
+      if (OWNERSHIP_EXEMPT_FIELDS.includes(field) || policy === 'bidirectional') {
+        winner = writer;
+      } else if (policy === 'last_writer_wins') {
+        if (!isNaN(incidentIOTime) && !isNaN(serviceNowTime) && incidentIOTime !== serviceNowTime) {
+          winner = incidentIOTime > serviceNowTime ? 'incident_io' : 'servicenow';
+        }
+      } else {
+        winner = policy;
+      }
+
+      if (winner === writer) {
+        allowed.push(field);
+      } else {
+        conflicts.push({ field, policy, winner });
+      }
+    }
+
+    return { allowed, conflicts };
+  }
+
+  /**
+   * Apply field mappings to convert incident.io data to ServiceNow format.
+   *
+   * With options.direction = 'reverse' the same mapping types convert ServiceNow
+   * data ({ servicenow: record, changes }) to incident.io fields instead: lookups
+   * then resolve ServiceNow sys_ids to display values, and the forward-only
+   * custom mappings and creation validation are skipped.
    */
-  async applyMappings(mappings, incidentData, serviceNowClient, existingRecord = null) {
+  async applyMappings(mappings, incidentData, serviceNowClient, existingRecord = null, options = {}) {
+    const direction = options.direction || 'forward';
     const result = {};
     const errors = [];
 
@@ -63,11 +164,12 @@ class FieldMapper {
         // Get source value
         const sourceValue = this.getSourceValue(mapping.source, incidentData);
         
-        // For work_notes field, allow empty strings to be processed
+        // For work_notes field, allow empty strings to be processed. Mappings
+        // without a source (expression, conditional, template) compute their value.
         const isWorkNotes = fieldName === 'work_notes';
-        const shouldSkipField = isWorkNotes 
+        const shouldSkipField = Boolean(mapping.source) && (isWorkNotes
           ? (sourceValue === null || sourceValue === undefined)
-          : (sourceValue === null || sourceValue === undefined || sourceValue === '');
+          : (sourceValue === null || sourceValue === undefined || sourceValue === ''));
           
         if (shouldSkipField) {
           if (mapping.required) {
@@ -88,7 +190,8 @@ class FieldMapper {
           sourceValue, 
           serviceNowClient, 
           incidentData,
-          existingRecord
+          existingRecord,
+          direction
         );
 
         if (mappedValue !== null && mappedValue !== undefined) {
@@ -116,19 +219,22 @@ class FieldMapper {
       }
     }
 
-    // Apply custom mappings (calculated fields)
-    if (this.mappingsConfig.custom_mappings) {
-      await this.applyCustomMappings(this.mappingsConfig.custom_mappings, result, incidentData);
-    }
+    if (direction === 'forward') {
+      // Apply custom mappings (calculated fields)
+      if (this.mappingsConfig.custom_mappings) {
+        await this.applyCustomMappings(this.mappingsConfig.custom_mappings, result, incidentData);
+      }
 
-    // Validate required fields
-    this.validateRequiredFields(result, errors);
+      // Validate required fields
+      this.validateRequiredFields(result, errors);
+    }
 
     if (errors.length > 0) {
       this.logger.warn('Field mapping completed with errors', { errors });
     }
 
     this.logger.debug('Field mapping completed', { 
+      direction,
       mapped_fields: Object.keys(result),
       errors: errors.length 
     });
@@ -139,16 +245,20 @@ class FieldMapper {
   /**
    * Apply individual field mapping based on type
    */
-  async applyFieldMapping(fieldName, mapping, sourceValue, serviceNowClient, incidentData, existingRecord) {
+  async applyFieldMapping(fieldName, mapping, sourceValue, serviceNowClient, incidentData, existingRecord, direction = 'forward') {
     switch (mapping.type) {
       case 'text':
         return this.mapTextField(sourceValue, mapping);
 
       case 'user_lookup':
-        return await this.mapUserLookup(sourceValue, mapping, serviceNowClient);
+        return direction === 'reverse'
+          ? await this.mapReverseLookup(sourceValue, { ...mapping, lookup_table: 'sys_user' }, serviceNowClient)
+          : await this.mapUserLookup(sourceValue, mapping, serviceNowClient);
 
       case 'reference_lookup':
-        return await this.mapReferenceLookup(sourceValue, mapping, serviceNowClient);
+        return direction === 'reverse'
+          ? await this.mapReverseLookup(sourceValue, mapping, serviceNowClient)
+          : await this.mapReferenceLookup(sourceValue, mapping, serviceNowClient);
 
       case 'choice_mapping':
         return this.mapChoiceField(sourceValue, mapping);
@@ -159,6 +269,15 @@ class FieldMapper {
       case 'conditional':
         return this.mapConditionalField(sourceValue, mapping, incidentData);
 
+      case 'template':
+        return this.mapTemplateField(sourceValue, mapping, incidentData);
+
+      case 'datetime':
+        return this.mapDateTimeField(sourceValue, mapping, incidentData, direction);
+
+      case 'list':
+        return await this.mapListField(fieldName, sourceValue, mapping, serviceNowClient, incidentData, existingRecord, direction);
+
       default:
         throw new Error(`Unknown mapping type: ${mapping.type}`);
     }
@@ -168,14 +287,14 @@ class FieldMapper {
    * Map text field with optional transformations
    */
   mapTextField(value, mapping) {
+    if (typeof value !== 'string') {
+      value = FieldMapper.toText(value);
+    }
+
     // Handle empty strings for work_notes - convert to null to skip update
     if (value === '' && mapping.skip_empty_strings !== false) {
       return null;
     }
-    
-    if (typeof value !== 'string') {
-      value = String(value);
-    }
 
     // Apply transformations
     if (mapping.transform) {
@@ -197,6 +316,70 @@ class FieldMapper {
     return value;
   }
 
+  /**
+   * Display text for a value: lists are joined with ", " and objects (users,
+   * catalog entries, custom field values) show their name or label
+   */
+  static toText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+      return value.map(item => FieldMapper.toText(item)).filter(item => item !== '').join(', ');
+    }
+    if (typeof value === 'object') {
+      const text = value.name ?? value.label ?? value.value_text ?? value.value ?? value.value_option?.value;
+      return text !== undefined ? FieldMapper.toText(text) : JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Map a list of values. Each element of the source (a wildcard path, an
+   * array, or a comma-separated string such as a ServiceNow glide_list) is
+   * mapped through the optional "item" mapping, then empty and duplicate
+   * results are dropped. output: "join" (default, joined with separator),
+   * "glide_list" (comma-separated, e.g. sys_ids for a list field) or "array".
+   */
+  async mapListField(fieldName, value, mapping, serviceNowClient, incidentData, existingRecord, direction) {
+    const items = typeof value === 'string'
+      ? value.split(mapping.split_on || ',').map(item => item.trim())
+      : [].concat(value);
+
+    let results = [];
+    for (const item of items) {
+      if (item === null || item === undefined || item === '') continue;
+
+      const mapped = mapping.item
+        ? await this.applyFieldMapping(`${fieldName}[]`, mapping.item, item, serviceNowClient, incidentData, existingRecord, direction)
+        : item;
+      if (mapped !== null && mapped !== undefined && mapped !== '') {
+        results.push(mapped);
+      }
+    }
+
+    if (mapping.unique !== false) {
+      const seen = new Set();
+      results = results.filter((item) => {
+        const key = typeof item === 'object' ? JSON.stringify(item) : String(item);
+        return seen.has(key) ? false : seen.add(key);
+      });
+    }
+    if (mapping.max_items) {
+      results = results.slice(0, mapping.max_items);
+    }
+    if (results.length === 0) {
+      return null;
+    }
+
+    switch (mapping.output || 'join') {
+      case 'array':
+        return results;
+      case 'glide_list':
+        return results.map(item => FieldMapper.toText(item)).join(',');
+      default:
+        return results.map(item => FieldMapper.toText(item)).join(mapping.separator ?? ', ');
+    }
+  }
+
   /**
    * Map user lookup field
    */
@@ -231,6 +414,30 @@ class FieldMapper {
     return await serviceNowClient.lookupReference(table, value, lookupField);
   }
 
+  /**
+   * Resolve a ServiceNow reference (sys_id) to a display value for reverse sync
+   */
+  async mapReverseLookup(value, mapping, serviceNowClient) {
+    // Reference fields come back from the Table API as { link, value }
+    const sysId = typeof value === 'object' ? value?.value : value;
+    if (!sysId) return null;
+
+    const table = mapping.lookup_table;
+    const displayField = mapping.lookup_field || 'name';
+
+    if (!table) {
+      throw new Error('lookup_table is required for reference_lookup type');
+    }
+
+    this.logger.debug('Performing reverse reference lookup', {
+      sys_id: sysId,
+      table,
+      display_field: displayField
+    });
+
+    return await serviceNowClient.lookupDisplayValue(table, sysId, displayField);
+  }
+
   /**
    * Map choice field using predefined mappings
    */
@@ -264,7 +471,7 @@ class FieldMapper {
   }
 
   /**
-   * Map field using JavaScript expression
+   * Map field using an expression (see expression-language.js)
    */
   mapExpressionField(value, mapping, incidentData) {
     if (!mapping.expression) {
@@ -272,30 +479,14 @@ class FieldMapper {
     }
 
     try {
-      // Create context for expression evaluation
-      const context = {
+      const result = this.compileExpression(mapping.expression).evaluate({
         value,
-        incident: incidentData.incident || {},
-        data: incidentData,
-        // Helper functions
-        Math,
-        String,
-        Number,
-        Date,
-        JSON
-      };
-
-      // Use cached compiled expression if available
-      const cacheKey = mapping.expression;
-      let compiledExpression = this.expressionCache.get(cacheKey);
-      
-      if (!compiledExpression) {
-        compiledExpression = new vm.Script(`(${mapping.expression})`);
-        this.expressionCache.set(cacheKey, compiledExpression);
-      }
+        incident: FieldMapper.expressionIncident(incidentData.incident),
+        servicenow: incidentData.servicenow || {},
+        changes: incidentData.changes || {},
+        data: incidentData
+      });
 
-      const result = compiledExpression.runInNewContext(context, { timeout: 1000 });
-      
       this.logger.debug('Expression evaluated', { 
         expression: mapping.expression,
         input_value: value,
@@ -312,6 +503,23 @@ class FieldMapper {
     }
   }
 
+  /**
+   * Parse an expression once and reuse it. Expressions relying on the
+   * JavaScript compatibility forms are reported the first time they are seen.
+   */
+  compileExpression(source) {
+    let compiled = this.expressionCache.get(source);
+    if (!compiled) {
+      compiled = ExpressionLanguage.compile(source);
+      this.expressionCache.set(source, compiled);
+
+      if (compiled.legacy) {
+        this.logger.info('Expression uses JavaScript compatibility syntax', { expression: source });
+      }
+    }
+    return compiled;
+  }
+
   /**
    * Map conditional field based on conditions
    */
@@ -330,31 +538,88 @@ class FieldMapper {
   }
 
   /**
-   * Get value from source path (e.g., "incident.name")
+   * Map field by rendering a template (see template.js). An empty result maps
+   * to null so fallback applies.
+   */
+  mapTemplateField(value, mapping, incidentData) {
+    if (typeof mapping.template !== 'string') {
+      throw new Error('template is required for template type');
+    }
+
+    let compiled = this.templateCache.get(mapping.template);
+    if (!compiled) {
+      compiled = Template.compile(mapping.template);
+      this.templateCache.set(mapping.template, compiled);
+    }
+
+    const result = compiled.render({
+      value,
+      incident: FieldMapper.expressionIncident(incidentData.incident),
+      servicenow: incidentData.servicenow || {},
+      changes: incidentData.changes || {},
+      data: incidentData
+    });
+
+    return result.trim() === '' ? null : result;
+  }
+
+  /**
+   * Map field by converting a date/time between formats (see date-time.js).
+   * Forward mappings default to ISO 8601 in and glide date/time out, reverse
+   * mappings the other way round. "timestamp" reads one of the incident's
+   * incident_timestamp_values by name or ID instead of a source path.
+   */
+  mapDateTimeField(value, mapping, incidentData, direction = 'forward') {
+    if (mapping.timestamp) {
+      value = FieldMapper.findTimestampValue(incidentData.incident, mapping.timestamp);
+    }
+
+    const timezone = mapping.timezone || this.mappingsConfig.timezone || 'UTC';
+    const sourceFormat = mapping.source_format || 'auto';
+    const targetFormat = mapping.target_format || (direction === 'reverse' ? 'iso' : 'glide');
+
+    const date = DateTime.parse(value, sourceFormat, timezone);
+    return date ? DateTime.format(date, targetFormat, timezone) : null;
+  }
+
+  /**
+   * Value of an incident timestamp ("Reported at", "Resolved at", ...) from
+   * incident.incident_timestamp_values, matched by name (case-insensitive) or ID
+   */
+  static findTimestampValue(incident, nameOrId) {
+    const key = String(nameOrId).toLowerCase();
+    const entry = (incident?.incident_timestamp_values || []).find(({ incident_timestamp: timestamp }) =>
+      timestamp?.id === nameOrId || timestamp?.name?.toLowerCase() === key
+    );
+    return entry?.value?.value ?? null;
+  }
+
+  /**
+   * Get value from source path (e.g., "incident.name"). Supports indexes
+   * ("services[0]") and wildcards ("custom_field_entries[*].values[*].value_text"):
+   * a path with a wildcard resolves to the flattened list of every match.
    */
   getSourceValue(sourcePath, data) {
     if (!sourcePath) return null;
 
     try {
-      const keys = sourcePath.split('.');
-      let value = data;
-
-      for (const key of keys) {
-        // Handle array access like "services[0]"
-        const arrayMatch = key.match(/^(.+)\[(\d+)\]$/);
-        if (arrayMatch) {
-          const [, arrayKey, index] = arrayMatch;
-          value = value?.[arrayKey]?.[parseInt(index)];
-        } else {
-          value = value?.[key];
-        }
-
-        if (value === null || value === undefined) {
-          return null;
-        }
+      const segments = FieldMapper.parsePath(sourcePath);
+      let values = [data];
+
+      for (const segment of segments) {
+        values = values.flatMap((value) => {
+          if (value === null || value === undefined) return [];
+          if (segment.wildcard) return Array.isArray(value) ? value : [];
+          if (segment.key === 'custom_fields') return [FieldMapper.getCustomFields(value)];
+          if (value instanceof CustomFieldValues) return [value.get(segment.key)];
+          return [value[segment.key]];
+        }).filter(value => value !== null && value !== undefined);
       }
 
-      return value;
+      if (segments.some(segment => segment.wildcard)) {
+        return values;
+      }
+      return values.length > 0 ? values[0] : null;
     } catch (error) {
       this.logger.warn('Failed to get source value', {
         source_path: sourcePath,
@@ -364,6 +629,62 @@ class FieldMapper {
     }
   }
 
+  /**
+   * An incident's custom field values by name or ID. Incidents carry them as
+   * custom_field_entries; anything else keeps its own custom_fields property.
+   */
+  static getCustomFields(value) {
+    if (value.custom_fields !== undefined || !Array.isArray(value.custom_field_entries)) {
+      return value.custom_fields;
+    }
+    return new CustomFieldValues(value.custom_field_entries);
+  }
+
+  /**
+   * The incident as expressions and templates see it, with custom_fields
+   * keyed by custom field ID and name
+   */
+  static expressionIncident(incident) {
+    if (!incident) {
+      return {};
+    }
+    const customFields = FieldMapper.getCustomFields(incident);
+    return customFields instanceof CustomFieldValues
+      ? { ...incident, custom_fields: customFields.toObject() }
+      : incident;
+  }
+
+  /**
+   * Split a source path into { key } and { wildcard } segments. Keys may be
+   * quoted in brackets: custom_fields["Affected Service"].
+   */
+  static parsePath(sourcePath) {
+    const segments = [];
+    const pattern = /\[(\d+)\]|\[\*\]|\[(["'])((?:\\.|(?!\2).)*)\2\]|\.?([^.[\]"']+)/g;
+    let match;
+    let position = 0;
+
+    while ((match = pattern.exec(sourcePath)) !== null) {
+      if (match.index !== position) break;
+      position = pattern.lastIndex;
+
+      if (match[0] === '[*]') {
+        segments.push({ wildcard: true });
+      } else if (match[1] !== undefined) {
+        segments.push({ key: Number(match[1]) });
+      } else if (match[2] !== undefined) {
+        segments.push({ key: match[3].replace(/\\(.)/g, '$1') });
+      } else {
+        segments.push({ key: match[4] });
+      }
+    }
+
+    if (position !== sourcePath.length) {
+      throw new Error(`Invalid source path "${sourcePath}" at position ${position + 1}`);
+    }
+    return segments;
+  }
+
   /**
    * Evaluate condition expression
    */
@@ -371,17 +692,12 @@ class FieldMapper {
     if (!condition) return true;
 
     try {
-      const context = {
-        incident: data.incident || {},
-        data: data,
-        // Helper functions
-        Math,
-        String,
-        Number,
-        Date
-      };
-
-      const result = vm.runInNewContext(condition, context, { timeout: 1000 });
+      const result = this.compileExpression(condition).evaluate({
+        incident: FieldMapper.expressionIncident(data.incident),
+        servicenow: data.servicenow || {},
+        changes: data.changes || {},
+        data: data
+      });
       return Boolean(result);
     } catch (error) {
       this.logger.warn('Condition evaluation failed', {
@@ -409,18 +725,12 @@ class FieldMapper {
           }
         }
 
-        // Create context with result fields
-        const context = {
+        // Mapped fields are in scope alongside incident and data
+        const value = this.compileExpression(mapping.expression).evaluate({
           ...result,
-          incident: incidentData.incident || {},
-          data: incidentData,
-          Math,
-          String,
-          Number,
-          Date
-        };
-
-        const value = vm.runInNewContext(mapping.expression, context, { timeout: 1000 });
+          incident: FieldMapper.expressionIncident(incidentData.incident),
+          data: incidentData
+        });
         if (value !== null && value !== undefined) {
           result[fieldName] = value;
         }
@@ -470,6 +780,7 @@ class FieldMapper {
     return {
       creation_fields: Object.keys(this.mappingsConfig.incident_creation || {}),
       update_fields: Object.keys(this.mappingsConfig.incident_updates || {}),
+      reverse_fields: Object.keys(this.getReverseMappings() || {}),
       custom_fields: Object.keys(this.mappingsConfig.custom_mappings || {}),
       validation_rules: this.mappingsConfig.validation_rules || {}
     };
@@ -484,17 +795,28 @@ class FieldMapper {
     // Validate creation mappings
     if (this.mappingsConfig.incident_creation) {
       for (const [field, mapping] of Object.entries(this.mappingsConfig.incident_creation)) {
-        this.validateFieldMapping(field, mapping, errors);
+        errors.push(...FieldMapper.validateFieldMapping(`Field ${field}`, mapping, this.mappingsConfig.timezone));
       }
     }
 
     // Validate update mappings
     if (this.mappingsConfig.incident_updates) {
       for (const [field, mapping] of Object.entries(this.mappingsConfig.incident_updates)) {
-        this.validateFieldMapping(field, mapping, errors);
+        errors.push(...FieldMapper.validateFieldMapping(`Field ${field}`, mapping, this.mappingsConfig.timezone));
+      }
+    }
+
+    // Validate reverse mappings
+    for (const [field, mapping] of Object.entries(this.getReverseMappings() || {})) {
+      errors.push(...FieldMapper.validateFieldMapping(`Field reverse_mappings.fields.${field}`, mapping, this.mappingsConfig.timezone));
+      if (!mapping.source && !mapping.trigger_fields) {
+        errors.push(`Field reverse_mappings.fields.${field}: trigger_fields is required when there is no source`);
       }
     }
 
+    errors.push(...FieldMapper.validateOwnership(this.mappingsConfig.field_ownership));
+    errors.push(...FieldMapper.validateExpressions(this.mappingsConfig));
+
     return {
       valid: errors.length === 0,
       errors
@@ -502,35 +824,154 @@ class FieldMapper {
   }
 
   /**
-   * Validate individual field mapping
+   * Validate the field_ownership section
+   */
+  static validateOwnership(ownership) {
+    const errors = [];
+    if (!ownership) {
+      return errors;
+    }
+
+    const policies = { default: ownership.default, ...ownership.fields };
+    for (const [field, policy] of Object.entries(policies)) {
+      if (policy !== undefined && !field.startsWith('_') && !OWNERSHIP_POLICIES.includes(policy)) {
+        errors.push(`field_ownership ${field}: unknown policy "${policy}" (expected one of ${OWNERSHIP_POLICIES.join(', ')})`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Check the formats and timezone of a datetime mapping
+   */
+  static validateDateTimeMapping(mapping, defaultTimezone) {
+    const errors = [];
+    if (mapping.source_format !== undefined && !DateTime.isValidFormat(mapping.source_format, { allowAuto: true })) {
+      errors.push(`unknown source_format "${mapping.source_format}"`);
+    }
+    if (mapping.target_format !== undefined && !DateTime.isValidFormat(mapping.target_format)) {
+      errors.push(`unknown target_format "${mapping.target_format}"`);
+    }
+    const timezone = mapping.timezone || defaultTimezone;
+    if (timezone && !DateTime.isValidTimezone(timezone)) {
+      errors.push(`unknown timezone "${timezone}"`);
+    }
+    return errors;
+  }
+
+  /**
+   * Parse every expression and condition in the mappings, reporting syntax
+   * errors with their line and column
+   */
+  static validateExpressions(mappingsConfig) {
+    const errors = [];
+    const check = (label, source) => {
+      if (source === undefined || source === null) return;
+      const error = ExpressionLanguage.check(source);
+      if (error) {
+        errors.push(`${label}: ${error}`);
+      }
+    };
+
+    for (const section of EXPRESSION_SECTIONS) {
+      const mappings = section.split('.').reduce((value, key) => value?.[key], mappingsConfig) || {};
+      for (const [field, mapping] of Object.entries(mappings)) {
+        if (field.startsWith('_') || !mapping || typeof mapping !== 'object') continue;
+
+        // List mappings carry a nested item mapping
+        for (const [label, entry] of [[`${section}.${field}`, mapping], [`${section}.${field}.item`, mapping.item]]) {
+          if (!entry || typeof entry !== 'object') continue;
+
+          check(`${label} condition`, entry.condition);
+          check(`${label} expression`, entry.expression);
+          (Array.isArray(entry.conditions) ? entry.conditions : []).forEach((condition, index) => {
+            check(`${label} conditions[${index}].if`, condition?.if);
+          });
+        }
+      }
+    }
+
+    for (const [field, mapping] of Object.entries(mappingsConfig?.custom_mappings || {})) {
+      check(`custom_mappings.${field} expression`, mapping?.expression);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate one field mapping, shared by ConfigManager and
+   * validateConfiguration(). Returns error messages prefixed with the label.
    */
-  validateFieldMapping(fieldName, mapping, errors) {
-    if (!mapping.type) {
-      errors.push(`Field ${fieldName}: type is required`);
-      return;
+  static validateFieldMapping(label, mapping, defaultTimezone) {
+    const errors = [];
+    const fail = (message) => errors.push(`${label}: ${message}`);
+
+    if (!mapping || typeof mapping !== 'object' || !mapping.type) {
+      fail('type is required');
+      return errors;
+    }
+    if (!MAPPING_TYPES.includes(mapping.type)) {
+      fail(`unknown type '${mapping.type}'`);
+      return errors;
     }
 
-    if (!mapping.source && mapping.type !== 'expression') {
-      errors.push(`Field ${fieldName}: source is required for type ${mapping.type}`);
+    if (mapping.source !== undefined && typeof mapping.source !== 'string') {
+      fail('source must be a path string');
+    } else if (mapping.source) {
+      try {
+        FieldMapper.parsePath(mapping.source);
+      } catch (error) {
+        fail(error.message);
+      }
+    } else if (!SOURCELESS_TYPES.includes(mapping.type) && !(mapping.type === 'datetime' && mapping.timestamp)) {
+      fail(`source is required for ${mapping.type} type`);
     }
 
     switch (mapping.type) {
       case 'reference_lookup':
         if (!mapping.lookup_table) {
-          errors.push(`Field ${fieldName}: lookup_table is required for reference_lookup`);
+          fail('lookup_table is required for reference_lookup type');
         }
         break;
       case 'choice_mapping':
-        if (!mapping.mappings) {
-          errors.push(`Field ${fieldName}: mappings object is required for choice_mapping`);
+        if (!mapping.mappings || typeof mapping.mappings !== 'object') {
+          fail('mappings object is required for choice_mapping type');
         }
         break;
       case 'expression':
         if (!mapping.expression) {
-          errors.push(`Field ${fieldName}: expression is required for expression type`);
+          fail('expression is required for expression type');
+        }
+        break;
+      case 'conditional':
+        if (!Array.isArray(mapping.conditions)) {
+          fail('conditions array is required for conditional type');
+        }
+        break;
+      case 'template': {
+        const templateError = typeof mapping.template === 'string'
+          ? Template.check(mapping.template)
+          : 'template is required for template type';
+        if (templateError) {
+          fail(templateError);
+        }
+        break;
+      }
+      case 'datetime':
+        FieldMapper.validateDateTimeMapping(mapping, defaultTimezone).forEach(fail);
+        break;
+      case 'list':
+        if (mapping.output !== undefined && !LIST_OUTPUTS.includes(mapping.output)) {
+          fail(`output must be one of ${LIST_OUTPUTS.join(', ')}`);
+        }
+        if (mapping.item) {
+          // Items are mapped from the list elements, so they need no source of their own
+          errors.push(...FieldMapper.validateFieldMapping(`${label}[]`, { source: '[*]', ...mapping.item }, defaultTimezone));
         }
         break;
     }
+
+    return errors;
   }
 }
 
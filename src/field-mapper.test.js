@@ -0,0 +1,194 @@
+const FieldMapper = require('./field-mapper');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const incident = {
+  id: '01INC',
+  services: [{ name: 'Checkout' }, { name: 'Payments' }],
+  custom_field_entries: [
+    { custom_field: { id: '01CF1', name: 'Teams' }, values: [{ value_text: 'Core' }, { value_text: 'Edge' }] },
+    { custom_field: { id: '01CF2', name: 'Notes' }, values: [] },
+    { custom_field: { id: '01CF3', name: 'Region' }, values: [{ value_text: 'EU' }, { value_text: 'Core' }] }
+  ]
+};
+
+describe('FieldMapper.parsePath', () => {
+  test('splits keys, indexes, wildcards and quoted keys', () => {
+    expect(FieldMapper.parsePath('incident.services[0].name')).toEqual([
+      { key: 'incident' }, { key: 'services' }, { key: 0 }, { key: 'name' }
+    ]);
+    expect(FieldMapper.parsePath('a[*].b')).toEqual([{ key: 'a' }, { wildcard: true }, { key: 'b' }]);
+    expect(FieldMapper.parsePath('custom_fields["Affected \\"Primary\\" Service"]')).toEqual([
+      { key: 'custom_fields' }, { key: 'Affected "Primary" Service' }
+    ]);
+    expect(FieldMapper.parsePath("custom_fields['Teams']")).toEqual([{ key: 'custom_fields' }, { key: 'Teams' }]);
+  });
+
+  test('reports where an invalid path goes wrong', () => {
+    expect(() => FieldMapper.parsePath('incident.custom_fields["Affected')).toThrow('at position 23');
+    expect(() => FieldMapper.parsePath('incident.services[x]')).toThrow('at position 18');
+    expect(() => FieldMapper.parsePath('name]')).toThrow('Invalid source path "name]" at position 5');
+  });
+});
+
+describe('FieldMapper.getSourceValue', () => {
+  const mapper = new FieldMapper({}, logger);
+
+  test('reads single paths and indexes', () => {
+    expect(mapper.getSourceValue('incident.services[1].name', { incident })).toBe('Payments');
+    expect(mapper.getSourceValue('incident.services[5].name', { incident })).toBeNull();
+  });
+
+  test('flattens every match of a wildcard path', () => {
+    expect(mapper.getSourceValue('incident.services[*].name', { incident })).toEqual(['Checkout', 'Payments']);
+    expect(mapper.getSourceValue('incident.custom_field_entries[*].values[*].value_text', { incident }))
+      .toEqual(['Core', 'Edge', 'EU', 'Core']);
+    expect(mapper.getSourceValue('incident.missing[*].name', { incident })).toEqual([]);
+  });
+});
+
+describe('list mappings', () => {
+  const map = (mapping, data = { incident }) =>
+    new FieldMapper({ incident_creation: { u_list: mapping } }, logger).mapForCreation(data, null);
+
+  test('join unique values by default', async () => {
+    await expect(map({ type: 'list', source: 'incident.custom_field_entries[*].values[*].value_text' }))
+      .resolves.toEqual({ u_list: 'Core, Edge, EU' });
+  });
+
+  test('map each item and output a glide_list', async () => {
+    const result = await map({
+      type: 'list',
+      source: 'incident.services[*].name',
+      item: { type: 'text', transform: 'uppercase' },
+      output: 'glide_list'
+    });
+    expect(result).toEqual({ u_list: 'CHECKOUT,PAYMENTS' });
+  });
+
+  test('honour separator, unique and max_items', async () => {
+    const result = await map({
+      type: 'list',
+      source: 'incident.custom_field_entries[*].values[*].value_text',
+      separator: ' / ',
+      unique: false,
+      max_items: 3
+    });
+    expect(result).toEqual({ u_list: 'Core / Edge / EU' });
+  });
+
+  test('split string sources', async () => {
+    await expect(map({ type: 'list', source: 'servicenow.u_teams', output: 'array' }, { servicenow: { u_teams: 'a, b,,c' } }))
+      .resolves.toEqual({ u_list: ['a', 'b', 'c'] });
+  });
+
+  test('skip the field when nothing matches', async () => {
+    await expect(map({ type: 'list', source: 'incident.missing[*]' })).resolves.toEqual({});
+  });
+});
+
+describe('FieldMapper.validateFieldMapping', () => {
+  test('accepts valid mappings', () => {
+    expect(FieldMapper.validateFieldMapping('Field u_list', {
+      type: 'list',
+      source: 'incident.custom_fields["Teams"]',
+      item: { type: 'reference_lookup', lookup_table: 'sys_user_group' },
+      output: 'glide_list'
+    })).toEqual([]);
+  });
+
+  test('checks source paths, including list items', () => {
+    expect(FieldMapper.validateFieldMapping('Field a', { type: 'text', source: 'incident.services[' }))
+      .toEqual(['Field a: Invalid source path "incident.services[" at position 18']);
+    expect(FieldMapper.validateFieldMapping('Field b', { type: 'list', source: 'a[*]', item: { type: 'text', source: 'x]' } }))
+      .toEqual(['Field b[]: Invalid source path "x]" at position 2']);
+  });
+
+  test('reports missing and unknown settings', () => {
+    expect(FieldMapper.validateFieldMapping('Field c', { source: 'incident.name' })).toEqual(['Field c: type is required']);
+    expect(FieldMapper.validateFieldMapping('Field d', { type: 'magic' })).toEqual(["Field d: unknown type 'magic'"]);
+    expect(FieldMapper.validateFieldMapping('Field e', { type: 'list', output: 'csv' })).toEqual([
+      'Field e: source is required for list type',
+      'Field e: output must be one of join, glide_list, array'
+    ]);
+    expect(FieldMapper.validateFieldMapping('Field f', { type: 'reference_lookup', source: 'incident.name' }))
+      .toEqual(['Field f: lookup_table is required for reference_lookup type']);
+  });
+
+  test('lets computed types and timestamp datetimes go without a source', () => {
+    expect(FieldMapper.validateFieldMapping('Field g', { type: 'expression', expression: '1' })).toEqual([]);
+    expect(FieldMapper.validateFieldMapping('Field h', { type: 'datetime', timestamp: 'Reported at' })).toEqual([]);
+  });
+});
+
+describe('field ownership', () => {
+  const mapper = new FieldMapper({
+    field_ownership: {
+      default: 'bidirectional',
+      fields: {
+        assignment_group: 'servicenow',
+        short_description: 'incident_io',
+        impact: 'last_writer_wins',
+        work_notes: 'servicenow'
+      }
+    }
+  }, logger);
+  const fields = ['assignment_group', 'short_description', 'impact', 'work_notes', 'description'];
+  const context = { incident_io_id: '01A', servicenow_sys_id: 'sys1' };
+
+  beforeEach(() => {
+    logger.info.mockClear();
+  });
+
+  test('lets each direction write only the fields it owns, and work notes always', () => {
+    expect(mapper.resolveOwnership(fields, 'forward', context)).toEqual({
+      allowed: ['short_description', 'impact', 'work_notes', 'description'],
+      conflicts: [{ field: 'assignment_group', policy: 'servicenow', winner: 'servicenow' }]
+    });
+    expect(mapper.resolveOwnership(fields, 'reverse', context).allowed)
+      .toEqual(['assignment_group', 'impact', 'work_notes', 'description']);
+  });
+
+  test('gives last_writer_wins fields to the later timestamp and lets ties and gaps through', () => {
+    const times = (incidentIO, serviceNow) => ({ incident_io_updated_at: incidentIO, servicenow_updated_on: serviceNow });
+
+    expect(mapper.evaluateOwnership(['impact'], 'forward', times('2026-03-04T05:06:08Z', '2026-03-04 05:06:07')).allowed).toEqual(['impact']);
+    expect(mapper.evaluateOwnership(['impact'], 'forward', times('2026-03-04T05:06:06Z', '2026-03-04 05:06:07')).conflicts)
+      .toEqual([{ field: 'impact', policy: 'last_writer_wins', winner: 'servicenow' }]);
+    expect(mapper.evaluateOwnership(['impact'], 'reverse', times('2026-03-04T05:06:08Z', '2026-03-04 05:06:07')).allowed).toEqual([]);
+    expect(mapper.evaluateOwnership(['impact'], 'reverse', times('2026-03-04T05:06:07Z', '2026-03-04 05:06:07')).allowed).toEqual(['impact']);
+    expect(mapper.evaluateOwnership(['impact'], 'reverse', times(undefined, '2026-03-04 05:06:07')).allowed).toEqual(['impact']);
+  });
+
+  test('falls back to the default policy, then bidirectional', () => {
+    const owned = new FieldMapper({ field_ownership: { default: 'incident_io' } }, logger);
+    expect(owned.getFieldOwnership('description')).toBe('incident_io');
+    expect(owned.evaluateOwnership(['description'], 'reverse').allowed).toEqual([]);
+    expect(new FieldMapper({}, logger).getFieldOwnership('description')).toBe('bidirectional');
+  });
+
+  test('logs the conflicts of a call once, and nothing when only evaluating', () => {
+    mapper.resolveOwnership(fields, 'reverse', context);
+    expect(logger.info).toHaveBeenCalledTimes(1);
+    expect(logger.info).toHaveBeenCalledWith('Field ownership conflict resolved', {
+      ...context,
+      direction: 'reverse',
+      conflicts: [{ field: 'short_description', policy: 'incident_io', winner: 'incident_io' }]
+    });
+
+    mapper.resolveOwnership(['description'], 'reverse', context);
+    mapper.evaluateOwnership(fields, 'forward', context);
+    expect(logger.info).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects unknown policies and ignores comment keys', () => {
+    expect(FieldMapper.validateOwnership(undefined)).toEqual([]);
+    expect(FieldMapper.validateOwnership({ default: 'servicenow', fields: { _comment: 'notes', impact: 'last_writer_wins' } })).toEqual([]);
+    expect(FieldMapper.validateOwnership({ default: 'nobody', fields: { impact: 'incident.io' } })).toEqual([
+      'field_ownership default: unknown policy "nobody" (expected one of incident_io, servicenow, last_writer_wins, bidirectional)',
+      'field_ownership impact: unknown policy "incident.io" (expected one of incident_io, servicenow, last_writer_wins, bidirectional)'
+    ]);
+    expect(new FieldMapper({ field_ownership: { fields: { impact: 'mine' } } }, logger).validateConfiguration().errors)
+      .toContain('field_ownership impact: unknown policy "mine" (expected one of incident_io, servicenow, last_writer_wins, bidirectional)');
+  });
+});
@@ -0,0 +1,98 @@
+const StateStore = require('./state-store');
+const FileStore = require('./file-store');
+
+/**
+ * State store persisted to a local JSON file. Survives restarts of a single
+ * instance; use the Redis backend when running several replicas.
+ *
+ * With a single instance the only lock holder that can disappear is this
+ * process itself, crashed or restarted, and its locks would block the next
+ * start for the full lock_ttl_ms. Locks here therefore expire after
+ * lock_wait_ms when that is shorter, so a waiting event gets the lock of a
+ * dead holder instead of giving up; live holders keep renewing theirs.
+ */
+class FileStateStore extends StateStore {
+  constructor(config = {}, logger) {
+    super(config, logger);
+    this.store = new FileStore(config.file, { entries: {} }, logger);
+  }
+
+  isLive(entry) {
+    return entry && (!entry.expires_at || entry.expires_at > Date.now());
+  }
+
+  async get(key) {
+    const data = await this.store.read();
+    const entry = data.entries[key];
+    return this.isLive(entry) ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs = null) {
+    await this.store.update((data) => {
+      this.prune(data);
+      data.entries[key] = {
+        value,
+        expires_at: ttlMs ? Date.now() + ttlMs : null
+      };
+    });
+  }
+
+  async setIfAbsent(key, value, ttlMs = null) {
+    return this.store.update((data) => {
+      this.prune(data);
+      if (data.entries[key]) {
+        return false;
+      }
+      data.entries[key] = {
+        value,
+        expires_at: ttlMs ? Date.now() + ttlMs : null
+      };
+      return true;
+    });
+  }
+
+  async delete(key) {
+    await this.store.update((data) => {
+      delete data.entries[key];
+    });
+  }
+
+  async deleteIfEquals(key, value) {
+    return this.store.update((data) => {
+      const entry = data.entries[key];
+      if (!this.isLive(entry) || JSON.stringify(entry.value) !== JSON.stringify(value)) {
+        return false;
+      }
+      delete data.entries[key];
+      return true;
+    });
+  }
+
+  async expireIfEquals(key, value, ttlMs) {
+    return this.store.update((data) => {
+      const entry = data.entries[key];
+      if (!this.isLive(entry) || JSON.stringify(entry.value) !== JSON.stringify(value)) {
+        return false;
+      }
+      entry.expires_at = Date.now() + ttlMs;
+      return true;
+    });
+  }
+
+  getLockTtlMs() {
+    return Math.min(super.getLockTtlMs(), this.config.lock_wait_ms || 30000);
+  }
+
+  /**
+   * Drop expired entries from the document
+   */
+  prune(data) {
+    for (const [key, entry] of Object.entries(data.entries)) {
+      if (!this.isLive(entry)) {
+        delete data.entries[key];
+      }
+    }
+  }
+}
+
+module.exports = FileStateStore;
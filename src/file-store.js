@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+/**
+ * Small JSON document store backed by a single file.
+ *
+ * Every read goes to disk so that several processes (the service and the CLI)
+ * can share the same file. Updates are serialized within a process by a
+ * promise chain and across processes by a lock file next to the document
+ * ("<file>.lock", created exclusively), so a CLI command and the running
+ * service never overwrite each other's changes. A lock left behind by a
+ * crashed process is removed after 30 seconds. Documents are written
+ * atomically via a temporary file + rename, so a crash never leaves a
+ * half-written document behind.
+ */
+class FileStore {
+  constructor(filePath, defaults = {}, logger = null) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.defaults = defaults;
+    this.logger = logger;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Read the current document (defaults if the file does not exist yet)
+   */
+  async read() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return JSON.parse(JSON.stringify(this.defaults));
+      }
+      throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read, mutate and persist the document. The mutator receives the document
+   * and may modify it in place; its return value is passed through.
+   */
+  async update(mutator) {
+    const run = this.pending.then(() => this.withLock(async () => {
+      const data = await this.read();
+      const result = await mutator(data);
+      await this.write(data);
+      return result;
+    }));
+
+    // Keep the chain alive even if this update fails
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run a function while holding the cross-process lock file
+   */
+  async withLock(fn) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        if (await this.removeStaleLock()) {
+          continue;
+        }
+        if (Date.now() >= deadline) {
+          throw new Error(`Timed out waiting for lock on ${this.filePath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.unlink(this.lockPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Remove the lock file if its holder has not touched it for LOCK_STALE_MS.
+   * Resolves to true when the lock is gone.
+   */
+  async removeStaleLock() {
+    try {
+      const stat = await fs.stat(this.lockPath);
+      if (Date.now() - stat.mtimeMs < LOCK_STALE_MS) {
+        return false;
+      }
+      this.logger?.warn('Removing stale file store lock', { file: this.lockPath });
+      await fs.unlink(this.lockPath);
+      return true;
+    } catch (error) {
+      // Released between the failed open and now
+      return error.code === 'ENOENT';
+    }
+  }
+
+  /**
+   * Atomically replace the document on disk
+   */
+  async write(data) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = FileStore;
@@ -1,82 +1,402 @@
+const MemoryStateStore = require('./memory-state-store');
+const KeyedSerialExecutor = require('./keyed-serial-executor');
+const AuditLog = require('./audit-log');
+const OriginTracker = require('./origin-tracker');
+const ServiceNowClient = require('./servicenow-client');
+
 class IncidentHandler {
-  constructor(serviceNowClient, incidentIOClient, fieldMapper, config, logger) {
+  constructor(serviceNowClient, incidentIOClient, fieldMapper, config, logger, dependencies = {}) {
     this.serviceNowClient = serviceNowClient;
     this.incidentIOClient = incidentIOClient;
     this.fieldMapper = fieldMapper;
     this.config = config;
     this.logger = logger;
-    // In-memory lock to prevent duplicate processing
-    this.processingIncidents = new Set();
-    // Track recent reverse sync updates to prevent loops (incident_id -> timestamp)
-    this.recentReverseSyncUpdates = new Map();
+    // Local incident.io ID -> ServiceNow record links (optional)
+    this.linkRegistry = dependencies.linkRegistry || null;
+    // Structured record of every sync for per-incident history (optional)
+    this.auditLog = dependencies.auditLog || null;
+    // Copies files from incident.io updates to ServiceNow (features.sync_attachments)
+    this.attachmentSync = dependencies.attachmentSync || null;
+    // Posts every incident.io update as a work note (features.backfill_timeline)
+    this.timelineSync = dependencies.timelineSync || null;
+    // Shared store for processing locks, so they survive restarts and are
+    // seen by every replica
+    this.stateStore = dependencies.stateStore || new MemoryStateStore({}, logger);
+    // Recognises changes the integration made itself (loop prevention)
+    this.originTracker = dependencies.originTracker || new OriginTracker({}, logger, this.stateStore);
+    // Events for the same incident run one at a time, in arrival order
+    this.executor = new KeyedSerialExecutor();
+    // Field-level change detection counters, reported by getSyncStats
+    this.changeStats = {
+      updates_sent: 0,
+      updates_skipped: 0,
+      fields_sent: 0,
+      fields_unchanged: 0,
+      unchanged_by_field: {}
+    };
   }
 
   /**
-   * Track that a reverse sync update just happened for an incident
+   * Run a task for an incident after any earlier tasks for it have finished.
+   * The shared processing lock keeps other replicas from working on the same
+   * incident at the same time.
    */
-  trackReverseSyncUpdate(incidentId) {
-    this.recentReverseSyncUpdates.set(incidentId, Date.now());
-    this.logger.debug('Tracked reverse sync update', { incident_id: incidentId });
-    
-    // Clean up old entries (older than 5 minutes)
-    const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-    for (const [id, timestamp] of this.recentReverseSyncUpdates.entries()) {
-      if (timestamp < fiveMinutesAgo) {
-        this.recentReverseSyncUpdates.delete(id);
+  async runSerially(incidentId, task) {
+    return this.executor.run(incidentId, async () => {
+      const lockToken = await this.stateStore.waitForLock(`incident:${incidentId}`);
+      if (!lockToken) {
+        throw new Error(`Timed out waiting for processing lock on incident ${incidentId}`);
+      }
+
+      const stopRenewal = this.stateStore.keepLockAlive(`incident:${incidentId}`, lockToken);
+      try {
+        return await task();
+      } finally {
+        stopRenewal();
+        await this.stateStore.releaseLock(`incident:${incidentId}`, lockToken);
+      }
+    });
+  }
+
+  /**
+   * The actor behind a webhook event, when incident.io reports one
+   */
+  getWebhookActor(webhookPayload) {
+    return webhookPayload?.[webhookPayload?.event_type]?.updater || null;
+  }
+
+  /**
+   * Drop mapped fields whose incident.io source still holds exactly the value
+   * reverse sync last wrote there, so ServiceNow's own change is not echoed
+   * back (and cannot overwrite a newer ServiceNow value). Resolves to the
+   * dropped field names.
+   */
+  async dropEchoedFields(incidentId, incidentData, mappedData) {
+    const mappings = this.fieldMapper.mappingsConfig?.incident_updates || {};
+    const sourceAttributes = {};
+    for (const field of Object.keys(mappedData)) {
+      const attribute = mappings[field]?.source?.match(/^incident\.([^.[]+)/)?.[1];
+      if (attribute && field !== 'work_notes') {
+        sourceAttributes[field] = attribute;
       }
     }
+
+    const currentValues = Object.fromEntries(
+      Object.values(sourceAttributes).map(attribute => [attribute, incidentData.incident?.[attribute]])
+    );
+    const echoed = new Set(await this.originTracker.findEchoedFields('incident_io', incidentId, currentValues));
+
+    const dropped = Object.keys(sourceAttributes).filter(field => echoed.has(sourceAttributes[field]));
+    for (const field of dropped) {
+      delete mappedData[field];
+    }
+
+    if (dropped.length > 0) {
+      this.logger.info('Skipping fields last written by reverse sync', {
+        incident_id: incidentId,
+        fields: dropped
+      });
+    }
+    return dropped;
   }
 
   /**
-   * Check if we should skip forward sync due to recent reverse sync
+   * Drop mapped fields whose value already matches the ServiceNow record, so
+   * only real changes are sent. Work notes are journal entries and always
+   * sent. Resolves to the dropped field names.
    */
-  shouldSkipForwardSync(incidentId) {
-    const recentUpdate = this.recentReverseSyncUpdates.get(incidentId);
-    if (recentUpdate) {
-      const timeSinceUpdate = Date.now() - recentUpdate;
-      const cooldownPeriod = 30 * 1000; // 30 seconds cooldown
-      
-      if (timeSinceUpdate < cooldownPeriod) {
-        this.logger.info('Skipping forward sync due to recent reverse sync', {
-          incident_id: incidentId,
-          time_since_reverse_sync: timeSinceUpdate,
-          cooldown_period: cooldownPeriod
-        });
-        return true;
-      } else {
-        // Remove expired entry
-        this.recentReverseSyncUpdates.delete(incidentId);
+  removeUnchangedFields(incidentId, mappedData, existingIncident) {
+    const unchanged = Object.keys(mappedData).filter(field =>
+      field !== 'work_notes' &&
+      ServiceNowClient.normalizeValue(mappedData[field]) === ServiceNowClient.normalizeValue(existingIncident[field])
+    );
+
+    for (const field of unchanged) {
+      delete mappedData[field];
+      this.changeStats.unchanged_by_field[field] = (this.changeStats.unchanged_by_field[field] || 0) + 1;
+    }
+    this.changeStats.fields_unchanged += unchanged.length;
+
+    if (unchanged.length > 0) {
+      this.logger.debug('Skipping fields unchanged in ServiceNow', {
+        incident_id: incidentId,
+        servicenow_sys_id: existingIncident.sys_id,
+        fields: unchanged
+      });
+    }
+    return unchanged;
+  }
+
+  /**
+   * Drop mapped fields that field_ownership gives to ServiceNow (or to the
+   * later writer, when that was ServiceNow). Returns the resolved conflicts.
+   */
+  applyFieldOwnership(incidentId, incidentData, mappedData, existingIncident) {
+    const { conflicts } = this.fieldMapper.resolveOwnership(Object.keys(mappedData), 'forward', {
+      incident_io_id: incidentId,
+      servicenow_sys_id: existingIncident.sys_id,
+      incident_io_updated_at: incidentData.incident?.updated_at,
+      servicenow_updated_on: existingIncident.sys_updated_on
+    });
+
+    for (const { field } of conflicts) {
+      delete mappedData[field];
+    }
+    return conflicts;
+  }
+
+  /**
+   * Whether the incident version in a poll payload (its updated_at) has
+   * already been synced, so a change reported by a webhook and by polling is
+   * handled once. Webhooks are never skipped: they may carry update text
+   * (most_recent_update_message) that polling cannot see.
+   */
+  async isAlreadySynced(incidentId, webhookPayload) {
+    if (webhookPayload?.trigger !== 'incident_io_poll') {
+      return false;
+    }
+
+    const webhookIncident = this.getWebhookIncident(webhookPayload);
+    const updatedAt = webhookIncident?.updated_at;
+    if (!updatedAt || webhookIncident.most_recent_update_message || !this.linkRegistry) {
+      return false;
+    }
+
+    const link = await this.linkRegistry.get(incidentId);
+    const lastUpdatedAt = link?.forward?.last_updated_at;
+    return Boolean(lastUpdatedAt && Date.parse(lastUpdatedAt) >= Date.parse(updatedAt));
+  }
+
+  /**
+   * Record the incident version (updated_at) last synced to ServiceNow
+   */
+  async markSynced(incidentId, updatedAt) {
+    if (!updatedAt || !this.linkRegistry) {
+      return;
+    }
+
+    await this.linkRegistry.updateState(incidentId, 'forward', (forward) => {
+      if (!forward.last_updated_at || Date.parse(updatedAt) > Date.parse(forward.last_updated_at)) {
+        forward.last_updated_at = updatedAt;
+      }
+    });
+  }
+
+  /**
+   * Remember what was written to a ServiceNow record, so its change
+   * notification is recognised as our own
+   */
+  async recordServiceNowWrite(sysId, fields) {
+    const written = { ...fields };
+    delete written.work_notes;
+    await this.originTracker.recordWrite('servicenow', sysId, written);
+  }
+
+  /**
+   * Find the ServiceNow incident linked to an incident.io incident.
+   * Uses the link registry first and falls back to querying ServiceNow.
+   */
+  async findServiceNowIncident(incidentId) {
+    const link = this.linkRegistry ? await this.linkRegistry.get(incidentId) : null;
+
+    if (link) {
+      try {
+        const linkedIncident = await this.serviceNowClient.getIncidentBySysId(link.sys_id);
+        if (linkedIncident) {
+          return linkedIncident;
+        }
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
       }
+
+      this.logger.warn('Linked ServiceNow incident no longer exists, falling back to lookup', {
+        incident_id: incidentId,
+        servicenow_sys_id: link.sys_id
+      });
+      await this.linkRegistry.remove(incidentId);
+    }
+
+    const existingIncident = await this.serviceNowClient.findIncidentByIncidentIOId(incidentId);
+    if (existingIncident) {
+      await this.recordLink(incidentId, existingIncident);
     }
-    return false;
+    return existingIncident;
   }
 
   /**
-   * Handle incident creation from incident.io
+   * Record (or refresh) the link between an incident.io incident and a ServiceNow record
    */
-  async createIncident(incidentId, webhookPayload = null) {
-    this.logger.info('Processing incident creation', { incident_id: incidentId });
+  async recordLink(incidentId, serviceNowIncident) {
+    if (!this.linkRegistry) return;
 
-    // Check if this incident is already being processed
-    if (this.processingIncidents.has(incidentId)) {
-      this.logger.warn('Incident creation already in progress, skipping duplicate', { 
-        incident_id: incidentId 
+    try {
+      await this.linkRegistry.upsert(incidentId, serviceNowIncident);
+    } catch (error) {
+      // The registry is an optimisation; ServiceNow still holds the link
+      this.logger.warn('Failed to record incident link', {
+        incident_id: incidentId,
+        servicenow_sys_id: serviceNowIncident.sys_id,
+        error: error.message
       });
+    }
+  }
+
+  /**
+   * Extract the incident from an incident.io webhook payload. Status update
+   * events nest it as { incident, new_status, previous_status }.
+   */
+  getWebhookIncident(webhookPayload) {
+    const eventData = webhookPayload?.[webhookPayload?.event_type];
+    if (!eventData) {
+      return null;
+    }
+    return webhookPayload.event_type === 'public_incident.incident_status_updated_v2'
+      ? eventData.incident || null
+      : eventData;
+  }
+
+  /**
+   * Fold a newer update event into an earlier one for the same incident.
+   * The result is an incident_updated_v2 payload carrying the latest incident
+   * data and the update messages of every event, so none are lost.
+   */
+  coalesceWebhookPayloads(existingPayload, incomingPayload) {
+    const existingIncident = this.getWebhookIncident(existingPayload) || {};
+    const incomingIncident = this.getWebhookIncident(incomingPayload) || {};
+
+    const messages = [...(existingPayload.coalesced_update_messages ||
+      [existingIncident.most_recent_update_message].filter(Boolean))];
+    const incomingMessage = incomingIncident.most_recent_update_message;
+    if (incomingMessage && !messages.includes(incomingMessage)) {
+      messages.push(incomingMessage);
+    }
+
+    const eventType = 'public_incident.incident_updated_v2';
+    const incident = { ...existingIncident, ...incomingIncident };
+    if (messages.length > 0) {
+      incident.most_recent_update_message = messages.join('\n\n');
+    }
+
+    return {
+      event_type: eventType,
+      [eventType]: incident,
+      coalesced_event_types: [
+        ...(existingPayload.coalesced_event_types || [existingPayload.event_type]),
+        incomingPayload.event_type
+      ],
+      coalesced_update_messages: messages,
+      // Only a burst made entirely of poll events still counts as one
+      ...(existingPayload.trigger && existingPayload.trigger === incomingPayload.trigger
+        ? { trigger: existingPayload.trigger }
+        : {})
+    };
+  }
+
+  isTimelineBackfillEnabled() {
+    return Boolean(this.timelineSync && this.config.features.backfill_timeline);
+  }
+
+  /**
+   * Post incident.io updates not yet in ServiceNow as work notes, if enabled.
+   * options.created marks a record this sync just created. Resolves to the
+   * IDs of the updates posted.
+   */
+  async backfillTimeline(incidentId, sysId, options = {}) {
+    if (!this.isTimelineBackfillEnabled()) {
+      return [];
+    }
+    return this.timelineSync.backfill(incidentId, sysId, options);
+  }
+
+  /**
+   * Upload new files from the incident's updates to ServiceNow, if enabled.
+   * Attachment problems never fail the incident sync itself.
+   */
+  async syncAttachments(incidentId, sysId) {
+    if (!this.attachmentSync || !this.config.features.sync_attachments) {
+      return;
+    }
+
+    try {
+      await this.attachmentSync.syncToServiceNow(incidentId, sysId);
+    } catch (error) {
+      this.logger.warn('Failed to sync attachments to ServiceNow (non-critical)', {
+        incident_id: incidentId,
+        servicenow_sys_id: sysId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record a forward sync in the audit log. Failures are recorded once, even
+   * when create and update fall through to each other.
+   */
+  async auditForwardSync(entry, startedAt, error = null) {
+    if (!this.auditLog || error?.audited) {
       return;
     }
 
-    // Add to processing set
-    this.processingIncidents.add(incidentId);
+    await this.auditLog.record({
+      direction: 'forward',
+      ...entry,
+      ...(error && { outcome: 'failed', error: error.message }),
+      duration_ms: Date.now() - startedAt
+    });
+
+    if (error) {
+      error.audited = true;
+    }
+  }
+
+  /**
+   * Describe what triggered a forward sync for the audit log
+   */
+  getSyncTrigger(webhookPayload, options = {}) {
+    return {
+      trigger: options.trigger || webhookPayload?.trigger || webhookPayload?.event_type || 'manual',
+      ...(webhookPayload?.coalesced_event_types && {
+        coalesced_event_types: webhookPayload.coalesced_event_types
+      })
+    };
+  }
+
+  /**
+   * Handle incident creation from incident.io
+   */
+  async createIncident(incidentId, webhookPayload = null, options = {}) {
+    return this.runSerially(incidentId, () => this.performCreate(incidentId, webhookPayload, options));
+  }
+
+  /**
+   * Handle incident update from incident.io
+   */
+  async updateIncident(incidentId, webhookPayload = null, options = {}) {
+    return this.runSerially(incidentId, () => this.performUpdate(incidentId, webhookPayload, options));
+  }
+
+  /**
+   * Create the ServiceNow incident (caller must hold the incident's turn)
+   */
+  async performCreate(incidentId, webhookPayload = null, options = {}) {
+    this.logger.info('Processing incident creation', { incident_id: incidentId });
+
+    const startedAt = Date.now();
+    const audit = {
+      operation: 'create',
+      ...this.getSyncTrigger(webhookPayload, options),
+      incident_io_id: incidentId
+    };
 
     try {
       // Check if incident already exists in ServiceNow
-      let existingIncident = await this.serviceNowClient.findIncidentByIncidentIOId(incidentId);
+      let existingIncident = await this.findServiceNowIncident(incidentId);
       if (existingIncident) {
         this.logger.warn('Incident already exists in ServiceNow, updating instead', {
           incident_id: incidentId,
           servicenow_sys_id: existingIncident.sys_id
         });
-        return await this.updateIncident(incidentId, webhookPayload);
+        return await this.performUpdate(incidentId, webhookPayload, options);
       }
 
       // Always fetch fresh incident details from incident.io to ensure current data
@@ -92,6 +412,19 @@ class IncidentHandler {
       
       // Create incident in ServiceNow
       const serviceNowIncident = await this.serviceNowClient.createIncident(mappedData);
+      await this.recordLink(incidentId, serviceNowIncident);
+      await this.recordServiceNowWrite(serviceNowIncident.sys_id, mappedData);
+      await this.markSynced(incidentId, incidentData.incident?.updated_at);
+      audit.sys_id = serviceNowIncident.sys_id;
+      audit.number = serviceNowIncident.number;
+
+      const timelineUpdateIds = await this.backfillTimeline(incidentId, serviceNowIncident.sys_id, { created: true });
+      await this.auditForwardSync({
+        ...audit,
+        outcome: 'success',
+        fields: AuditLog.fieldChanges(mappedData),
+        ...(timelineUpdateIds.length > 0 && { timeline_update_ids: timelineUpdateIds })
+      }, startedAt);
       
       this.logger.info('Incident created successfully', {
         incident_id: incidentId,
@@ -99,6 +432,8 @@ class IncidentHandler {
         servicenow_number: serviceNowIncident.number
       });
 
+      await this.syncAttachments(incidentId, serviceNowIncident.sys_id);
+
       // Add ServiceNow link to incident.io custom field if enabled
       if (this.config.features.add_servicenow_link) {
         try {
@@ -136,6 +471,7 @@ class IncidentHandler {
         error: error.message,
         stack: error.stack
       });
+      await this.auditForwardSync(audit, startedAt, error);
 
       // Send error notification if configured
       await this.sendNotification('incident_creation_failed', {
@@ -144,31 +480,47 @@ class IncidentHandler {
       });
 
       throw error;
-    } finally {
-      // Remove from processing set
-      this.processingIncidents.delete(incidentId);
     }
   }
 
   /**
-   * Handle incident update from incident.io
+   * Update the ServiceNow incident (caller must hold the incident's turn)
    */
-  async updateIncident(incidentId, webhookPayload = null) {
+  async performUpdate(incidentId, webhookPayload = null, options = {}) {
     this.logger.info('Processing incident update', { incident_id: incidentId });
 
-    if (this.shouldSkipForwardSync(incidentId)) {
-      return null; // Skip this update to prevent sync loop
-    }
+    const startedAt = Date.now();
+    const audit = {
+      operation: 'update',
+      ...this.getSyncTrigger(webhookPayload, options),
+      incident_io_id: incidentId
+    };
 
     try {
+      // Changes made in incident.io by our own API key came from ServiceNow
+      if (await this.originTracker.isOwnIncidentIOActor(this.getWebhookActor(webhookPayload))) {
+        this.logger.info('Skipping incident.io change made by the integration', { incident_id: incidentId });
+        await this.auditForwardSync({ ...audit, outcome: 'skipped', reason: 'own_change' }, startedAt);
+        return null;
+      }
+
+      // The same change can be reported by a webhook and by polling
+      if (await this.isAlreadySynced(incidentId, webhookPayload)) {
+        this.logger.info('Incident version already synced, skipping', { incident_id: incidentId });
+        await this.auditForwardSync({ ...audit, outcome: 'skipped', reason: 'already_synced' }, startedAt);
+        return null;
+      }
+
       // Find existing ServiceNow incident
-      const existingIncident = await this.serviceNowClient.findIncidentByIncidentIOId(incidentId);
+      const existingIncident = await this.findServiceNowIncident(incidentId);
       if (!existingIncident) {
         this.logger.warn('ServiceNow incident not found, creating new one', {
           incident_id: incidentId
         });
-        return await this.createIncident(incidentId, webhookPayload);
+        return await this.performCreate(incidentId, webhookPayload, options);
       }
+      audit.sys_id = existingIncident.sys_id;
+      audit.number = existingIncident.number;
 
       // Fetch fresh incident details from API, but preserve webhook-only fields
       this.logger.info('About to fetch fresh incident data from API', { incident_id: incidentId });
@@ -176,12 +528,13 @@ class IncidentHandler {
       
       // Merge API data with webhook payload to preserve webhook-only fields like most_recent_update_message
       let incidentData = apiIncidentData;
-      if (webhookPayload && webhookPayload['public_incident.incident_updated_v2']) {
-        const webhookIncident = webhookPayload['public_incident.incident_updated_v2'];
+      const webhookIncident = this.getWebhookIncident(webhookPayload);
+      if (webhookIncident) {
         this.logger.debug('Merging webhook data with API data', {
           webhook_has_message: !!webhookIncident.most_recent_update_message,
           webhook_message: webhookIncident.most_recent_update_message,
-          webhook_keys: Object.keys(webhookIncident || {})
+          webhook_keys: Object.keys(webhookIncident || {}),
+          coalesced_event_types: webhookPayload.coalesced_event_types
         });
         // Merge webhook-specific fields that aren't in API response
         if (webhookIncident.most_recent_update_message !== undefined) {
@@ -207,9 +560,14 @@ class IncidentHandler {
         this.serviceNowClient, 
         existingIncident
       );
-
-      // Handle work notes deduplication
-      if (mappedData.work_notes && this.config.features.deduplicate_work_notes) {
+      await this.dropEchoedFields(incidentId, incidentData, mappedData);
+
+      // With timeline backfill every incident.io update becomes its own work
+      // note; otherwise (and on the sync that seeds the timeline) fall back to
+      // deduplicating the most recent message
+      if (this.isTimelineBackfillEnabled() && await this.timelineSync.isTracking(incidentId)) {
+        delete mappedData.work_notes;
+      } else if (mappedData.work_notes && this.config.features.deduplicate_work_notes) {
         const isDuplicate = await this.serviceNowClient.checkWorkNoteExists(
           existingIncident.sys_id, 
           mappedData.work_notes
@@ -224,9 +582,30 @@ class IncidentHandler {
         }
       }
 
+      await this.syncAttachments(incidentId, existingIncident.sys_id);
+      const timelineUpdateIds = await this.backfillTimeline(incidentId, existingIncident.sys_id);
+      if (timelineUpdateIds.length > 0) {
+        audit.timeline_update_ids = timelineUpdateIds;
+      }
+
+      const unchangedFields = this.removeUnchangedFields(incidentId, mappedData, existingIncident);
+      if (unchangedFields.length > 0) {
+        audit.unchanged_fields = unchangedFields;
+      }
+
+      const conflicts = this.applyFieldOwnership(incidentId, incidentData, mappedData, existingIncident);
+      if (conflicts.length > 0) {
+        audit.conflicts = conflicts;
+      }
+
       // Skip update if no changes
       if (Object.keys(mappedData).length === 0) {
-        this.logger.info('No changes to update', { incident_id: incidentId });
+        await this.markSynced(incidentId, incidentData.incident?.updated_at);
+        this.changeStats.updates_skipped++;
+        this.logger.info('No changes to update', { incident_id: incidentId, unchanged_fields: unchangedFields });
+        await this.auditForwardSync(timelineUpdateIds.length > 0
+          ? { ...audit, outcome: 'success' }
+          : { ...audit, outcome: 'skipped', reason: 'no_changes' }, startedAt);
         return existingIncident;
       }
 
@@ -235,12 +614,23 @@ class IncidentHandler {
         existingIncident.sys_id, 
         mappedData
       );
+      this.changeStats.updates_sent++;
+      this.changeStats.fields_sent += Object.keys(mappedData).length;
+      await this.recordLink(incidentId, { ...existingIncident, ...updatedIncident });
+      await this.recordServiceNowWrite(existingIncident.sys_id, mappedData);
+      await this.markSynced(incidentId, incidentData.incident?.updated_at);
+      await this.auditForwardSync({
+        ...audit,
+        outcome: 'success',
+        fields: AuditLog.fieldChanges(mappedData, existingIncident)
+      }, startedAt);
 
       this.logger.info('Incident updated successfully', {
         incident_id: incidentId,
         servicenow_sys_id: existingIncident.sys_id,
         servicenow_number: updatedIncident.number,
-        updated_fields: Object.keys(mappedData)
+        updated_fields: Object.keys(mappedData),
+        unchanged_fields: unchangedFields
       });
 
       // Send success notification if configured
@@ -259,6 +649,7 @@ class IncidentHandler {
         error: error.message,
         stack: error.stack
       });
+      await this.auditForwardSync(audit, startedAt, error);
 
       // Send error notification if configured
       await this.sendNotification('incident_update_failed', {
@@ -357,13 +748,13 @@ class IncidentHandler {
       }
 
       // Check if incident exists in ServiceNow
-      const existingIncident = await this.serviceNowClient.findIncidentByIncidentIOId(incidentId);
+      const existingIncident = await this.findServiceNowIncident(incidentId);
       
       if (existingIncident) {
-        await this.updateIncident(incidentId, { incident });
+        await this.updateIncident(incidentId, { incident }, { trigger: 'batch_sync' });
         return { action: 'updated', incident_id: incidentId };
       } else {
-        await this.createIncident(incidentId, { incident });
+        await this.createIncident(incidentId, { incident }, { trigger: 'batch_sync' });
         return { action: 'created', incident_id: incidentId };
       }
 
@@ -427,6 +818,7 @@ class IncidentHandler {
       // This could be expanded to track more detailed statistics
       return {
         cache_stats: this.serviceNowClient.getCacheStats(),
+        field_changes: this.changeStats,
         field_mapping_config: this.fieldMapper.getMappingConfig(),
         last_sync: new Date().toISOString()
       };
@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const IncidentHandler = require('./incident-handler');
+const FieldMapper = require('./field-mapper');
+const LinkRegistry = require('./link-registry');
+const TimelineSync = require('./timeline-sync');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const updated = (incident, extra = {}) => ({
+  event_type: 'public_incident.incident_updated_v2',
+  'public_incident.incident_updated_v2': incident,
+  ...extra
+});
+
+const statusUpdated = (incident) => ({
+  event_type: 'public_incident.incident_status_updated_v2',
+  'public_incident.incident_status_updated_v2': {
+    incident,
+    new_status: incident.incident_status,
+    previous_status: { name: 'Triage' }
+  }
+});
+
+describe('IncidentHandler.coalesceWebhookPayloads', () => {
+  const handler = new IncidentHandler(null, null, null, { features: {} }, logger);
+
+  test('keeps the latest incident data as an incident_updated_v2 event', () => {
+    const merged = handler.coalesceWebhookPayloads(
+      updated({ id: '01A', name: 'Checkout down', severity: { name: 'Minor' } }),
+      statusUpdated({ id: '01A', severity: { name: 'Major' }, incident_status: { name: 'Fixing' } })
+    );
+
+    expect(merged.event_type).toBe('public_incident.incident_updated_v2');
+    expect(merged['public_incident.incident_updated_v2']).toEqual({
+      id: '01A',
+      name: 'Checkout down',
+      severity: { name: 'Major' },
+      incident_status: { name: 'Fixing' }
+    });
+    expect(merged.coalesced_event_types).toEqual([
+      'public_incident.incident_updated_v2',
+      'public_incident.incident_status_updated_v2'
+    ]);
+    expect(handler.getWebhookIncident(merged).id).toBe('01A');
+  });
+
+  test('keeps the update message of every event, once each', () => {
+    let merged = handler.coalesceWebhookPayloads(
+      updated({ id: '01A', most_recent_update_message: 'Investigating' }),
+      updated({ id: '01A' })
+    );
+    merged = handler.coalesceWebhookPayloads(merged, updated({ id: '01A', most_recent_update_message: 'Fix deployed' }));
+    merged = handler.coalesceWebhookPayloads(merged, updated({ id: '01A', most_recent_update_message: 'Investigating' }));
+
+    expect(merged.coalesced_update_messages).toEqual(['Investigating', 'Fix deployed']);
+    expect(merged['public_incident.incident_updated_v2'].most_recent_update_message).toBe('Investigating\n\nFix deployed');
+    expect(merged.coalesced_event_types).toHaveLength(4);
+  });
+
+  test('keeps the trigger only when every event shares it', () => {
+    const poll = { trigger: 'incident_io_poll' };
+    expect(handler.coalesceWebhookPayloads(updated({ id: '01A' }, poll), updated({ id: '01A' }, poll)).trigger)
+      .toBe('incident_io_poll');
+    expect(handler.coalesceWebhookPayloads(updated({ id: '01A' }, poll), updated({ id: '01A' })).trigger)
+      .toBeUndefined();
+  });
+});
+
+describe('IncidentHandler.removeUnchangedFields', () => {
+  const existing = {
+    sys_id: 'sys1',
+    short_description: 'Checkout down',
+    assignment_group: { link: 'https://dev.service-now.com/api/now/table/sys_user_group/g1', value: 'g1' },
+    impact: '2',
+    u_started_at: '2026-03-04 05:06:07',
+    description: 'Line one\nLine two',
+    work_notes: ''
+  };
+
+  let handler;
+
+  beforeEach(() => {
+    handler = new IncidentHandler(null, null, null, { features: {} }, logger);
+  });
+
+  test('drops fields that already hold the mapped value and counts them', () => {
+    const mappedData = {
+      short_description: ' Checkout down ',
+      assignment_group: 'g1',
+      impact: 2,
+      u_started_at: '2026-03-04T05:06:07.000Z',
+      description: 'Line one\r\nLine two'
+    };
+
+    expect(handler.removeUnchangedFields('01A', mappedData, existing))
+      .toEqual(['short_description', 'assignment_group', 'impact', 'u_started_at', 'description']);
+    expect(mappedData).toEqual({});
+    expect(handler.changeStats.fields_unchanged).toBe(5);
+    expect(handler.changeStats.unchanged_by_field).toMatchObject({ short_description: 1, assignment_group: 1 });
+  });
+
+  test('keeps changed fields, fields missing from the record and work notes', () => {
+    const mappedData = {
+      short_description: 'Checkout Down',
+      assignment_group: { value: 'g2' },
+      impact: '1',
+      u_started_at: '2026-03-04T05:06:08Z',
+      u_new_field: 'value',
+      work_notes: ''
+    };
+
+    expect(handler.removeUnchangedFields('01A', mappedData, existing)).toEqual([]);
+    expect(Object.keys(mappedData)).toEqual(['short_description', 'assignment_group', 'impact', 'u_started_at', 'u_new_field', 'work_notes']);
+    expect(handler.changeStats.fields_unchanged).toBe(0);
+  });
+});
+
+describe('IncidentHandler.updateIncident audit entries', () => {
+  let auditLog;
+  let originTracker;
+  let handler;
+
+  beforeEach(() => {
+    auditLog = { record: jest.fn(async entry => entry) };
+    originTracker = { isOwnIncidentIOActor: jest.fn(async () => false) };
+    const serviceNowClient = { findIncidentByIncidentIOId: jest.fn(async () => null) };
+    handler = new IncidentHandler(serviceNowClient, null, null, { features: {} }, logger, { auditLog, originTracker });
+  });
+
+  test('records skipped changes made by the integration', async () => {
+    originTracker.isOwnIncidentIOActor.mockResolvedValue(true);
+
+    expect(await handler.updateIncident('01A', updated({ id: '01A' }))).toBeNull();
+    expect(auditLog.record).toHaveBeenCalledWith(expect.objectContaining({
+      direction: 'forward',
+      operation: 'update',
+      incident_io_id: '01A',
+      outcome: 'skipped',
+      reason: 'own_change'
+    }));
+  });
+
+  test('records a failure of the skip checks once', async () => {
+    originTracker.isOwnIncidentIOActor.mockRejectedValue(new Error('state store unavailable'));
+
+    await expect(handler.updateIncident('01A', updated({ id: '01A' }))).rejects.toThrow('state store unavailable');
+    expect(auditLog.record).toHaveBeenCalledTimes(1);
+    expect(auditLog.record).toHaveBeenCalledWith(expect.objectContaining({
+      incident_io_id: '01A',
+      outcome: 'failed',
+      error: 'state store unavailable'
+    }));
+  });
+});
+
+describe('IncidentHandler.updateIncident with timeline backfill', () => {
+  const incidentId = '01A';
+  const record = { sys_id: 'sys1', number: 'INC0010001', short_description: 'Checkout down', sys_updated_on: '2026-03-04 05:00:00' };
+  const updates = [
+    { id: 'u1', message: 'Investigating', created_at: '2026-03-04T05:01:00Z' },
+    { id: 'u2', message: 'Rolled back the deploy', created_at: '2026-03-04T05:10:00Z' }
+  ];
+  const webhook = updated({ id: incidentId, most_recent_update_message: 'Rolled back the deploy' });
+
+  let dir;
+  let linkRegistry;
+  let serviceNowClient;
+  let handler;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'incident-handler-'));
+    linkRegistry = new LinkRegistry({ file: path.join(dir, 'links.json'), instance: 'dev' }, logger);
+    await linkRegistry.upsert(incidentId, record);
+
+    serviceNowClient = {
+      getIncidentBySysId: jest.fn(async () => record),
+      updateIncident: jest.fn(async (sysId, fields) => ({ ...record, ...fields })),
+      checkWorkNoteExists: jest.fn(async () => false)
+    };
+    const incidentIOClient = {
+      getIncident: jest.fn(async () => ({ incident: { id: incidentId, name: 'Checkout down', updated_at: '2026-03-04T05:10:00Z' } })),
+      getIncidentUpdates: jest.fn(async () => updates)
+    };
+    const fieldMapper = new FieldMapper({
+      incident_updates: {
+        short_description: { source: 'incident.name', type: 'text' },
+        work_notes: { source: 'incident.most_recent_update_message', type: 'text' }
+      }
+    }, logger);
+    const timelineSync = new TimelineSync(serviceNowClient, incidentIOClient, {}, logger, linkRegistry);
+
+    handler = new IncidentHandler(serviceNowClient, incidentIOClient, fieldMapper,
+      { features: { backfill_timeline: true } }, logger, { linkRegistry, timelineSync });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('sends the triggering update as a work note on the sync that seeds the timeline', async () => {
+    await handler.updateIncident(incidentId, webhook);
+
+    expect(serviceNowClient.updateIncident).toHaveBeenCalledTimes(1);
+    expect(serviceNowClient.updateIncident).toHaveBeenCalledWith('sys1', { work_notes: 'Rolled back the deploy' });
+    expect((await linkRegistry.get(incidentId)).timeline.posted_update_ids).toEqual(['u1', 'u2']);
+  });
+
+  test('posts only new updates once the timeline is tracked', async () => {
+    await linkRegistry.updateState(incidentId, 'timeline', (timeline) => {
+      timeline.posted_update_ids = ['u1'];
+    });
+
+    await handler.updateIncident(incidentId, webhook);
+
+    expect(serviceNowClient.updateIncident).toHaveBeenCalledTimes(1);
+    expect(serviceNowClient.updateIncident.mock.calls[0][1].work_notes)
+      .toBe('[incident.io update by incident.io at 2026-03-04T05:10:00Z]\nRolled back the deploy');
+    expect((await linkRegistry.get(incidentId)).timeline.posted_update_ids).toEqual(['u1', 'u2']);
+  });
+});
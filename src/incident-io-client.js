@@ -83,13 +83,25 @@ class IncidentIOClient {
    * Get multiple incidents with filters
    */
   async getIncidents(options = {}) {
+    const page = await this.getIncidentsPage(options);
+    return page.incidents;
+  }
+
+  /**
+   * Get one page of incidents with filters. Resolves to { incidents, after },
+   * where after is the cursor for the next page (pagination_meta.after), or
+   * null on the last page.
+   */
+  async getIncidentsPage(options = {}) {
     try {
       const { 
         limit = 100, 
         status = null, 
         severity = null,
         created_after = null,
-        created_before = null 
+        created_before = null,
+        updated_after = null,
+        after = null
       } = options;
 
       this.logger.debug('Fetching incidents from incident.io', options);
@@ -100,15 +112,20 @@ class IncidentIOClient {
       if (severity) params.severity = severity;
       if (created_after) params.created_after = created_after;
       if (created_before) params.created_before = created_before;
+      if (updated_after) params['updated_at[gte]'] = updated_after;
+      if (after) params.after = after;
 
       const response = await this.client.get('/incidents', { params });
       
       this.logger.debug('Successfully fetched incidents', {
         count: response.data.incidents?.length || 0,
-        total: response.data.pagination?.total_count
+        total: response.data.pagination_meta?.total_record_count
       });
 
-      return response.data.incidents || [];
+      return {
+        incidents: response.data.incidents || [],
+        after: response.data.pagination_meta?.after || null
+      };
     } catch (error) {
       this.logger.error('Failed to fetch incidents from incident.io', {
         error: error.message,
@@ -247,6 +264,70 @@ class IncidentIOClient {
     }
   }
 
+  /**
+   * Get custom field definitions
+   */
+  async getCustomFields() {
+    try {
+      this.logger.debug('Fetching custom fields from incident.io');
+
+      const response = await this.client.get('/custom_fields');
+
+      this.logger.debug('Successfully fetched custom fields', {
+        count: response.data.custom_fields?.length || 0
+      });
+
+      return response.data.custom_fields || [];
+    } catch (error) {
+      this.logger.error('Failed to fetch custom fields from incident.io', {
+        error: error.message,
+        status: error.response?.status
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get incident timestamp definitions ("Reported at", "Resolved at", ...)
+   */
+  async getIncidentTimestamps() {
+    try {
+      this.logger.debug('Fetching incident timestamps from incident.io');
+
+      const response = await this.client.get('/incident_timestamps');
+      return response.data.incident_timestamps || [];
+    } catch (error) {
+      this.logger.error('Failed to fetch incident timestamps from incident.io', {
+        error: error.message,
+        status: error.response?.status
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the options of a select custom field (served by the v1 API)
+   */
+  async getCustomFieldOptions(customFieldId) {
+    try {
+      this.logger.debug('Fetching custom field options from incident.io', { custom_field_id: customFieldId });
+
+      const response = await this.client.get('/custom_field_options', {
+        baseURL: this.baseURL.replace(/\/v2\/?$/, '/v1'),
+        params: { custom_field_id: customFieldId, page_size: 250 }
+      });
+
+      return response.data.custom_field_options || [];
+    } catch (error) {
+      this.logger.error('Failed to fetch custom field options from incident.io', {
+        custom_field_id: customFieldId,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get users
    */
@@ -344,6 +425,27 @@ class IncidentIOClient {
     }
   }
 
+  /**
+   * Get the identity of the API key in use (served by the v1 API)
+   */
+  async getIdentity() {
+    try {
+      this.logger.debug('Fetching API key identity from incident.io');
+
+      const response = await this.client.get('/identity', {
+        baseURL: this.baseURL.replace(/\/v2\/?$/, '/v1')
+      });
+
+      return response.data.identity;
+    } catch (error) {
+      this.logger.error('Failed to fetch identity from incident.io', {
+        error: error.message,
+        status: error.response?.status
+      });
+      throw error;
+    }
+  }
+
   /**
    * Test connection to incident.io API
    */
@@ -378,6 +480,40 @@ class IncidentIOClient {
     }
   }
 
+  /**
+   * Declare a new incident. The idempotency key makes retries of the same
+   * request return the incident created the first time.
+   */
+  async createIncident(incidentData, idempotencyKey) {
+    try {
+      this.logger.info('Creating incident in incident.io', {
+        idempotency_key: idempotencyKey,
+        fields: Object.keys(incidentData)
+      });
+
+      const response = await this.client.post('/incidents', {
+        visibility: 'public',
+        ...incidentData,
+        idempotency_key: idempotencyKey
+      });
+
+      this.logger.info('Successfully created incident in incident.io', {
+        idempotency_key: idempotencyKey,
+        incident_id: response.data.incident?.id
+      });
+
+      return response.data.incident;
+    } catch (error) {
+      this.logger.error('Failed to create incident in incident.io', {
+        idempotency_key: idempotencyKey,
+        error: error.message,
+        status: error.response?.status,
+        response: error.response?.data
+      });
+      throw error;
+    }
+  }
+
   /**
    * Update an incident's basic information
    */
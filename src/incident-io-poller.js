@@ -0,0 +1,154 @@
+/**
+ * incident.io Polling for Forward Sync
+ *
+ * For networks where /webhook cannot be reached from incident.io. Every
+ * interval_ms the incidents updated at or after a stored cursor are listed
+ * (following the pagination cursor through every page), ordered by
+ * updated_at, and each one not yet synced is queued as an incident.io event,
+ * so the queue worker hands it to IncidentHandler.createIncident or
+ * updateIncident exactly like a webhook delivery.
+ *
+ * Polling and webhooks can run together. Each incident version is identified
+ * by its updated_at: the incident handler records the version last synced in
+ * the link registry ("forward" section) and skips events for a version already
+ * synced, and the poller does not queue those versions at all. Queued versions
+ * are also claimed by delivery ID, so a version still waiting in the queue is
+ * not queued a second time.
+ *
+ * The cursor (data/incident-io-poll.json) is the updated_at of the last
+ * version queued. Incidents updated in that same instant are listed again on
+ * the next poll and filtered out as above.
+ */
+const FileStore = require('./file-store');
+
+class IncidentIOPoller {
+  /**
+   * enqueue(deliveryId, payload, metadata) persists an event for the queue
+   * worker and resolves once it is stored
+   */
+  constructor(incidentIOClient, config, logger, linkRegistry, enqueue) {
+    this.incidentIOClient = incidentIOClient;
+    this.config = config;
+    this.logger = logger;
+    this.linkRegistry = linkRegistry;
+    this.enqueue = enqueue;
+    this.store = new FileStore(config.file, { cursor: null }, logger);
+
+    this.pageSize = config.page_size || 100;
+
+    this.timer = null;
+    this.running = false;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling every interval_ms
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule(0);
+    this.logger.info('incident.io polling started', { interval_ms: this.config.interval_ms });
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedule(delay = this.config.interval_ms) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.poll()
+        .catch((error) => {
+          this.logger.error('incident.io poll failed', { error: error.message });
+        })
+        .finally(() => this.schedule());
+    }, delay);
+  }
+
+  /**
+   * The stored cursor, or initial_lookback_ms before now on first run
+   */
+  async getCursor() {
+    const data = await this.store.read();
+    return data.cursor || new Date(Date.now() - (this.config.initial_lookback_ms || 0)).toISOString();
+  }
+
+  /**
+   * All incidents updated at or after a timestamp, oldest update first
+   */
+  async listUpdatedSince(since) {
+    const incidents = [];
+    let after = null;
+
+    do {
+      const page = await this.incidentIOClient.getIncidentsPage({
+        limit: this.pageSize,
+        updated_after: since,
+        after
+      });
+      incidents.push(...page.incidents.filter(incident => Date.parse(incident.updated_at) >= Date.parse(since)));
+      after = page.after;
+    } while (after);
+
+    return incidents.sort((a, b) => Date.parse(a.updated_at) - Date.parse(b.updated_at));
+  }
+
+  /**
+   * Queue the incidents changed since the cursor. Resolves to the number queued.
+   */
+  async poll() {
+    if (this.polling) return 0;
+    this.polling = true;
+
+    try {
+      const cursor = await this.getCursor();
+      const incidents = await this.listUpdatedSince(cursor);
+      let queued = 0;
+
+      for (const incident of incidents) {
+        if (await this.queueIncident(incident)) {
+          queued++;
+        }
+        await this.store.update((data) => {
+          data.cursor = incident.updated_at;
+        });
+      }
+
+      if (queued > 0) {
+        this.logger.info('Queued incident.io changes from polling', { count: queued });
+      }
+      return queued;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Queue one incident version as a created or updated event, unless it has
+   * already been synced. Resolves to false when skipped.
+   */
+  async queueIncident(incident) {
+    const link = await this.linkRegistry.get(incident.id);
+    const lastUpdatedAt = link?.forward?.last_updated_at;
+    if (lastUpdatedAt && Date.parse(lastUpdatedAt) >= Date.parse(incident.updated_at)) {
+      return false;
+    }
+
+    const eventType = link
+      ? 'public_incident.incident_updated_v2'
+      : 'public_incident.incident_created_v2';
+    const deliveryId = `poll:${incident.id}:${incident.updated_at}`;
+
+    const payload = { event_type: eventType, [eventType]: incident, trigger: 'incident_io_poll' };
+    await this.enqueue(deliveryId, payload, { event_type: eventType, delivery_id: deliveryId });
+    return true;
+  }
+}
+
+module.exports = IncidentIOPoller;
@@ -0,0 +1,150 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const IncidentIOPoller = require('./incident-io-poller');
+const IncidentIOClient = require('./incident-io-client');
+const LinkRegistry = require('./link-registry');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const incident = (id, second) => ({
+  id,
+  name: `Incident ${id}`,
+  updated_at: `2030-01-01T00:00:${String(second).padStart(2, '0')}.000Z`
+});
+
+describe('IncidentIOPoller', () => {
+  let dir;
+  let linkRegistry;
+  let incidents;
+  let client;
+  let queued;
+  let claimed;
+
+  const createPoller = (config = {}) => new IncidentIOPoller(client, {
+    file: path.join(dir, 'incident-io-poll.json'),
+    page_size: 2,
+    ...config
+  }, logger, linkRegistry, async (deliveryId, payload, metadata) => {
+    // Like the queue, a delivery ID already claimed is not stored again
+    if (claimed.has(deliveryId)) return;
+    claimed.add(deliveryId);
+    queued.push({ deliveryId, payload, metadata });
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'incident-io-poller-'));
+    linkRegistry = new LinkRegistry({ file: path.join(dir, 'links.json'), instance: 'dev' }, logger);
+    incidents = [];
+    queued = [];
+    claimed = new Set();
+
+    // Stand-in for GET /incidents: filters on updated_at[gte], pages by an
+    // opaque after cursor and returns each page in no particular order
+    client = new IncidentIOClient({ api_key: 'key' }, logger);
+    client.client.get = jest.fn(async (url, { params }) => {
+      const matching = incidents.filter(i => !params['updated_at[gte]'] || i.updated_at >= params['updated_at[gte]']);
+      const start = params.after ? Number(params.after) : 0;
+      const end = start + params.page_size;
+      return {
+        data: {
+          incidents: matching.slice(start, end).reverse(),
+          pagination_meta: end < matching.length ? { after: String(end), page_size: params.page_size } : { page_size: params.page_size }
+        }
+      };
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const markSynced = async (id, updatedAt) => {
+    await linkRegistry.upsert(id, { sys_id: `sys-${id}` });
+    await linkRegistry.updateState(id, 'forward', (forward) => {
+      forward.last_updated_at = updatedAt;
+    });
+  };
+
+  test('lists from the cursor with updated_at[gte] and follows pagination_meta.after through every page', async () => {
+    incidents = [incident('01A', 7), incident('01B', 5), incident('01C', 6), incident('01D', 9), incident('01E', 8)];
+    await linkRegistry.upsert('01B', { sys_id: 'sys1' });
+    const poller = createPoller();
+    await poller.store.write({ cursor: '2030-01-01T00:00:05.000Z' });
+
+    expect(await poller.poll()).toBe(5);
+
+    expect(client.client.get.mock.calls.map(([, { params }]) => params)).toEqual([
+      { page_size: 2, 'updated_at[gte]': '2030-01-01T00:00:05.000Z' },
+      { page_size: 2, 'updated_at[gte]': '2030-01-01T00:00:05.000Z', after: '2' },
+      { page_size: 2, 'updated_at[gte]': '2030-01-01T00:00:05.000Z', after: '4' }
+    ]);
+    // Sorted across pages, oldest update first
+    expect(queued.map(({ deliveryId }) => deliveryId)).toEqual([
+      'poll:01B:2030-01-01T00:00:05.000Z',
+      'poll:01C:2030-01-01T00:00:06.000Z',
+      'poll:01A:2030-01-01T00:00:07.000Z',
+      'poll:01E:2030-01-01T00:00:08.000Z',
+      'poll:01D:2030-01-01T00:00:09.000Z'
+    ]);
+    expect(queued[0].payload).toEqual({
+      event_type: 'public_incident.incident_updated_v2',
+      'public_incident.incident_updated_v2': incidents[1],
+      trigger: 'incident_io_poll'
+    });
+    expect(queued[1].metadata).toEqual({ event_type: 'public_incident.incident_created_v2', delivery_id: 'poll:01C:2030-01-01T00:00:06.000Z' });
+    expect(await poller.getCursor()).toBe('2030-01-01T00:00:09.000Z');
+  });
+
+  test('drops incidents older than the cursor and versions already synced', async () => {
+    incidents = [incident('01A', 4), incident('01B', 6), incident('01C', 7)];
+    client.client.get.mockResolvedValueOnce({ data: { incidents, pagination_meta: {} } });
+    await markSynced('01B', '2030-01-01T00:00:06.000Z');
+    await markSynced('01C', '2030-01-01T00:00:03.000Z');
+    const poller = createPoller();
+    await poller.store.write({ cursor: '2030-01-01T00:00:05.000Z' });
+
+    expect(await poller.poll()).toBe(1);
+    expect(queued.map(({ deliveryId }) => deliveryId)).toEqual(['poll:01C:2030-01-01T00:00:07.000Z']);
+  });
+
+  test('queues every incident sharing the cursor timestamp across a page boundary once', async () => {
+    incidents = [incident('01A', 5), incident('01B', 5)];
+    const poller = createPoller({ page_size: 1 });
+
+    await poller.store.write({ cursor: '2030-01-01T00:00:05.000Z' });
+    expect(await poller.poll()).toBe(2);
+    expect(await poller.getCursor()).toBe('2030-01-01T00:00:05.000Z');
+
+    // 01A has been synced, 01B is still waiting in the queue, and 01C was
+    // updated in the same instant after the last poll
+    await markSynced('01A', '2030-01-01T00:00:05.000Z');
+    incidents.push(incident('01C', 5));
+    queued = [];
+
+    await poller.poll();
+    expect(client.client.get.mock.calls.at(-1)[1].params).toMatchObject({ 'updated_at[gte]': '2030-01-01T00:00:05.000Z' });
+    expect(queued.map(({ deliveryId }) => deliveryId)).toEqual(['poll:01C:2030-01-01T00:00:05.000Z']);
+    expect([...claimed]).toHaveLength(3);
+  });
+
+  test('starts initial_lookback_ms before the first run', async () => {
+    const poller = createPoller({ initial_lookback_ms: 60000 });
+    const before = Date.now() - 61000;
+
+    expect(Date.parse(await poller.getCursor())).toBeGreaterThanOrEqual(before);
+    expect(Date.parse(await poller.getCursor())).toBeLessThanOrEqual(Date.now() - 60000);
+  });
+
+  test('keeps the cursor at the last incident queued when queueing fails', async () => {
+    incidents = [incident('01A', 5), incident('01B', 6)];
+    const poller = new IncidentIOPoller(client, { file: path.join(dir, 'incident-io-poll.json'), page_size: 2 }, logger, linkRegistry,
+      async (deliveryId) => {
+        if (deliveryId.startsWith('poll:01B')) throw new Error('disk full');
+      });
+    await poller.store.write({ cursor: '2030-01-01T00:00:00.000Z' });
+
+    await expect(poller.poll()).rejects.toThrow('disk full');
+    expect(await poller.getCursor()).toBe('2030-01-01T00:00:05.000Z');
+  });
+});
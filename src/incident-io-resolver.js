@@ -0,0 +1,132 @@
+/**
+ * incident.io Name Resolver
+ *
+ * Reverse mappings name incident.io statuses and severities ("Investigating",
+ * "Critical") instead of embedding organisation-specific IDs. This resolver
+ * turns those names into IDs using the organisation's own statuses, severities
+ * and custom fields, fetched from the API and cached for lookups.ttl_ms.
+ *
+ * Names are matched case-insensitively; values that already are IDs are
+ * passed through, so existing ID-based configuration keeps working.
+ * validate() is run at startup so a misspelt name fails fast instead of
+ * silently dropping updates.
+ */
+class IncidentIOResolver {
+  constructor(incidentIOClient, config, logger) {
+    this.incidentIOClient = incidentIOClient;
+    this.config = config;
+    this.logger = logger;
+    this.ttlMs = config.ttl_ms || 5 * 60 * 1000;
+    this.cache = null;
+    this.timestampCache = null;
+  }
+
+  /**
+   * Fetch statuses, severities and custom fields from incident.io
+   */
+  async refresh() {
+    const [statuses, severities, customFields] = await Promise.all([
+      this.incidentIOClient.getIncidentStatuses(),
+      this.incidentIOClient.getSeverities(),
+      this.incidentIOClient.getCustomFields()
+    ]);
+
+    this.cache = { statuses, severities, customFields, fetched_at: Date.now() };
+    this.logger.debug('Refreshed incident.io statuses, severities and custom fields', {
+      statuses: statuses.length,
+      severities: severities.length,
+      custom_fields: customFields.length
+    });
+    return this.cache;
+  }
+
+  /**
+   * Cached definitions, refreshed once they are older than the TTL
+   */
+  async getCatalog() {
+    if (!this.cache || Date.now() - this.cache.fetched_at > this.ttlMs) {
+      await this.refresh();
+    }
+    return this.cache;
+  }
+
+  /**
+   * Find an entry by ID or case-insensitive name
+   */
+  static find(entries, nameOrId) {
+    if (nameOrId === null || nameOrId === undefined || nameOrId === '') {
+      return null;
+    }
+    const key = String(nameOrId).trim().toLowerCase();
+    return entries.find(entry => entry.id === String(nameOrId) || entry.name?.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Resolve an incident status name (or ID) to its ID
+   */
+  async resolveStatusId(nameOrId) {
+    const { statuses } = await this.getCatalog();
+    return IncidentIOResolver.find(statuses, nameOrId)?.id || null;
+  }
+
+  /**
+   * Resolve a severity name (or ID) to its ID
+   */
+  async resolveSeverityId(nameOrId) {
+    const { severities } = await this.getCatalog();
+    return IncidentIOResolver.find(severities, nameOrId)?.id || null;
+  }
+
+  /**
+   * Custom field definitions
+   */
+  async getCustomFields() {
+    const { customFields } = await this.getCatalog();
+    return customFields;
+  }
+
+  /**
+   * Incident timestamp definitions. Fetched on first use rather than with the
+   * other definitions, since only reverse mappings to incident_timestamps need them.
+   */
+  async getIncidentTimestamps() {
+    if (!this.timestampCache || Date.now() - this.timestampCache.fetched_at > this.ttlMs) {
+      const timestamps = await this.incidentIOClient.getIncidentTimestamps();
+      this.timestampCache = { timestamps, fetched_at: Date.now() };
+    }
+    return this.timestampCache.timestamps;
+  }
+
+  /**
+   * Check that every configured status and severity name exists in the
+   * organisation. Always fetches fresh definitions; throws listing every
+   * unknown name.
+   */
+  async validate({ statuses = [], severities = [] }) {
+    const catalog = await this.refresh();
+
+    const unknown = [
+      ...[...new Set(statuses)]
+        .filter(name => !IncidentIOResolver.find(catalog.statuses, name))
+        .map(name => `incident status "${name}"`),
+      ...[...new Set(severities)]
+        .filter(name => !IncidentIOResolver.find(catalog.severities, name))
+        .map(name => `severity "${name}"`)
+    ];
+
+    if (unknown.length > 0) {
+      throw new Error(
+        `Reverse mappings refer to names that do not exist in incident.io: ${unknown.join(', ')}. ` +
+        `Available statuses: ${catalog.statuses.map(status => status.name).join(', ')}. ` +
+        `Available severities: ${catalog.severities.map(severity => severity.name).join(', ')}`
+      );
+    }
+
+    this.logger.info('Validated incident.io status and severity names', {
+      statuses: statuses.length,
+      severities: severities.length
+    });
+  }
+}
+
+module.exports = IncidentIOResolver;
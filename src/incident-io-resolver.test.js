@@ -0,0 +1,126 @@
+const IncidentIOResolver = require('./incident-io-resolver');
+const ReverseSyncHandler = require('./reverse-sync-handler');
+const FieldMapper = require('./field-mapper');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('IncidentIOResolver', () => {
+  let incidentIOClient;
+  let resolver;
+
+  beforeEach(() => {
+    incidentIOClient = {
+      getIncidentStatuses: jest.fn(async () => [
+        { id: '01ST-INV', name: 'Investigating' },
+        { id: '01ST-FIX', name: 'Fixing' }
+      ]),
+      getSeverities: jest.fn(async () => [
+        { id: '01SEV-CRIT', name: 'Critical' },
+        { id: '01SEV-MIN', name: 'Minor' }
+      ]),
+      getCustomFields: jest.fn(async () => [{ id: '01CF-TEAM', name: 'Team' }]),
+      getIncidentTimestamps: jest.fn(async () => [{ id: '01TS-REP', name: 'Reported at' }])
+    };
+    resolver = new IncidentIOResolver(incidentIOClient, { ttl_ms: 1000 }, logger);
+  });
+
+  test('resolves names case-insensitively and passes IDs through', async () => {
+    expect(await resolver.resolveStatusId('fixing')).toBe('01ST-FIX');
+    expect(await resolver.resolveStatusId(' INVESTIGATING ')).toBe('01ST-INV');
+    expect(await resolver.resolveStatusId('01ST-FIX')).toBe('01ST-FIX');
+    expect(await resolver.resolveSeverityId('critical')).toBe('01SEV-CRIT');
+    expect(await resolver.resolveSeverityId('01SEV-MIN')).toBe('01SEV-MIN');
+  });
+
+  test('resolves unknown, empty and foreign names to null', async () => {
+    expect(await resolver.resolveStatusId('Closed')).toBeNull();
+    expect(await resolver.resolveStatusId('')).toBeNull();
+    expect(await resolver.resolveStatusId(null)).toBeNull();
+    // A severity name is not a status
+    expect(await resolver.resolveStatusId('Critical')).toBeNull();
+  });
+
+  test('caches definitions for ttl_ms', async () => {
+    const realNow = Date.now;
+    const start = realNow();
+    try {
+      Date.now = () => start;
+      await resolver.resolveStatusId('Fixing');
+      await resolver.resolveSeverityId('Minor');
+      await resolver.getCustomFields();
+      await resolver.getIncidentTimestamps();
+      await resolver.getIncidentTimestamps();
+      expect(incidentIOClient.getIncidentStatuses).toHaveBeenCalledTimes(1);
+      expect(incidentIOClient.getIncidentTimestamps).toHaveBeenCalledTimes(1);
+
+      Date.now = () => start + 1001;
+      await resolver.resolveStatusId('Fixing');
+      await resolver.getIncidentTimestamps();
+      expect(incidentIOClient.getIncidentStatuses).toHaveBeenCalledTimes(2);
+      expect(incidentIOClient.getIncidentTimestamps).toHaveBeenCalledTimes(2);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('validates configured names against fresh definitions', async () => {
+    await resolver.resolveStatusId('Fixing');
+    await resolver.validate({ statuses: ['investigating', '01ST-FIX'], severities: ['Critical'] });
+
+    expect(incidentIOClient.getIncidentStatuses).toHaveBeenCalledTimes(2);
+    expect(logger.info).toHaveBeenCalledWith('Validated incident.io status and severity names', { statuses: 2, severities: 1 });
+  });
+
+  test('fails validation listing every unknown name once, with the names available', async () => {
+    await expect(resolver.validate({ statuses: ['Triage', 'Fixing', 'Triage'], severities: ['Sev 1'] })).rejects.toThrow(
+      'Reverse mappings refer to names that do not exist in incident.io: incident status "Triage", severity "Sev 1". ' +
+      'Available statuses: Investigating, Fixing. Available severities: Critical, Minor'
+    );
+  });
+});
+
+describe('ReverseSyncHandler.validateIncidentIONames', () => {
+  const resolver = { validate: jest.fn(async () => {}) };
+  const createHandler = (features, mappingsConfig = {}) => new ReverseSyncHandler({}, {}, { features }, logger,
+    new FieldMapper(mappingsConfig, logger), null, { incidentIOResolver: resolver });
+
+  beforeEach(() => {
+    resolver.validate.mockClear();
+  });
+
+  test('checks the names of the enabled status and severity mappings', async () => {
+    await createHandler({ reverse_sync: true, sync_status: true }, {
+      reverse_mappings: {
+        fields: {
+          incident_status_id: {
+            source: 'servicenow.incident_state',
+            type: 'choice_mapping',
+            requires_feature: 'sync_status',
+            mappings: { '2': 'Fixing', '3': 'Monitoring' },
+            fallback: 'Investigating'
+          },
+          severity_id: {
+            source: 'servicenow.priority',
+            type: 'choice_mapping',
+            requires_feature: 'sync_severity',
+            mappings: { '1': 'Critical' }
+          }
+        }
+      }
+    }).validateIncidentIONames();
+
+    expect(resolver.validate).toHaveBeenCalledWith({ statuses: ['Fixing', 'Monitoring', 'Investigating'], severities: [] });
+  });
+
+  test('checks the built-in names when no reverse mappings are configured', async () => {
+    await createHandler({ reverse_sync: true, sync_severity: true }).validateIncidentIONames();
+
+    expect(resolver.validate).toHaveBeenCalledWith({ statuses: [], severities: ['Critical', 'Major', 'Minor', 'Minor', 'Minor'] });
+  });
+
+  test('skips validation when nothing syncs to incident.io', async () => {
+    await createHandler({ sync_status: true }).validateIncidentIONames();
+
+    expect(resolver.validate).not.toHaveBeenCalled();
+  });
+});
@@ -10,7 +10,6 @@
 
 require('dotenv').config();
 
-const path = require('path');
 const App = require('./app');
 
 // Handle uncaught exceptions gracefully
@@ -24,6 +23,180 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
+/**
+ * Create a quiet logger for one-off CLI commands
+ */
+function createCliLogger() {
+  const winston = require('winston');
+  return winston.createLogger({
+    level: process.env.LOG_LEVEL || 'warn',
+    format: winston.format.simple(),
+    transports: [new winston.transports.Console()]
+  });
+}
+
+/**
+ * Run a dead-letter management command against the local store files
+ */
+async function runDeadLetterCommand(command, id) {
+  const ConfigManager = require('./config-manager');
+  const DeadLetterStore = require('./dead-letter-store');
+  const WebhookQueue = require('./webhook-queue');
+
+  const config = new ConfigManager();
+  await config.load();
+
+  const logger = createCliLogger();
+  const deadLetterStore = new DeadLetterStore(config.dead_letters, logger);
+  const queue = new WebhookQueue(config.queue, logger, deadLetterStore);
+
+  switch (command) {
+    case 'list': {
+      const entries = await deadLetterStore.list();
+      if (entries.length === 0) {
+        console.log('📭 No dead-lettered events');
+        return;
+      }
+      console.log(`📬 ${entries.length} dead-lettered event(s):`);
+      for (const entry of entries) {
+        console.log(`   ${entry.id}  ${entry.type}  ${entry.error.classification}  attempts=${entry.attempts}  ${entry.failed_at}  ${entry.error.message}`);
+      }
+      return;
+    }
+
+    case 'show': {
+      const entry = id && await deadLetterStore.get(id);
+      if (!entry) throw new Error(`Dead letter ${id} not found`);
+      console.log(JSON.stringify(entry, null, 2));
+      return;
+    }
+
+    case 'replay': {
+      const job = id && await deadLetterStore.replay(id, queue);
+      if (!job) throw new Error(`Dead letter ${id} not found`);
+      console.log(`✅ Re-queued as job ${job.id} (processed by the running service or on next start)`);
+      return;
+    }
+
+    case 'replay-all': {
+      const jobs = await deadLetterStore.replayAll(queue);
+      console.log(`✅ Re-queued ${jobs.length} dead-lettered event(s)`);
+      return;
+    }
+
+    case 'discard': {
+      const removed = id && await deadLetterStore.remove(id);
+      if (!removed) throw new Error(`Dead letter ${id} not found`);
+      console.log(`🗑️  Discarded dead letter ${id}`);
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown dead-letter command: ${command}`);
+  }
+}
+
+/**
+ * Rebuild the link registry from ServiceNow records carrying an incident.io ID
+ */
+async function rebuildLinks() {
+  const ConfigManager = require('./config-manager');
+  const ServiceNowClient = require('./servicenow-client');
+  const LinkRegistry = require('./link-registry');
+
+  const config = new ConfigManager();
+  await config.load();
+
+  const logger = createCliLogger();
+  const serviceNowClient = new ServiceNowClient(config.servicenow, logger);
+  const linkRegistry = new LinkRegistry(config.links, logger);
+
+  const count = await linkRegistry.rebuild(serviceNowClient, config.servicenow.incident_id_field);
+  console.log(`✅ Link registry rebuilt with ${count} link(s)`);
+}
+
+/**
+ * Print the sync audit history for an incident
+ */
+async function showHistory(identifier) {
+  const ConfigManager = require('./config-manager');
+  const AuditLog = require('./audit-log');
+
+  if (!identifier) {
+    throw new Error('Usage: --history <incident.io ID | ServiceNow number | sys_id>');
+  }
+
+  const config = new ConfigManager();
+  await config.load();
+
+  const auditLog = new AuditLog(config.audit, createCliLogger());
+  const entries = (await auditLog.history(identifier)).reverse();
+
+  if (entries.length === 0) {
+    console.log(`📭 No sync history for ${identifier}`);
+    return;
+  }
+
+  console.log(`📜 ${entries.length} sync(s) for ${identifier}:`);
+  for (const entry of entries) {
+    const direction = entry.direction === 'forward' ? 'incident.io → ServiceNow' : 'ServiceNow → incident.io';
+    const detail = entry.error || entry.reason || '';
+    console.log(`   ${entry.timestamp}  ${direction}  ${entry.operation}  ${entry.outcome}  trigger=${entry.trigger}  ${entry.duration_ms}ms  ${detail}`);
+    for (const [field, change] of Object.entries(entry.fields || {})) {
+      console.log(`      ${field}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`);
+    }
+  }
+}
+
+/**
+ * Print a reconciliation report
+ */
+function printReconciliationReport(report) {
+  console.log(`📋 Reconciliation ${report.id} (${report.mode}, since ${report.since}, finished ${report.finished_at})`);
+  console.log(`   Checked ${report.checked}: ${report.in_sync} in sync, ${report.drifted.length} drifted, ${report.missing.length} missing in ServiceNow, ${report.errors.length} failed`);
+  if (report.truncated) {
+    console.log('   ⚠️  Stopped at max_incidents; narrow the window with --since');
+  }
+
+  for (const entry of report.drifted) {
+    const status = entry.fixed ? '  (fixed)' : entry.remaining ? `  (still drifted: ${entry.remaining.join(', ')})` : '';
+    console.log(`   ${entry.incident_io_id}  ${entry.number}${status}`);
+    for (const change of entry.fields) {
+      console.log(`      ${change.field}: ServiceNow ${JSON.stringify(change.actual)}, expected ${JSON.stringify(change.expected)}`);
+    }
+  }
+  for (const entry of report.missing) {
+    console.log(`   ${entry.incident_io_id}  ${entry.reference || ''}  not in ServiceNow${entry.fixed ? '  (created)' : ''}`);
+  }
+  for (const entry of report.errors) {
+    console.log(`   ${entry.incident_io_id}  failed: ${entry.error}`);
+  }
+}
+
+/**
+ * Reconcile recently updated incidents, or show the last report with --last
+ */
+async function runReconciliation(args) {
+  const optionValue = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+
+  const app = new App();
+  await app.initialize();
+
+  const report = args.includes('--last')
+    ? await app.reconciler.getLatestReport()
+    : await app.reconciler.run({
+      mode: args.includes('--fix') ? 'fix' : 'report',
+      since: optionValue('--since'),
+      trigger: 'cli'
+    });
+
+  if (!report) {
+    console.log('📭 No reconciliation report yet');
+    return;
+  }
+  printReconciliationReport(report);
+}
+
 /**
  * Main entry point
  */
@@ -36,7 +209,7 @@ async function main() {
     
     // Create and start the application
     const app = new App();
-    const server = await app.start();
+    await app.start();
 
     console.log('✅ Integration started successfully!');
     console.log('📊 Health check: GET /health');
@@ -55,21 +228,14 @@ async function main() {
     // Graceful shutdown handling
     const shutdown = async (signal) => {
       console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
-      
-      if (server) {
-        server.close(() => {
-          console.log('✅ HTTP server closed');
-          process.exit(0);
-        });
-        
-        // Force close after 10 seconds
-        setTimeout(() => {
-          console.log('⚠️  Forcing shutdown after timeout');
-          process.exit(1);
-        }, 10000);
-      } else {
-        process.exit(0);
-      }
+
+      // Force close after 10 seconds
+      setTimeout(() => {
+        console.log('⚠️  Forcing shutdown after timeout');
+        process.exit(1);
+      }, 10000).unref();
+
+      await app.shutdown(signal);
     };
 
     process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -95,6 +261,12 @@ async function main() {
       console.error('\n   You can set these in a .env file or as environment variables');
     }
 
+    if (error.message.includes('do not exist in incident.io')) {
+      console.error('\n💡 Quick fix:');
+      console.error('   Update the status/severity names in config/field-mappings.json (reverse_mappings.fields)');
+      console.error('   to match the names listed above');
+    }
+
     console.error('\n📚 For more help, see the README.md or docs/');
     process.exit(1);
   }
@@ -115,6 +287,16 @@ Options:
   --version, -v       Show version information
   --validate-config   Validate configuration files
   --health-check      Run health check and exit
+  --dead-letters <command> [id]
+                      Manage dead-lettered sync events. Commands:
+                      list, show <id>, replay <id>, replay-all, discard <id>
+  --rebuild-links     Rebuild the local incident link registry from ServiceNow
+  --history <id>      Show the sync history for an incident (incident.io ID,
+                      ServiceNow number or sys_id)
+  --reconcile [--fix] [--since <ISO time>] [--last]
+                      Compare recently updated incidents with ServiceNow and
+                      report drift (--fix re-syncs drifted incidents, --last
+                      shows the most recent report)
 
 Environment Variables:
   INCIDENT_IO_API_KEY     incident.io API key (required)
@@ -136,6 +318,10 @@ Examples:
   node src/index.js                    # Start the integration
   node src/index.js --validate-config  # Validate configuration
   node src/index.js --health-check     # Run health check
+  node src/index.js --dead-letters list
+  node src/index.js --dead-letters replay <id>
+  node src/index.js --history INC0012345
+  node src/index.js --reconcile --since 2024-01-01T00:00:00Z
 
 For more information, visit: https://github.com/your-org/incident-servicenow-sync
 `);
@@ -194,6 +380,50 @@ For more information, visit: https://github.com/your-org/incident-servicenow-syn
     return;
   }
   
+  if (args.includes('--dead-letters')) {
+    const [command = 'list', id] = args.slice(args.indexOf('--dead-letters') + 1);
+
+    runDeadLetterCommand(command, id)
+      .then(() => process.exit(0))
+      .catch((error) => {
+        console.error('❌ Dead-letter command failed:', error.message);
+        process.exit(1);
+      });
+    return;
+  }
+
+  if (args.includes('--rebuild-links')) {
+    console.log('🔗 Rebuilding link registry from ServiceNow...');
+
+    rebuildLinks()
+      .then(() => process.exit(0))
+      .catch((error) => {
+        console.error('❌ Link registry rebuild failed:', error.message);
+        process.exit(1);
+      });
+    return;
+  }
+
+  if (args.includes('--history')) {
+    showHistory(args[args.indexOf('--history') + 1])
+      .then(() => process.exit(0))
+      .catch((error) => {
+        console.error('❌ History lookup failed:', error.message);
+        process.exit(1);
+      });
+    return;
+  }
+
+  if (args.includes('--reconcile')) {
+    runReconciliation(args)
+      .then(() => process.exit(0))
+      .catch((error) => {
+        console.error('❌ Reconciliation failed:', error.message);
+        process.exit(1);
+      });
+    return;
+  }
+
   // Default: start the main application
   main();
 }
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * Journal-Based Work Note Sync
+ *
+ * Posts new ServiceNow work notes to incident.io, one update per note, with
+ * the author's display name. Enabled with features.journal_work_notes.
+ *
+ * Notes are read from sys_journal_field rather than diffed out of the
+ * work_notes blob sent by the business rule, which breaks when notes are
+ * edited, truncated, or arrive together. A high-water mark kept per record in
+ * the link registry ("journal" section) holds the sys_created_on of the last
+ * processed note plus the IDs processed at that timestamp, since several notes
+ * can share a second. Notes are read from the mark a page (journal.page_size)
+ * at a time. Before a record has a mark, notes older than both the link and
+ * the change that triggered the sync are ignored; the link may be created (or
+ * rebuilt) only when that change is processed.
+ *
+ * Notes written by the integration user (forward sync and timeline backfill)
+ * are skipped, so they are not echoed back into incident.io.
+ */
+class JournalSync {
+  constructor(serviceNowClient, incidentIOClient, config, logger, linkRegistry) {
+    this.serviceNowClient = serviceNowClient;
+    this.incidentIOClient = incidentIOClient;
+    this.config = config;
+    this.logger = logger;
+    this.linkRegistry = linkRegistry;
+    this.pageSize = config.page_size || 100;
+  }
+
+  /**
+   * Convert an ISO timestamp to ServiceNow's "YYYY-MM-DD HH:mm:ss" (UTC)
+   */
+  static toGlideDateTime(isoTimestamp) {
+    return new Date(isoTimestamp).toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  /**
+   * Format one work note as an incident.io update message
+   */
+  formatUpdate(entry, author) {
+    return `ServiceNow Work Note (${author}): ${entry.value.trim()}`;
+  }
+
+  /**
+   * Move the high-water mark past a processed note
+   */
+  async markProcessed(incidentIOId, entry) {
+    await this.linkRegistry.updateState(incidentIOId, 'journal', (journal) => {
+      if (journal.last_created_on !== entry.sys_created_on) {
+        journal.last_created_on = entry.sys_created_on;
+        journal.ids_at_mark = [];
+      }
+      journal.ids_at_mark = [...(journal.ids_at_mark || []), entry.sys_id];
+    });
+  }
+
+  /**
+   * Post the record's work notes added since the high-water mark, oldest
+   * first. changedOn is the glide sys_updated_on of the triggering change.
+   * Resolves to [{ entry_id, update_id }] for the notes posted.
+   */
+  async sync(incidentIOId, sysId, changedOn = null) {
+    const link = await this.linkRegistry.get(incidentIOId);
+    if (!link) {
+      this.logger.warn('Incident is not in the link registry, skipping work note sync', {
+        incident_io_id: incidentIOId,
+        sys_id: sysId
+      });
+      return [];
+    }
+
+    const journal = link.journal || {};
+    const linkedOn = JournalSync.toGlideDateTime(link.created_at);
+    let since = journal.last_created_on || (changedOn && changedOn < linkedOn ? changedOn : linkedOn);
+    let processed = new Set(journal.ids_at_mark || []);
+
+    const posted = [];
+    for (;;) {
+      // Notes already processed at the mark are left out, so every page is new
+      const entries = await this.serviceNowClient.getJournalEntries(sysId, 'work_notes', since, {
+        limit: this.pageSize,
+        excludeIds: [...processed]
+      });
+
+      for (const entry of entries) {
+        const fromIntegration = this.config.integration_user && entry.sys_created_by === this.config.integration_user;
+        if (!fromIntegration && entry.value?.trim()) {
+          const author = await this.serviceNowClient.getUserDisplayName(entry.sys_created_by);
+          const result = await this.incidentIOClient.addIncidentUpdate(incidentIOId, this.formatUpdate(entry, author));
+          posted.push({ entry_id: entry.sys_id, update_id: result?.update?.id || null });
+        }
+
+        // Recorded one by one so a failure part-way never posts a note twice
+        await this.markProcessed(incidentIOId, entry);
+        if (entry.sys_created_on !== since) {
+          since = entry.sys_created_on;
+          processed = new Set();
+        }
+        processed.add(entry.sys_id);
+      }
+
+      if (entries.length < this.pageSize) {
+        break;
+      }
+    }
+
+    if (posted.length > 0) {
+      this.logger.info('Posted ServiceNow work notes to incident.io', {
+        sys_id: sysId,
+        incident_io_id: incidentIOId,
+        notes: posted.length
+      });
+    }
+    return posted;
+  }
+}
+
+module.exports = JournalSync;
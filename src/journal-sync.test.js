@@ -0,0 +1,90 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const JournalSync = require('./journal-sync');
+const LinkRegistry = require('./link-registry');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const note = (id, second, extra = {}) => ({
+  sys_id: id,
+  element: 'work_notes',
+  value: `Note ${id}`,
+  sys_created_on: `2030-01-01 00:00:${String(second).padStart(2, '0')}`,
+  sys_created_by: 'jdoe',
+  ...extra
+});
+
+describe('JournalSync', () => {
+  let dir;
+  let linkRegistry;
+  let journal;
+  let serviceNowClient;
+  let incidentIOClient;
+
+  const createSync = (config = {}) => new JournalSync(serviceNowClient, incidentIOClient,
+    { integration_user: 'sync', page_size: 2, ...config }, logger, linkRegistry);
+  const posted = () => incidentIOClient.addIncidentUpdate.mock.calls.map(([, message]) => message);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-sync-'));
+    linkRegistry = new LinkRegistry({ file: path.join(dir, 'links.json'), instance: 'dev' }, logger);
+    await linkRegistry.upsert('01A', { sys_id: 'sys1', number: 'INC0010001' });
+    await linkRegistry.updateState('01A', 'journal', (state) => {
+      state.last_created_on = '2030-01-01 00:00:00';
+      state.ids_at_mark = [];
+    });
+
+    // Stand-in for sys_journal_field: created at or after since, oldest first, paged
+    journal = [];
+    serviceNowClient = {
+      getJournalEntries: jest.fn(async (sysId, element, since, { limit, excludeIds }) => journal
+        .filter(entry => entry.sys_created_on >= since && !excludeIds.includes(entry.sys_id))
+        .slice(0, limit)),
+      getUserDisplayName: jest.fn(async userName => (userName === 'jdoe' ? 'Jane Doe' : userName))
+    };
+    incidentIOClient = {
+      addIncidentUpdate: jest.fn(async () => ({ update: { id: 'upd' } }))
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('posts every new note across several pages, including notes sharing a second', async () => {
+    journal = [note('n1', 1), note('n2', 2), note('n3', 2), note('n4', 2), note('n5', 3)];
+
+    expect(await createSync().sync('01A', 'sys1')).toHaveLength(5);
+    expect(posted()).toEqual(['n1', 'n2', 'n3', 'n4', 'n5'].map(id => `ServiceNow Work Note (Jane Doe): Note ${id}`));
+    expect((await linkRegistry.get('01A')).journal).toEqual({ last_created_on: '2030-01-01 00:00:03', ids_at_mark: ['n5'] });
+
+    expect(await createSync().sync('01A', 'sys1')).toEqual([]);
+  });
+
+  test('skips notes by the integration user and blank notes but moves past them', async () => {
+    journal = [note('n1', 1, { sys_created_by: 'sync' }), note('n2', 2, { value: ' ' }), note('n3', 3)];
+
+    expect(await createSync().sync('01A', 'sys1')).toEqual([{ entry_id: 'n3', update_id: 'upd' }]);
+    expect((await linkRegistry.get('01A')).journal.last_created_on).toBe('2030-01-01 00:00:03');
+  });
+
+  test('leaves out the notes already processed at the mark', async () => {
+    journal = [note('n1', 1), note('n2', 1), note('n3', 1)];
+    await linkRegistry.updateState('01A', 'journal', (state) => {
+      state.last_created_on = '2030-01-01 00:00:01';
+      state.ids_at_mark = ['n1', 'n2'];
+    });
+
+    expect(await createSync().sync('01A', 'sys1')).toEqual([{ entry_id: 'n3', update_id: 'upd' }]);
+    expect(serviceNowClient.getJournalEntries).toHaveBeenCalledWith('sys1', 'work_notes', '2030-01-01 00:00:01', {
+      limit: 2,
+      excludeIds: ['n1', 'n2']
+    });
+  });
+
+  test('does nothing for records without a link', async () => {
+    expect(await createSync().sync('01UNLINKED', 'sys9')).toEqual([]);
+    expect(serviceNowClient.getJournalEntries).not.toHaveBeenCalled();
+  });
+});
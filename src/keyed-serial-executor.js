@@ -0,0 +1,40 @@
+/**
+ * Per-key serial executor.
+ *
+ * Tasks submitted with the same key run one after another in submission order;
+ * tasks with different keys run in parallel. A failing task does not stop the
+ * tasks queued behind it.
+ */
+class KeyedSerialExecutor {
+  constructor() {
+    this.tails = new Map(); // key -> promise settling when the last queued task finishes
+  }
+
+  /**
+   * Queue a task behind any earlier tasks for the same key
+   */
+  run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const result = previous.then(() => task());
+    const tail = result.catch(() => {});
+
+    this.tails.set(key, tail);
+    tail.then(() => {
+      // Forget the key once nothing else has been queued behind this task
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Number of keys with queued or running tasks
+   */
+  get activeKeys() {
+    return this.tails.size;
+  }
+}
+
+module.exports = KeyedSerialExecutor;
@@ -0,0 +1,60 @@
+const KeyedSerialExecutor = require('./keyed-serial-executor');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('KeyedSerialExecutor', () => {
+  let executor;
+  let events;
+
+  const task = (name, ms = 10) => async () => {
+    events.push(`start ${name}`);
+    await sleep(ms);
+    events.push(`end ${name}`);
+    return name;
+  };
+
+  beforeEach(() => {
+    executor = new KeyedSerialExecutor();
+    events = [];
+  });
+
+  test('runs tasks for one key one after another, in submission order', async () => {
+    const results = await Promise.all([
+      executor.run('a', task('a1', 20)),
+      executor.run('a', task('a2', 5)),
+      executor.run('a', task('a3', 1))
+    ]);
+
+    expect(results).toEqual(['a1', 'a2', 'a3']);
+    expect(events).toEqual(['start a1', 'end a1', 'start a2', 'end a2', 'start a3', 'end a3']);
+  });
+
+  test('runs tasks for different keys in parallel', async () => {
+    await Promise.all([
+      executor.run('a', task('a1', 20)),
+      executor.run('b', task('b1', 5))
+    ]);
+
+    expect(events).toEqual(['start a1', 'start b1', 'end b1', 'end a1']);
+  });
+
+  test('keeps running the chain after a task rejects', async () => {
+    const failed = executor.run('a', async () => {
+      throw new Error('Sync failed');
+    });
+    const next = executor.run('a', task('a2'));
+
+    await expect(failed).rejects.toThrow('Sync failed');
+    await expect(next).resolves.toBe('a2');
+  });
+
+  test('forgets keys once their tasks have finished', async () => {
+    const running = executor.run('a', task('a1'));
+    executor.run('b', task('b1'));
+    expect(executor.activeKeys).toBe(2);
+
+    await running;
+    await sleep(20);
+    expect(executor.activeKeys).toBe(0);
+  });
+});
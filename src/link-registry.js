@@ -0,0 +1,183 @@
+/**
+ * incident.io ↔ ServiceNow Link Registry
+ *
+ * Local record of which ServiceNow incident belongs to which incident.io
+ * incident. The sync handlers consult it before querying ServiceNow, which
+ * saves a round-trip per event and keeps working even if the
+ * u_incident_io_id column is cleared. ServiceNow remains the source of truth:
+ * lookups fall back to querying it, and the registry can be rebuilt from it.
+ *
+ * Each link stores the incident.io ID, sys_id, number, table and instance it
+ * belongs to, plus created/last-synced timestamps and named sections of sync
+ * state kept per incident pair. Links recorded against a different instance or
+ * table than the one currently configured are ignored.
+ */
+const FileStore = require('./file-store');
+
+class LinkRegistry {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.instance = config.instance;
+    this.table = config.table || 'incident';
+    this.store = new FileStore(config.file, { links: {} }, logger);
+  }
+
+  /**
+   * Check that a link belongs to the configured instance and table
+   */
+  isCurrent(link) {
+    return link && link.instance === this.instance && link.table === this.table;
+  }
+
+  /**
+   * Get the link for an incident.io incident
+   */
+  async get(incidentIOId) {
+    const data = await this.store.read();
+    const link = data.links[incidentIOId];
+    return this.isCurrent(link) ? link : null;
+  }
+
+  /**
+   * Get the link for a ServiceNow record
+   */
+  async findBySysId(sysId) {
+    const data = await this.store.read();
+    return Object.values(data.links).find(link => link.sys_id === sysId && this.isCurrent(link)) || null;
+  }
+
+  /**
+   * Create or refresh the link for an incident.io incident
+   */
+  async upsert(incidentIOId, serviceNowIncident) {
+    const now = new Date().toISOString();
+
+    return this.store.update((data) => {
+      const existing = this.isCurrent(data.links[incidentIOId]) ? data.links[incidentIOId] : null;
+
+      data.links[incidentIOId] = {
+        ...existing,
+        incident_io_id: incidentIOId,
+        sys_id: serviceNowIncident.sys_id,
+        number: serviceNowIncident.number || existing?.number || null,
+        table: this.table,
+        instance: this.instance,
+        created_at: existing?.created_at || now,
+        last_synced_at: now
+      };
+
+      if (!existing) {
+        this.logger.debug('Recorded incident link', {
+          incident_id: incidentIOId,
+          servicenow_sys_id: serviceNowIncident.sys_id
+        });
+      }
+
+      return data.links[incidentIOId];
+    });
+  }
+
+  /**
+   * Update a named section of per-link sync state (e.g. attachment checksums).
+   * The mutator receives the section object and may modify it in place; its
+   * return value is passed through. Does nothing if the incident is not linked.
+   */
+  async updateState(incidentIOId, section, mutator) {
+    return this.store.update((data) => {
+      const link = data.links[incidentIOId];
+      if (!this.isCurrent(link)) {
+        return undefined;
+      }
+
+      link[section] = link[section] || {};
+      return mutator(link[section]);
+    });
+  }
+
+  /**
+   * Remove the link for an incident.io incident
+   */
+  async remove(incidentIOId) {
+    return this.store.update((data) => {
+      const existed = Boolean(data.links[incidentIOId]);
+      delete data.links[incidentIOId];
+      return existed;
+    });
+  }
+
+  /**
+   * List all links for the configured instance and table
+   */
+  async list() {
+    const data = await this.store.read();
+    return Object.values(data.links).filter(link => this.isCurrent(link));
+  }
+
+  /**
+   * Rebuild the registry from ServiceNow records that carry an incident.io ID,
+   * paged by (sys_updated_on, sys_id). Records whose ID is blank are skipped.
+   * Existing timestamps are kept for links that are still present.
+   */
+  async rebuild(serviceNowClient, incidentIdField = 'u_incident_io_id') {
+    const pageSize = 100;
+    const records = [];
+    let skipped = 0;
+    let after = null;
+
+    for (;;) {
+      const page = await serviceNowClient.getLinkedIncidents({
+        limit: pageSize,
+        after,
+        fields: ['sys_id', 'number', 'sys_updated_on', incidentIdField]
+      });
+      for (const record of page) {
+        if (String(record[incidentIdField] ?? '').trim()) {
+          records.push(record);
+        } else {
+          skipped++;
+        }
+      }
+      if (page.length < pageSize) break;
+      after = page[page.length - 1];
+    }
+
+    if (skipped > 0) {
+      this.logger.warn('Skipped ServiceNow records with a blank incident.io ID', { field: incidentIdField, count: skipped });
+    }
+
+    const now = new Date().toISOString();
+    const links = await this.store.update((data) => {
+      const previous = data.links;
+      data.links = {};
+
+      for (const record of records) {
+        const incidentIOId = String(record[incidentIdField]).trim();
+        const existing = this.isCurrent(previous[incidentIOId]) ? previous[incidentIOId] : null;
+
+        data.links[incidentIOId] = {
+          ...existing,
+          incident_io_id: incidentIOId,
+          sys_id: record.sys_id,
+          number: record.number,
+          table: this.table,
+          instance: this.instance,
+          created_at: existing?.created_at || now,
+          last_synced_at: existing?.last_synced_at || null
+        };
+      }
+      const count = Object.keys(data.links).length;
+
+      // Keep links for other instances/tables untouched
+      for (const [id, link] of Object.entries(previous)) {
+        if (!this.isCurrent(link)) data.links[id] = link;
+      }
+      return count;
+    });
+
+    this.logger.info('Link registry rebuilt from ServiceNow', { links });
+    return links;
+  }
+}
+
+module.exports = LinkRegistry;
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LinkRegistry = require('./link-registry');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const record = (sysId, incidentIOId, second = 0) => ({
+  sys_id: sysId,
+  number: `INC${sysId}`,
+  u_incident_io_id: incidentIOId,
+  sys_updated_on: `2030-01-01 00:00:${String(second).padStart(2, '0')}`
+});
+
+describe('LinkRegistry', () => {
+  let dir;
+  let file;
+  let registry;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'link-registry-'));
+    file = path.join(dir, 'links.json');
+    registry = new LinkRegistry({ file, instance: 'dev' }, logger);
+    logger.warn.mockClear();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('updateState', () => {
+    test('creates the section and passes the mutator result through', async () => {
+      await registry.upsert('01A', { sys_id: 'sys1', number: 'INC001' });
+
+      expect(await registry.updateState('01A', 'attachments', (attachments) => {
+        attachments.a1 = 'sha1';
+        return 'stored';
+      })).toBe('stored');
+      await registry.updateState('01A', 'attachments', (attachments) => {
+        attachments.a2 = 'sha2';
+      });
+
+      expect((await registry.get('01A')).attachments).toEqual({ a1: 'sha1', a2: 'sha2' });
+    });
+
+    test('keeps sections when the link is refreshed', async () => {
+      await registry.upsert('01A', { sys_id: 'sys1', number: 'INC001' });
+      await registry.updateState('01A', 'forward', (forward) => {
+        forward.last_updated_at = '2030-01-01T00:00:00Z';
+      });
+      await registry.upsert('01A', { sys_id: 'sys1' });
+
+      expect(await registry.get('01A')).toMatchObject({ number: 'INC001', forward: { last_updated_at: '2030-01-01T00:00:00Z' } });
+    });
+
+    test('does nothing for incidents that are not linked, or linked on another instance', async () => {
+      await new LinkRegistry({ file, instance: 'prod' }, logger).upsert('01B', { sys_id: 'sys2' });
+      const mutator = jest.fn();
+
+      expect(await registry.updateState('01A', 'forward', mutator)).toBeUndefined();
+      expect(await registry.updateState('01B', 'forward', mutator)).toBeUndefined();
+      expect(mutator).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rebuild', () => {
+    let records;
+    let serviceNowClient;
+
+    beforeEach(() => {
+      records = [];
+      // Stand-in for the Table API: ordered by (sys_updated_on, sys_id), paged by keyset
+      serviceNowClient = {
+        getLinkedIncidents: jest.fn(async ({ limit, after }) => records
+          .filter(r => !after || r.sys_updated_on > after.sys_updated_on ||
+            (r.sys_updated_on === after.sys_updated_on && r.sys_id > after.sys_id))
+          .slice(0, limit))
+      };
+    });
+
+    test('replaces the links of this instance and keeps the rest', async () => {
+      const prod = new LinkRegistry({ file, instance: 'prod' }, logger);
+      await prod.upsert('01P', { sys_id: 'sysP' });
+      await registry.upsert('01A', { sys_id: 'old', number: 'INC000' });
+      await registry.updateState('01A', 'forward', (forward) => {
+        forward.last_updated_at = '2030-01-01T00:00:00Z';
+      });
+      await registry.upsert('01Z', { sys_id: 'gone' });
+      const { created_at: createdAt } = await registry.get('01A');
+      records = [record('sys1', '01A'), record('sys2', '01B')];
+
+      expect(await registry.rebuild(serviceNowClient)).toBe(2);
+
+      expect(await registry.get('01A')).toMatchObject({
+        sys_id: 'sys1',
+        number: 'INCsys1',
+        created_at: createdAt,
+        forward: { last_updated_at: '2030-01-01T00:00:00Z' }
+      });
+      expect(await registry.get('01B')).toMatchObject({ sys_id: 'sys2', last_synced_at: null });
+      expect(await registry.get('01Z')).toBeNull();
+      expect(await prod.get('01P')).toMatchObject({ sys_id: 'sysP' });
+    });
+
+    test('pages by sys_updated_on and sys_id through every record', async () => {
+      for (let i = 0; i < 250; i++) {
+        records.push(record(`sys${String(i).padStart(3, '0')}`, `01-${i}`, Math.floor(i / 120)));
+      }
+
+      expect(await registry.rebuild(serviceNowClient)).toBe(250);
+
+      const calls = serviceNowClient.getLinkedIncidents.mock.calls.map(([options]) => options);
+      expect(calls.map(({ after }) => after?.sys_id ?? null)).toEqual([null, 'sys099', 'sys199']);
+      expect(calls[0].fields).toEqual(['sys_id', 'number', 'sys_updated_on', 'u_incident_io_id']);
+      expect(calls[0]).not.toHaveProperty('offset');
+    });
+
+    test('skips records whose incident.io ID is blank', async () => {
+      records = [
+        { ...record('sys1', ' 01A '), u_ref: ' 01A ' },
+        { ...record('sys2', null), u_ref: '  ' },
+        { ...record('sys3', null), u_ref: '' },
+        { ...record('sys4', null) }
+      ];
+
+      expect(await registry.rebuild(serviceNowClient, 'u_ref')).toBe(1);
+
+      expect((await registry.list()).map(link => link.incident_io_id)).toEqual(['01A']);
+      expect(logger.warn).toHaveBeenCalledWith('Skipped ServiceNow records with a blank incident.io ID', { field: 'u_ref', count: 3 });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const StateStore = require('./state-store');
+
+/**
+ * In-process state store. State is lost on restart and not shared between replicas.
+ */
+class MemoryStateStore extends StateStore {
+  constructor(config = {}, logger) {
+    super(config, logger);
+    this.entries = new Map(); // key -> { value, expiresAt }
+  }
+
+  isLive(entry) {
+    return entry && (!entry.expiresAt || entry.expiresAt > Date.now());
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!this.isLive(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs = null) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+    this.prune();
+  }
+
+  async setIfAbsent(key, value, ttlMs = null) {
+    if (this.isLive(this.entries.get(key))) {
+      return false;
+    }
+    await this.set(key, value, ttlMs);
+    return true;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async deleteIfEquals(key, value) {
+    const entry = this.entries.get(key);
+    if (!this.isLive(entry) || entry.value !== value) {
+      return false;
+    }
+    this.entries.delete(key);
+    return true;
+  }
+
+  async expireIfEquals(key, value, ttlMs) {
+    const entry = this.entries.get(key);
+    if (!this.isLive(entry) || entry.value !== value) {
+      return false;
+    }
+    entry.expiresAt = Date.now() + ttlMs;
+    return true;
+  }
+
+  /**
+   * Drop expired entries
+   */
+  prune() {
+    for (const [key, entry] of this.entries.entries()) {
+      if (!this.isLive(entry)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryStateStore;
@@ -0,0 +1,154 @@
+/**
+ * Origin Tracking for Sync Loop Prevention
+ *
+ * Every write the integration makes in one system comes back as a change
+ * notification from that system. Instead of suppressing all forward sync for
+ * a while after a reverse sync (which loses real edits made in that window),
+ * changes are recognised by where they came from:
+ *
+ * - ServiceNow changes reported as made by the integration user (updated_by)
+ *   are ours
+ * - incident.io changes whose updater is our API key (as reported by the
+ *   identity endpoint) are ours
+ * - field-value fingerprints of what was last written to each record catch any
+ *   echo left: a field whose current value is exactly what we wrote is not
+ *   synced back
+ *
+ * Fingerprints are kept in the shared state store for fingerprint_ttl_ms, keyed
+ * by system and record ("origin:servicenow:<sys_id>", "origin:incident_io:<id>").
+ */
+const crypto = require('crypto');
+
+class OriginTracker {
+  constructor(config = {}, logger, stateStore, incidentIOClient = null) {
+    this.config = config;
+    this.logger = logger;
+    this.stateStore = stateStore;
+    this.incidentIOClient = incidentIOClient;
+    this.integrationUser = config.integration_user || null;
+    this.ttlMs = config.fingerprint_ttl_ms || 86400000;
+    this.identity = null;
+  }
+
+  /**
+   * Fingerprint a field value. Reference objects ({ link, value }) and
+   * incident.io objects ({ id, ... }) are reduced to their ID first.
+   */
+  static fingerprint(value) {
+    let normalized = value;
+    if (normalized && typeof normalized === 'object') {
+      normalized = normalized.value ?? normalized.id ?? JSON.stringify(normalized);
+    }
+    normalized = normalized === null || normalized === undefined ? '' : String(normalized).trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+  }
+
+  key(system, recordId) {
+    return `origin:${system}:${recordId}`;
+  }
+
+  /**
+   * Remember the values just written to a record ({ field: value })
+   */
+  async recordWrite(system, recordId, fields) {
+    const entries = Object.entries(fields).filter(([, value]) => value !== undefined);
+    if (!recordId || entries.length === 0) {
+      return;
+    }
+
+    try {
+      const existing = (await this.stateStore.get(this.key(system, recordId))) || {};
+      for (const [field, value] of entries) {
+        existing[field] = OriginTracker.fingerprint(value);
+      }
+      await this.stateStore.set(this.key(system, recordId), existing, this.ttlMs);
+    } catch (error) {
+      // Without fingerprints the other checks still apply
+      this.logger.warn('Failed to record write fingerprints', {
+        system,
+        record_id: recordId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Names of the fields whose current value is exactly what we last wrote.
+   * A field seen with any other value has changed since our write, so its
+   * fingerprint is dropped: changing it back to the written value later is a
+   * real edit, not an echo.
+   */
+  async findEchoedFields(system, recordId, currentValues) {
+    const key = this.key(system, recordId);
+    try {
+      const fingerprints = await this.stateStore.get(key);
+      if (!fingerprints) {
+        return [];
+      }
+
+      const echoed = [];
+      const remaining = { ...fingerprints };
+      for (const [field, value] of Object.entries(currentValues)) {
+        if (!fingerprints[field]) {
+          continue;
+        }
+        if (fingerprints[field] === OriginTracker.fingerprint(value)) {
+          echoed.push(field);
+        } else {
+          delete remaining[field];
+        }
+      }
+
+      if (Object.keys(remaining).length === 0) {
+        await this.stateStore.delete(key);
+      } else if (Object.keys(remaining).length < Object.keys(fingerprints).length) {
+        await this.stateStore.set(key, remaining, this.ttlMs);
+      }
+      return echoed;
+    } catch (error) {
+      this.logger.warn('Failed to read write fingerprints', {
+        system,
+        record_id: recordId,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Whether a ServiceNow change was made by the integration user
+   */
+  isOwnServiceNowChange(updatedBy) {
+    return Boolean(this.integrationUser && updatedBy === this.integrationUser);
+  }
+
+  /**
+   * The identity of our incident.io API key, fetched once. Resolves to null
+   * (and is retried next time) if the identity endpoint is unavailable.
+   */
+  async getIdentity() {
+    if (this.identity || !this.incidentIOClient) {
+      return this.identity;
+    }
+
+    try {
+      this.identity = await this.incidentIOClient.getIdentity();
+    } catch (error) {
+      this.logger.warn('Failed to fetch incident.io identity', { error: error.message });
+    }
+    return this.identity;
+  }
+
+  /**
+   * Whether an incident.io actor (an update's "updater") is our API key
+   */
+  async isOwnIncidentIOActor(actor) {
+    if (!actor?.api_key) {
+      return false;
+    }
+    const identity = await this.getIdentity();
+    return Boolean(identity?.name && actor.api_key.name === identity.name);
+  }
+}
+
+module.exports = OriginTracker;
@@ -0,0 +1,106 @@
+const OriginTracker = require('./origin-tracker');
+const MemoryStateStore = require('./memory-state-store');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('OriginTracker', () => {
+  let stateStore;
+  let incidentIOClient;
+  let tracker;
+
+  beforeEach(() => {
+    stateStore = new MemoryStateStore({}, logger);
+    incidentIOClient = { getIdentity: jest.fn(async () => ({ name: 'ServiceNow sync', roles: ['global'] })) };
+    tracker = new OriginTracker({ integration_user: 'svc_incident_sync', fingerprint_ttl_ms: 1000 }, logger, stateStore, incidentIOClient);
+  });
+
+  test('recognises ServiceNow changes made by the integration user', () => {
+    expect(tracker.isOwnServiceNowChange('svc_incident_sync')).toBe(true);
+    expect(tracker.isOwnServiceNowChange('jdoe')).toBe(false);
+    expect(tracker.isOwnServiceNowChange(undefined)).toBe(false);
+    expect(new OriginTracker({}, logger, stateStore).isOwnServiceNowChange(undefined)).toBe(false);
+  });
+
+  test('recognises incident.io changes made with our API key', async () => {
+    expect(await tracker.isOwnIncidentIOActor({ api_key: { id: 'k1', name: 'ServiceNow sync' } })).toBe(true);
+    expect(await tracker.isOwnIncidentIOActor({ api_key: { id: 'k2', name: 'Statuspage bot' } })).toBe(false);
+    expect(await tracker.isOwnIncidentIOActor({ user: { name: 'ServiceNow sync' } })).toBe(false);
+    expect(await tracker.isOwnIncidentIOActor(null)).toBe(false);
+    expect(incidentIOClient.getIdentity).toHaveBeenCalledTimes(1);
+  });
+
+  test('treats API key actors as not ours until the identity can be fetched', async () => {
+    incidentIOClient.getIdentity
+      .mockRejectedValueOnce(new Error('503 Service Unavailable'))
+      .mockResolvedValueOnce({ name: 'ServiceNow sync' });
+    const actor = { api_key: { name: 'ServiceNow sync' } };
+
+    expect(await tracker.isOwnIncidentIOActor(actor)).toBe(false);
+    expect(logger.warn).toHaveBeenCalledWith('Failed to fetch incident.io identity', { error: '503 Service Unavailable' });
+    expect(await tracker.isOwnIncidentIOActor(actor)).toBe(true);
+  });
+
+  test('reports fields whose value is exactly what was written', async () => {
+    await tracker.recordWrite('servicenow', 'sys1', {
+      state: '2',
+      assignment_group: { link: 'https://dev/api/now/table/sys_user_group/g1', value: 'g1' },
+      short_description: 'Checkout down '
+    });
+
+    expect(await tracker.findEchoedFields('servicenow', 'sys1', {
+      state: '2',
+      assignment_group: 'g1',
+      short_description: 'Checkout down',
+      impact: '1'
+    })).toEqual(['state', 'assignment_group', 'short_description']);
+  });
+
+  test('drops the fingerprint of a field that changed since the write', async () => {
+    await tracker.recordWrite('incident_io', '01A', { severity: { id: 'sev_major', name: 'Major' }, name: 'Checkout down' });
+
+    expect(await tracker.findEchoedFields('incident_io', '01A', { severity: { id: 'sev_minor' }, name: 'Checkout down' }))
+      .toEqual(['name']);
+    expect(await stateStore.get('origin:incident_io:01A')).toEqual({ name: OriginTracker.fingerprint('Checkout down') });
+
+    // Changing it back to the written value later is a real edit
+    expect(await tracker.findEchoedFields('incident_io', '01A', { severity: { id: 'sev_major' } })).toEqual([]);
+
+    expect(await tracker.findEchoedFields('incident_io', '01A', { name: 'Payments down' })).toEqual([]);
+    expect(await stateStore.get('origin:incident_io:01A')).toBeNull();
+  });
+
+  test('forgets writes after fingerprint_ttl_ms', async () => {
+    const realNow = Date.now;
+    const start = realNow();
+    try {
+      Date.now = () => start;
+      await tracker.recordWrite('servicenow', 'sys1', { state: '2' });
+
+      Date.now = () => start + 999;
+      expect(await tracker.findEchoedFields('servicenow', 'sys1', { state: '2' })).toEqual(['state']);
+
+      Date.now = () => start + 1001;
+      expect(await tracker.findEchoedFields('servicenow', 'sys1', { state: '2' })).toEqual([]);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('ignores undefined values and writes without a record', async () => {
+    await tracker.recordWrite('servicenow', 'sys1', { state: undefined });
+    await tracker.recordWrite('servicenow', null, { state: '2' });
+
+    expect(stateStore.entries.size).toBe(0);
+  });
+
+  test('keeps syncing when the state store fails', async () => {
+    stateStore.get = async () => {
+      throw new Error('connection refused');
+    };
+
+    await tracker.recordWrite('servicenow', 'sys1', { state: '2' });
+    expect(await tracker.findEchoedFields('servicenow', 'sys1', { state: '2' })).toEqual([]);
+    expect(logger.warn).toHaveBeenCalledWith('Failed to record write fingerprints', expect.objectContaining({ record_id: 'sys1' }));
+    expect(logger.warn).toHaveBeenCalledWith('Failed to read write fingerprints', expect.objectContaining({ record_id: 'sys1' }));
+  });
+});
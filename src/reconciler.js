@@ -0,0 +1,324 @@
+/**
+ * Drift Reconciliation
+ *
+ * A missed webhook leaves the two systems out of step until the incident
+ * happens to change again. The reconciler periodically collects the linked
+ * incidents updated within a window, from both sides:
+ *
+ * - incident.io incidents updated since the window start (getIncidentsPage)
+ * - ServiceNow records carrying an incident.io ID whose sys_updated_on is in
+ *   the window, paged by (sys_updated_on, sys_id)
+ *
+ * For each, the forward update mapping is run against the live incident.io
+ * incident and compared with the live ServiceNow record, the same way forward
+ * sync decides what changed. Work notes, fields owned by ServiceNow and
+ * last_writer_wins fields that ServiceNow wrote last (field_ownership) are not
+ * compared, since forward sync would not overwrite them either.
+ *
+ * In "report" mode the differences are only recorded. In "fix" mode drifted
+ * incidents are re-synced through the incident handler (so locks, ownership
+ * and loop prevention all apply) and compared again; an incident only counts
+ * as fixed when no drift is left. incident.io incidents with no ServiceNow
+ * record are created when reconciliation.create_missing is on.
+ *
+ * The most recent reports are kept in a local file, shared with the CLI.
+ */
+const crypto = require('crypto');
+const FileStore = require('./file-store');
+const ServiceNowClient = require('./servicenow-client');
+
+const MODES = ['report', 'fix'];
+
+class Reconciler {
+  constructor(serviceNowClient, incidentIOClient, fieldMapper, config, logger, dependencies = {}) {
+    this.serviceNowClient = serviceNowClient;
+    this.incidentIOClient = incidentIOClient;
+    this.fieldMapper = fieldMapper;
+    this.config = config;
+    this.logger = logger;
+    this.incidentHandler = dependencies.incidentHandler;
+    this.store = new FileStore(config.file, { reports: [] }, logger);
+
+    this.pageSize = config.page_size || 100;
+    this.maxIncidents = config.max_incidents || 500;
+
+    this.timer = null;
+    this.scheduled = false;
+    this.current = null;
+  }
+
+  /**
+   * Run reconciliation every interval_ms in the configured mode
+   */
+  start() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    this.schedule();
+    this.logger.info('Reconciliation scheduled', {
+      interval_ms: this.config.interval_ms,
+      window_ms: this.config.window_ms,
+      mode: this.config.mode
+    });
+  }
+
+  stop() {
+    this.scheduled = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedule() {
+    if (!this.scheduled) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.run({ trigger: 'schedule' })
+        .catch((error) => {
+          this.logger.error('Scheduled reconciliation failed', { error: error.message });
+        })
+        .finally(() => this.schedule());
+    }, this.config.interval_ms);
+  }
+
+  /**
+   * Reconcile incidents updated since options.since (ISO, default window_ms
+   * ago). options.mode overrides the configured mode. A run already in
+   * progress is joined rather than started twice. Resolves to the report.
+   */
+  async run(options = {}) {
+    if (this.current) {
+      return this.current;
+    }
+
+    this.current = this.reconcile(options).finally(() => {
+      this.current = null;
+    });
+    return this.current;
+  }
+
+  async reconcile(options = {}) {
+    const mode = options.mode || this.config.mode || 'report';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown reconciliation mode "${mode}" (expected one of ${MODES.join(', ')})`);
+    }
+
+    const sinceTime = options.since ? Date.parse(options.since) : Date.now() - this.config.window_ms;
+    if (isNaN(sinceTime)) {
+      throw new Error(`Invalid reconciliation window start: ${options.since}`);
+    }
+    const since = new Date(sinceTime).toISOString();
+
+    const report = {
+      id: crypto.randomUUID(),
+      mode,
+      trigger: options.trigger || 'manual',
+      since,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      checked: 0,
+      in_sync: 0,
+      drifted: [],
+      missing: [],
+      errors: [],
+      truncated: false
+    };
+
+    this.logger.info('Starting reconciliation', { id: report.id, mode, since });
+
+    try {
+      const candidates = await this.collectCandidates(since, report);
+
+      for (const [incidentIOId, candidate] of candidates) {
+        try {
+          await this.reconcileIncident(incidentIOId, candidate, mode, report);
+        } catch (error) {
+          this.logger.warn('Failed to reconcile incident', { incident_io_id: incidentIOId, error: error.message });
+          report.errors.push({ incident_io_id: incidentIOId, error: error.message });
+        }
+      }
+
+      report.finished_at = new Date().toISOString();
+      await this.saveReport(report);
+
+      this.logger.info('Reconciliation completed', {
+        id: report.id,
+        mode,
+        checked: report.checked,
+        in_sync: report.in_sync,
+        drifted: report.drifted.length,
+        missing: report.missing.length,
+        errors: report.errors.length
+      });
+      return report;
+    } catch (error) {
+      this.logger.error('Reconciliation failed', { id: report.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Incidents updated in the window on either side, keyed by incident.io ID,
+   * with the ServiceNow record when it was already fetched ({ record })
+   */
+  async collectCandidates(since, report) {
+    const candidates = new Map();
+    const add = (incidentIOId, values) => {
+      if (candidates.size >= this.maxIncidents && !candidates.has(incidentIOId)) {
+        report.truncated = true;
+        return;
+      }
+      candidates.set(incidentIOId, { ...candidates.get(incidentIOId), ...values });
+    };
+
+    let after = null;
+    do {
+      const page = await this.incidentIOClient.getIncidentsPage({
+        limit: this.pageSize,
+        updated_after: since,
+        after
+      });
+      for (const incident of page.incidents) {
+        if (incident.updated_at >= since) {
+          add(incident.id, {});
+        }
+      }
+      after = page.after;
+    } while (after && !report.truncated);
+
+    const idField = this.serviceNowClient.config.incident_id_field || 'u_incident_io_id';
+    const updatedSince = ServiceNowClient.normalizeValue(since);
+    let last = null;
+    for (let fetched = 0; !report.truncated; fetched += this.pageSize) {
+      if (fetched >= this.maxIncidents) {
+        report.truncated = true;
+        break;
+      }
+      const records = await this.serviceNowClient.getLinkedIncidents({
+        limit: this.pageSize,
+        updatedSince,
+        after: last
+      });
+      for (const record of records) {
+        add(record[idField], { record });
+      }
+      if (records.length < this.pageSize) break;
+      last = records[records.length - 1];
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Compare one incident with its ServiceNow record and, in fix mode, re-sync it
+   */
+  async reconcileIncident(incidentIOId, candidate, mode, report) {
+    report.checked++;
+
+    const incidentData = await this.incidentIOClient.getIncident(incidentIOId);
+    const record = candidate.record || await this.incidentHandler.findServiceNowIncident(incidentIOId);
+
+    if (!record) {
+      const entry = {
+        incident_io_id: incidentIOId,
+        reference: incidentData.incident?.reference,
+        name: incidentData.incident?.name,
+        fixed: false
+      };
+      if (mode === 'fix' && this.config.create_missing) {
+        const created = await this.incidentHandler.createIncident(incidentIOId, null, { trigger: 'reconciliation' });
+        entry.fixed = Boolean(created);
+      }
+      report.missing.push(entry);
+      return;
+    }
+
+    const fields = await this.findDrift(incidentData, record);
+    if (fields.length === 0) {
+      report.in_sync++;
+      return;
+    }
+
+    const entry = {
+      incident_io_id: incidentIOId,
+      sys_id: record.sys_id,
+      number: record.number,
+      fields,
+      fixed: false
+    };
+    if (mode === 'fix') {
+      await this.incidentHandler.updateIncident(incidentIOId, null, { trigger: 'reconciliation' });
+      const updatedRecord = await this.serviceNowClient.getIncidentBySysId(record.sys_id);
+      const remaining = updatedRecord ? await this.findDrift(incidentData, updatedRecord) : fields;
+      entry.fixed = remaining.length === 0;
+      if (!entry.fixed) {
+        entry.remaining = remaining.map(change => change.field);
+      }
+    }
+    report.drifted.push(entry);
+
+    this.logger.info('Incident drift detected', {
+      incident_io_id: incidentIOId,
+      sys_id: record.sys_id,
+      fields: fields.map(change => change.field),
+      fixed: entry.fixed
+    });
+  }
+
+  /**
+   * Mapped fields whose value differs from the ServiceNow record:
+   * [{ field, expected, actual }]
+   */
+  async findDrift(incidentData, record) {
+    const mapped = await this.fieldMapper.mapForUpdate(incidentData, this.serviceNowClient, record);
+    // Only compared here, so nothing is logged as resolved
+    const { allowed } = this.fieldMapper.evaluateOwnership(
+      Object.keys(mapped).filter(field => field !== 'work_notes'),
+      'forward',
+      {
+        incident_io_id: incidentData.incident?.id,
+        servicenow_sys_id: record.sys_id,
+        incident_io_updated_at: incidentData.incident?.updated_at,
+        servicenow_updated_on: record.sys_updated_on
+      }
+    );
+
+    return Object.entries(mapped)
+      .filter(([field]) => allowed.includes(field))
+      .filter(([field, value]) =>
+        ServiceNowClient.normalizeValue(value) !== ServiceNowClient.normalizeValue(record[field])
+      )
+      .map(([field, value]) => ({
+        field,
+        expected: ServiceNowClient.normalizeValue(value),
+        actual: ServiceNowClient.normalizeValue(record[field])
+      }));
+  }
+
+  /**
+   * Keep the report, dropping the oldest beyond keep_reports
+   */
+  async saveReport(report) {
+    await this.store.update((data) => {
+      data.reports = [report, ...data.reports].slice(0, this.config.keep_reports || 10);
+    });
+  }
+
+  /**
+   * Recent reports, newest first
+   */
+  async listReports() {
+    const data = await this.store.read();
+    return data.reports;
+  }
+
+  /**
+   * The most recent report, or null
+   */
+  async getLatestReport() {
+    const [latest] = await this.listReports();
+    return latest || null;
+  }
+}
+
+module.exports = Reconciler;
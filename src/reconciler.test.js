@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Reconciler = require('./reconciler');
+const FieldMapper = require('./field-mapper');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const incident = (id, fields = {}) => ({
+  id,
+  name: `Incident ${id}`,
+  summary: 'Customers cannot pay',
+  updated_at: '2030-01-01T00:00:10Z',
+  ...fields
+});
+
+const record = (sysId, incidentIOId, fields = {}) => ({
+  sys_id: sysId,
+  number: `INC${sysId}`,
+  u_incident_io_id: incidentIOId,
+  short_description: `Incident ${incidentIOId}`,
+  description: 'Customers cannot pay',
+  u_impact_notes: 'From ServiceNow',
+  sys_updated_on: '2030-01-01 00:00:05',
+  ...fields
+});
+
+describe('Reconciler', () => {
+  let dir;
+  let incidents;
+  let records;
+  let serviceNowClient;
+  let incidentIOClient;
+  let incidentHandler;
+  let fieldMapper;
+
+  const createReconciler = (config = {}) => new Reconciler(serviceNowClient, incidentIOClient, fieldMapper, {
+    file: path.join(dir, 'reconciliation.json'),
+    mode: 'report',
+    window_ms: 3600000,
+    page_size: 2,
+    max_incidents: 10,
+    ...config
+  }, logger, { incidentHandler });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reconciler-'));
+    logger.info.mockClear();
+    incidents = {};
+    records = [];
+
+    fieldMapper = new FieldMapper({
+      incident_updates: {
+        short_description: { source: 'incident.name', type: 'text' },
+        description: { source: 'incident.summary', type: 'text' },
+        u_impact_notes: { source: 'incident.impact_notes', type: 'text' },
+        work_notes: { source: 'incident.most_recent_update_message', type: 'text' }
+      },
+      field_ownership: {
+        fields: { u_impact_notes: 'servicenow', description: 'last_writer_wins' }
+      }
+    }, logger);
+
+    // incident.io: one incident per page, newest pages last
+    incidentIOClient = {
+      getIncidentsPage: jest.fn(async ({ after }) => {
+        const list = Object.values(incidents);
+        const index = after ? Number(after) : 0;
+        return { incidents: list.slice(index, index + 1), after: index + 1 < list.length ? String(index + 1) : null };
+      }),
+      getIncident: jest.fn(async id => ({ incident: incidents[id] }))
+    };
+    serviceNowClient = {
+      config: { table: 'incident', incident_id_field: 'u_incident_io_id' },
+      getLinkedIncidents: jest.fn(async ({ limit, after }) => records
+        .filter(r => !after || r.sys_updated_on > after.sys_updated_on ||
+          (r.sys_updated_on === after.sys_updated_on && r.sys_id > after.sys_id))
+        .slice(0, limit)),
+      getIncidentBySysId: jest.fn(async sysId => records.find(r => r.sys_id === sysId) || null)
+    };
+    incidentHandler = {
+      findServiceNowIncident: jest.fn(async id => records.find(r => r.u_incident_io_id === id) || null),
+      updateIncident: jest.fn(async () => {}),
+      createIncident: jest.fn(async () => ({ sys_id: 'new' }))
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('reports drifted fields without logging ownership conflicts as resolved', async () => {
+    incidents['01A'] = incident('01A', { name: 'Checkout down', impact_notes: 'From incident.io', most_recent_update_message: 'Note' });
+    incidents['01B'] = incident('01B');
+    records = [record('s1', '01A'), record('s2', '01B')];
+
+    const report = await createReconciler().run();
+
+    expect(report).toMatchObject({ mode: 'report', checked: 2, in_sync: 1, missing: [], errors: [], truncated: false });
+    expect(report.drifted).toEqual([{
+      incident_io_id: '01A',
+      sys_id: 's1',
+      number: 'INCs1',
+      fields: [{ field: 'short_description', expected: 'Checkout down', actual: 'Incident 01A' }],
+      fixed: false
+    }]);
+    expect(incidentHandler.updateIncident).not.toHaveBeenCalled();
+    expect(logger.info).not.toHaveBeenCalledWith('Field ownership conflict resolved', expect.anything());
+    expect(await createReconciler().getLatestReport()).toEqual(report);
+  });
+
+  test('ignores last_writer_wins fields that ServiceNow wrote last', async () => {
+    incidents['01A'] = incident('01A', { summary: 'Changed in incident.io', updated_at: '2030-01-01T00:00:01Z' });
+    records = [record('s1', '01A', { sys_updated_on: '2030-01-01 00:00:05' })];
+    expect((await createReconciler().run()).in_sync).toBe(1);
+
+    incidents['01A'].updated_at = '2030-01-01T00:00:09Z';
+    expect((await createReconciler().run()).drifted[0].fields.map(change => change.field)).toEqual(['description']);
+  });
+
+  test('re-syncs drifted incidents in fix mode and only counts them fixed when no drift is left', async () => {
+    incidents['01A'] = incident('01A', { name: 'Checkout down' });
+    incidents['01B'] = incident('01B', { name: 'Search slow' });
+    records = [record('s1', '01A'), record('s2', '01B')];
+    incidentHandler.updateIncident.mockImplementation(async (id) => {
+      if (id === '01A') records[0].short_description = 'Checkout down';
+    });
+
+    const report = await createReconciler({ mode: 'report' }).run({ mode: 'fix' });
+
+    expect(incidentHandler.updateIncident).toHaveBeenCalledWith('01A', null, { trigger: 'reconciliation' });
+    expect(report.drifted).toEqual([
+      expect.objectContaining({ incident_io_id: '01A', fixed: true }),
+      expect.objectContaining({ incident_io_id: '01B', fixed: false, remaining: ['short_description'] })
+    ]);
+  });
+
+  test('reports incidents without a ServiceNow record and creates them when create_missing is on', async () => {
+    incidents['01A'] = incident('01A', { reference: 'INC-1' });
+
+    expect((await createReconciler().run()).missing).toEqual([{ incident_io_id: '01A', reference: 'INC-1', name: 'Incident 01A', fixed: false }]);
+    expect(incidentHandler.createIncident).not.toHaveBeenCalled();
+
+    const report = await createReconciler({ mode: 'fix', create_missing: true }).run();
+    expect(report.missing[0].fixed).toBe(true);
+    expect(incidentHandler.createIncident).toHaveBeenCalledWith('01A', null, { trigger: 'reconciliation' });
+  });
+
+  test('pages ServiceNow records by sys_updated_on and sys_id', async () => {
+    records = [record('s1', '01A'), record('s2', '01B'), record('s3', '01C'), record('s4', '01D', { sys_updated_on: '2030-01-01 00:00:06' })];
+    for (const { u_incident_io_id: id } of records) incidents[id] = incident(id);
+    incidentIOClient.getIncidentsPage.mockResolvedValue({ incidents: [], after: null });
+
+    const report = await createReconciler().run();
+
+    expect(report.checked).toBe(4);
+    expect(serviceNowClient.getLinkedIncidents.mock.calls.map(([{ after }]) => after?.sys_id ?? null)).toEqual([null, 's2', 's4']);
+  });
+
+  test('stops collecting at max_incidents', async () => {
+    for (const id of ['01A', '01B', '01C']) incidents[id] = incident(id);
+    records = [record('s1', '01A'), record('s4', '01D')];
+
+    const report = await createReconciler({ max_incidents: 2 }).run();
+    expect(report).toMatchObject({ checked: 2, truncated: true });
+  });
+
+  test('rejects unknown modes and window starts', async () => {
+    await expect(createReconciler().run({ mode: 'delete' })).rejects.toThrow('Unknown reconciliation mode "delete"');
+    await expect(createReconciler().run({ since: 'yesterday' })).rejects.toThrow('Invalid reconciliation window start: yesterday');
+  });
+});
@@ -0,0 +1,237 @@
+const net = require('net');
+const StateStore = require('./state-store');
+
+// Deletes KEYS[1] only while it still holds ARGV[1], so a lock that expired and
+// was taken by another replica is never released by its previous holder
+const DELETE_IF_EQUALS_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end";
+
+// Resets the TTL of KEYS[1] to ARGV[2] ms only while it still holds ARGV[1]
+const EXPIRE_IF_EQUALS_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) else return 0 end";
+
+/**
+ * State store backed by a Redis-protocol server, shared by all replicas.
+ *
+ * Speaks RESP directly over a single TCP connection and only uses basic
+ * commands (GET, SET with PX/NX, DEL, AUTH, SELECT) plus EVAL scripts for
+ * compare-and-delete and compare-and-expire, so Redis, Valkey, KeyDB or any stand-in with Lua
+ * scripting can serve it.
+ */
+class RedisStateStore extends StateStore {
+  constructor(config = {}, logger) {
+    super(config, logger);
+
+    const url = new URL(config.redis_url || 'redis://127.0.0.1:6379');
+    this.host = url.hostname;
+    this.port = parseInt(url.port || '6379');
+    this.username = decodeURIComponent(url.username || '');
+    this.password = decodeURIComponent(url.password || '');
+    this.database = url.pathname.length > 1 ? url.pathname.slice(1) : null;
+    this.keyPrefix = config.key_prefix || 'incident-sync:';
+    this.commandTimeout = config.command_timeout_ms || 5000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = []; // { resolve, reject, timer } in request order
+    this.buffer = Buffer.alloc(0);
+  }
+
+  async get(key) {
+    const raw = await this.command('GET', this.keyPrefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs = null) {
+    const args = ['SET', this.keyPrefix + key, JSON.stringify(value)];
+    if (ttlMs) args.push('PX', String(Math.ceil(ttlMs)));
+    await this.command(...args);
+  }
+
+  async setIfAbsent(key, value, ttlMs = null) {
+    const args = ['SET', this.keyPrefix + key, JSON.stringify(value)];
+    if (ttlMs) args.push('PX', String(Math.ceil(ttlMs)));
+    args.push('NX');
+    const reply = await this.command(...args);
+    return reply === 'OK';
+  }
+
+  async delete(key) {
+    await this.command('DEL', this.keyPrefix + key);
+  }
+
+  async deleteIfEquals(key, value) {
+    const reply = await this.command('EVAL', DELETE_IF_EQUALS_SCRIPT, '1', this.keyPrefix + key, JSON.stringify(value));
+    return reply === 1;
+  }
+
+  async expireIfEquals(key, value, ttlMs) {
+    const reply = await this.command('EVAL', EXPIRE_IF_EQUALS_SCRIPT, '1', this.keyPrefix + key, JSON.stringify(value), String(Math.ceil(ttlMs)));
+    return reply === 1;
+  }
+
+  async close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Send a command, connecting first if needed
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  /**
+   * Open the connection and authenticate / select the database
+   */
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+
+      socket.once('connect', () => {
+        this.socket = socket;
+        this.connecting = null;
+
+        const setup = [];
+        if (this.password) {
+          setup.push(this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]));
+        }
+        if (this.database) {
+          setup.push(this.send(['SELECT', this.database]));
+        }
+
+        Promise.all(setup).then(() => {
+          this.logger.info('Connected to Redis state store', { host: this.host, port: this.port });
+          resolve();
+        }, (error) => {
+          // Not usable unauthenticated or on the wrong database; reconnect next time
+          if (this.socket === socket) this.socket = null;
+          socket.destroy();
+          reject(error);
+        });
+      });
+
+      socket.on('data', (chunk) => this.onData(chunk));
+
+      socket.on('error', (error) => {
+        this.logger.error('Redis state store connection error', { error: error.message });
+        if (this.connecting) {
+          this.connecting = null;
+          reject(error);
+        }
+      });
+
+      socket.on('close', () => {
+        if (this.socket === socket) this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.failPending(new Error('Redis connection closed'));
+      });
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Write a command in RESP format and wait for its reply
+   */
+  send(args) {
+    const socket = this.socket;
+    if (!socket || socket.destroyed) {
+      // Its close handler has run or will run, and would never settle this reply
+      return Promise.reject(new Error('Redis connection closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // Replies are matched by order, so a lost reply poisons the connection
+        socket.destroy(new Error('Redis command timed out'));
+      }, this.commandTimeout);
+
+      this.pending.push({ resolve, reject, timer });
+
+      let payload = `*${args.length}\r\n`;
+      for (const arg of args) {
+        payload += `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`;
+      }
+      socket.write(payload);
+    });
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length > 0) {
+      const parsed = this.parseReply(this.buffer, 0);
+      if (!parsed) break; // incomplete reply, wait for more data
+
+      this.buffer = this.buffer.subarray(parsed.offset);
+      const request = this.pending.shift();
+      if (!request) continue;
+
+      clearTimeout(request.timer);
+      if (parsed.value instanceof Error) {
+        request.reject(parsed.value);
+      } else {
+        request.resolve(parsed.value);
+      }
+    }
+  }
+
+  /**
+   * Parse one RESP reply starting at offset. Returns null if incomplete.
+   */
+  parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new Error(line), offset: next };
+      case ':':
+        return { value: parseInt(line), offset: next };
+      case '$': {
+        const length = parseInt(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = parseInt(line);
+        if (count === -1) return { value: null, offset: next };
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parseReply(buffer, position);
+          if (!item) return null;
+          items.push(item.value);
+          position = item.offset;
+        }
+        return { value: items, offset: position };
+      }
+      default:
+        return { value: new Error(`Unexpected Redis reply type: ${type}`), offset: next };
+    }
+  }
+
+  failPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    for (const request of pending) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+  }
+}
+
+module.exports = RedisStateStore;
@@ -8,15 +8,19 @@
  * - Process ServiceNow incident update notifications
  * - Map ServiceNow field changes to incident.io format
  * - Handle priority/urgency/impact to severity mapping
- * - Prevent synchronization loops with cooldown mechanisms
+ * - Prevent synchronization loops by recognising the integration's own changes
  * - Support bulk update operations with rate limiting
+ * - Announce new ServiceNow attachments in incident.io (features.sync_attachments)
+ * - Declare incident.io incidents for new ServiceNow records that match
+ *   servicenow_inserts conditions (features.create_from_servicenow)
  * 
- * FIELD MAPPINGS:
+ * DEFAULT FIELD MAPPINGS:
  * - ServiceNow priority (1-5) → incident.io severity (Critical/Major/Minor)
  * - ServiceNow incident_state → incident.io status (workflow-compliant only)
  * - ServiceNow short_description → incident.io name  
  * - ServiceNow description → incident.io summary
- * - ServiceNow work_notes → incident.io updates/comments
+ * - ServiceNow work_notes → incident.io updates/comments (one per journal entry
+ *   with features.journal_work_notes)
  * 
  * STATUS MAPPING LIMITATIONS:
  * incident.io enforces workflow rules that only allow transitions between "live" statuses
@@ -24,102 +28,761 @@
  * by the platform. The mapping uses the closest allowed status for each ServiceNow state.
  * 
  * CONFIGURATION:
- * All field mappings are configured in config/field-mappings.json under the
- * "reverse_mappings" section. Severity UUIDs must match your incident.io organization.
+ * Field mappings are configured in config/field-mappings.json under
+ * "reverse_mappings.fields", using the same mapping types as forward sync. Without
+ * that section the built-in mappings above apply. Statuses and severities are
+ * given by name and resolved to your organization's IDs at startup and on a TTL.
  */
+const MemoryStateStore = require('./memory-state-store');
+const KeyedSerialExecutor = require('./keyed-serial-executor');
+const AuditLog = require('./audit-log');
+const IncidentIOResolver = require('./incident-io-resolver');
+const OriginTracker = require('./origin-tracker');
+
+// Built-in ServiceNow incident_state -> incident.io status name. Only "live"
+// statuses are used, since incident.io blocks workflow transitions to others.
+const DEFAULT_STATUS_NAMES = {
+  '1': 'Investigating', // New (can't use Triage)
+  '2': 'Investigating', // In Progress
+  '3': 'Monitoring',    // On Hold (closest to paused)
+  '6': 'Fixing',        // Resolved (can't use Closed)
+  '7': 'Fixing',        // Closed (can't use Closed)
+  '8': 'Fixing'         // Canceled (can't use Canceled)
+};
+
+// Built-in ServiceNow priority -> incident.io severity name
+const DEFAULT_SEVERITY_NAMES = {
+  '1': 'Critical',
+  '2': 'Major',
+  '3': 'Minor',
+  '4': 'Minor',
+  '5': 'Minor'
+};
+
+// Reverse mapping targets whose values are status/severity names
+const STATUS_TARGET = 'incident_status_id';
+const SEVERITY_TARGET = 'severity_id';
+
 class ReverseSyncHandler {
-  constructor(serviceNowClient, incidentIOClient, config, logger, fieldMapper = null, incidentHandler = null) {
+  constructor(serviceNowClient, incidentIOClient, config, logger, fieldMapper = null, incidentHandler = null, dependencies = {}) {
     this.serviceNowClient = serviceNowClient;
     this.incidentIOClient = incidentIOClient;
     this.config = config;
     this.logger = logger;
     this.fieldMapper = fieldMapper;
     this.incidentHandler = incidentHandler;
-    
-    // Track processing to prevent loops
-    this.processingUpdates = new Set();
+    this.linkRegistry = dependencies.linkRegistry || null;
+    this.auditLog = dependencies.auditLog || null;
+    this.attachmentSync = dependencies.attachmentSync || null;
+    this.timelineSync = dependencies.timelineSync || null;
+    this.journalSync = dependencies.journalSync || null;
+    // Resolves status/severity names and custom fields against incident.io
+    this.resolver = dependencies.incidentIOResolver || new IncidentIOResolver(incidentIOClient, {}, logger);
+    // Shared store for processing locks (same instance the incident handler uses)
+    this.stateStore = dependencies.stateStore || new MemoryStateStore({}, logger);
+    // Recognises changes the integration made itself (loop prevention)
+    this.originTracker = dependencies.originTracker || new OriginTracker({}, logger, this.stateStore);
+
+    // Locks held by this process (sys_id -> lock token)
+    this.processingUpdates = new Map();
+    // Updates for the same ServiceNow record run one at a time, in arrival order
+    this.executor = new KeyedSerialExecutor();
+  }
+
+  /**
+   * Run a task for a ServiceNow record after any earlier tasks for it have
+   * finished, holding the record's shared processing lock
+   */
+  async runSerially(sysId, task) {
+    return this.executor.run(sysId, async () => {
+      // Wait for any replica still processing this record
+      const lockToken = await this.stateStore.waitForLock(`servicenow:${sysId}`);
+      if (!lockToken) {
+        throw new Error(`Timed out waiting for processing lock on ServiceNow record ${sysId}`);
+      }
+
+      this.processingUpdates.set(sysId, lockToken);
+      const stopRenewal = this.stateStore.keepLockAlive(`servicenow:${sysId}`, lockToken);
+      try {
+        return await task();
+      } finally {
+        stopRenewal();
+        this.processingUpdates.delete(sysId);
+        await this.stateStore.releaseLock(`servicenow:${sysId}`, lockToken);
+      }
+    });
   }
 
   /**
    * Handle ServiceNow incident update
    */
-  async handleServiceNowUpdate(sysId, updatedFields, oldValues = {}) {
-    this.logger.info('Processing ServiceNow → incident.io sync', { 
-      sys_id: sysId,
-      updated_fields: updatedFields
+  async handleServiceNowUpdate(sysId, updatedFields, oldValues = {}, options = {}) {
+    return this.runSerially(sysId, () => this.syncServiceNowUpdate(sysId, updatedFields, oldValues, options));
+  }
+
+  /**
+   * Handle attachments added to a ServiceNow incident (features.sync_attachments)
+   */
+  async handleServiceNowAttachment(sysId) {
+    if (!this.attachmentSync || !this.config.features?.sync_attachments) {
+      this.logger.debug('Attachment sync disabled, skipping', { sys_id: sysId });
+      return null;
+    }
+
+    return this.runSerially(sysId, async () => {
+      const result = await this.attachmentSync.syncToIncidentIO(sysId);
+      if (result.update_id) {
+        await this.markUpdatePosted(result.incident_io_id, result.update_id);
+      }
+      return result;
     });
+  }
+
+  /**
+   * Handle an incident inserted in ServiceNow (features.create_from_servicenow)
+   */
+  async handleServiceNowInsert(sysId, options = {}) {
+    if (!this.config.features?.create_from_servicenow) {
+      this.logger.debug('Creating incidents from ServiceNow disabled, skipping', { sys_id: sysId });
+      return null;
+    }
+
+    return this.runSerially(sysId, () => this.createFromServiceNow(sysId, options));
+  }
+
+  /**
+   * Declare an incident.io incident for a new ServiceNow record and write its
+   * ID back (caller must hold the record's turn). Records created by forward
+   * sync are recognised and skipped.
+   */
+  async createFromServiceNow(sysId, options = {}) {
+    this.logger.info('Processing ServiceNow insert', { sys_id: sysId });
+
+    const startedAt = Date.now();
+    const audit = {
+      operation: 'create',
+      trigger: options.trigger || 'manual',
+      sys_id: sysId
+    };
+
+    try {
+      const serviceNowIncident = await this.serviceNowClient.getIncidentBySysId(sysId);
+      if (!serviceNowIncident) {
+        this.logger.error('ServiceNow incident not found', { sys_id: sysId });
+        await this.auditReverseSync({ ...audit, outcome: 'skipped', reason: 'servicenow_record_not_found' }, startedAt);
+        return null;
+      }
+      audit.number = serviceNowIncident.number;
+
+      const skipReason = await this.getInsertSkipReason(serviceNowIncident);
+      if (skipReason) {
+        this.logger.info('Not creating incident.io incident for ServiceNow record', {
+          sys_id: sysId,
+          number: serviceNowIncident.number,
+          reason: skipReason
+        });
+        await this.auditReverseSync({ ...audit, outcome: 'skipped', reason: skipReason }, startedAt);
+        return null;
+      }
+
+      const incidentData = await this.mapServiceNowForCreation(serviceNowIncident);
+      const incident = await this.incidentIOClient.createIncident(incidentData, `servicenow-${sysId}`);
+      audit.incident_io_id = incident.id;
+
+      // Link first: forward sync of the incident.created event must find this record
+      if (this.linkRegistry) {
+        await this.linkRegistry.upsert(incident.id, serviceNowIncident);
+      }
+      await this.recordIncidentIOWrite(incident.id, incidentData);
+
+      const field = this.config.servicenow?.incident_id_field || 'u_incident_io_id';
+      await this.serviceNowClient.updateIncident(sysId, { [field]: incident.id });
+      await this.originTracker.recordWrite('servicenow', sysId, { [field]: incident.id });
+
+      await this.auditReverseSync({
+        ...audit,
+        outcome: 'success',
+        fields: AuditLog.fieldChanges(incidentData)
+      }, startedAt);
+
+      this.logger.info('Created incident.io incident from ServiceNow', {
+        sys_id: sysId,
+        number: serviceNowIncident.number,
+        incident_io_id: incident.id
+      });
+      return incident;
+    } catch (error) {
+      this.logger.error('Failed to create incident.io incident from ServiceNow', {
+        sys_id: sysId,
+        error: error.message,
+        stack: error.stack
+      });
+      await this.auditReverseSync({ ...audit, outcome: 'failed', error: error.message }, startedAt);
+      throw error;
+    }
+  }
+
+  /**
+   * Reason not to declare an incident for a new ServiceNow record, or null
+   */
+  async getInsertSkipReason(serviceNowIncident) {
+    const settings = this.config.servicenow_inserts || {};
+    const field = this.config.servicenow?.incident_id_field || 'u_incident_io_id';
+
+    if (serviceNowIncident[field]) {
+      return 'already_has_incident_io_id';
+    }
+    if (settings.integration_user && serviceNowIncident.sys_created_by === settings.integration_user) {
+      return 'created_by_integration';
+    }
+    if (this.linkRegistry && await this.linkRegistry.findBySysId(serviceNowIncident.sys_id)) {
+      return 'already_linked';
+    }
+    if (!this.matchesInsertConditions(serviceNowIncident, settings)) {
+      return 'conditions_not_met';
+    }
+    return null;
+  }
+
+  /**
+   * Check a record against servicenow_inserts.conditions (field -> allowed
+   * values, all must match) and the optional condition expression
+   */
+  matchesInsertConditions(serviceNowIncident, settings) {
+    for (const [field, allowed] of Object.entries(settings.conditions || {})) {
+      // Reference fields come back as { link, value }
+      const raw = serviceNowIncident[field];
+      const value = raw && typeof raw === 'object' ? raw.value : raw;
+
+      if (value === undefined || !allowed.map(String).includes(String(value))) {
+        return false;
+      }
+    }
+
+    if (settings.condition) {
+      return Boolean(this.fieldMapper?.evaluateCondition(settings.condition, { servicenow: serviceNowIncident }));
+    }
+    return true;
+  }
+
+  /**
+   * Build the incident.io incident for a ServiceNow record. Every reverse
+   * mapping applies, as if all of the record's fields had just changed.
+   */
+  async mapServiceNowForCreation(serviceNowIncident) {
+    const settings = this.config.servicenow_inserts || {};
+    const mapped = await this.mapServiceNowToIncidentIO(serviceNowIncident, Object.keys(serviceNowIncident), {});
+
+    // Work notes are not part of a new incident
+    const incidentData = { ...mapped };
+    delete incidentData.add_update;
+
+    if (!incidentData.name) {
+      incidentData.name = serviceNowIncident.short_description || `ServiceNow ${serviceNowIncident.number}`;
+    }
+    if (settings.visibility) {
+      incidentData.visibility = settings.visibility;
+    }
+    if (settings.incident_type_id) {
+      incidentData.incident_type_id = settings.incident_type_id;
+    }
+    return incidentData;
+  }
 
-    // Prevent processing loops
-    const lockKey = `${sysId}-${Date.now()}`;
-    if (this.processingUpdates.has(sysId)) {
-      this.logger.warn('ServiceNow update already in progress, skipping', { sys_id: sysId });
+  /**
+   * Record a reverse sync in the audit log (if configured)
+   */
+  async auditReverseSync(entry, startedAt) {
+    if (!this.auditLog) {
       return;
     }
 
-    this.processingUpdates.add(sysId);
+    await this.auditLog.record({
+      direction: 'reverse',
+      ...entry,
+      duration_ms: Date.now() - startedAt
+    });
+  }
+
+  /**
+   * Sync one ServiceNow update to incident.io (caller must hold the record's turn)
+   */
+  async syncServiceNowUpdate(sysId, updatedFields, oldValues = {}, options = {}) {
+    this.logger.info('Processing ServiceNow → incident.io sync', { 
+      sys_id: sysId,
+      updated_fields: updatedFields
+    });
+
+    const startedAt = Date.now();
+    const audit = {
+      operation: 'update',
+      trigger: options.trigger || 'manual',
+      sys_id: sysId
+    };
 
     try {
-      // Get the incident.io ID from ServiceNow record
-      const incidentIOId = await this.serviceNowClient.getIncidentIOIdFromServiceNow(sysId);
+      // Get full ServiceNow incident data
+      const serviceNowIncident = await this.serviceNowClient.getIncidentBySysId(sysId);
+      if (!serviceNowIncident) {
+        this.logger.error('ServiceNow incident not found', { sys_id: sysId });
+        await this.auditReverseSync({ ...audit, outcome: 'skipped', reason: 'servicenow_record_not_found' }, startedAt);
+        return;
+      }
+      audit.number = serviceNowIncident.number;
+      audit.source_fields = AuditLog.fieldChanges(
+        Object.fromEntries((updatedFields || []).map(field => [field, serviceNowIncident[field] ?? null])),
+        oldValues
+      );
+
+      // Get the incident.io ID from the link registry or the ServiceNow record
+      const incidentIOId = await this.resolveIncidentIOId(sysId, serviceNowIncident);
       if (!incidentIOId) {
         this.logger.warn('No incident.io ID found in ServiceNow record, skipping sync', { 
           sys_id: sysId 
         });
+        await this.auditReverseSync({ ...audit, outcome: 'skipped', reason: 'not_linked' }, startedAt);
         return;
       }
+      audit.incident_io_id = incidentIOId;
 
-      // Get full ServiceNow incident data
-      const serviceNowIncident = await this.serviceNowClient.getIncidentBySysId(sysId);
-      if (!serviceNowIncident) {
-        this.logger.error('ServiceNow incident not found', { sys_id: sysId });
+      // Changes made in ServiceNow by the integration user came from incident.io.
+      // Only the user reported with the change counts: the record's current
+      // sys_updated_by may belong to a later write. Without it, fingerprints
+      // still catch our own values.
+      const updatedBy = options.updated_by;
+      if (this.originTracker.isOwnServiceNowChange(updatedBy)) {
+        this.logger.info('Skipping ServiceNow change made by the integration', { sys_id: sysId, updated_by: updatedBy });
+        await this.auditReverseSync({ ...audit, outcome: 'skipped', reason: 'own_change' }, startedAt);
         return;
       }
 
+      const unechoedFields = await this.dropEchoedFields(sysId, serviceNowIncident, updatedFields || []);
+      const { allowed: changedFields, conflicts } = await this.applyFieldOwnership(
+        incidentIOId,
+        serviceNowIncident,
+        unechoedFields
+      );
+      if (conflicts.length > 0) {
+        audit.conflicts = conflicts;
+      }
+
       // Map ServiceNow changes to incident.io updates
       const incidentIOUpdates = await this.mapServiceNowToIncidentIO(
         serviceNowIncident, 
-        updatedFields, 
+        changedFields, 
         oldValues
       );
+      const syncWorkNotes = changedFields.includes('work_notes') && this.isJournalSyncEnabled();
 
-      if (Object.keys(incidentIOUpdates).length === 0) {
+      if (Object.keys(incidentIOUpdates).length === 0 && !syncWorkNotes) {
         this.logger.info('No mappable changes found, skipping sync', { 
           sys_id: sysId,
           incident_io_id: incidentIOId
         });
+        await this.auditReverseSync({ ...audit, outcome: 'skipped', reason: 'no_mappable_changes' }, startedAt);
         return;
       }
 
-      // Apply updates to incident.io
+      // Apply updates to incident.io, keeping the values they replace for the audit log
+      const previousValues = await this.getIncidentIOValues(incidentIOId, incidentIOUpdates);
       await this.applyIncidentIOUpdates(incidentIOId, incidentIOUpdates, serviceNowIncident);
+      await this.recordIncidentIOWrite(incidentIOId, incidentIOUpdates);
+      const postedNotes = syncWorkNotes
+        ? await this.syncWorkNotes(incidentIOId, sysId, options.updated_on || serviceNowIncident.sys_updated_on)
+        : [];
+
+      if (Object.keys(incidentIOUpdates).length === 0 && postedNotes.length === 0) {
+        this.logger.info('No new work notes to sync', { sys_id: sysId, incident_io_id: incidentIOId });
+        await this.auditReverseSync({ ...audit, outcome: 'skipped', reason: 'no_mappable_changes' }, startedAt);
+        return;
+      }
+
+      await this.auditReverseSync({
+        ...audit,
+        outcome: 'success',
+        fields: AuditLog.fieldChanges(incidentIOUpdates, previousValues),
+        ...(postedNotes.length > 0 && { work_note_ids: postedNotes.map(note => note.entry_id) })
+      }, startedAt);
 
       this.logger.info('Successfully synced ServiceNow changes to incident.io', {
         sys_id: sysId,
         incident_io_id: incidentIOId,
-        updated_fields: Object.keys(incidentIOUpdates)
+        updated_fields: Object.keys(incidentIOUpdates),
+        work_notes: postedNotes.length
       });
 
-      // Track this reverse sync to prevent forward sync loops
-      if (this.incidentHandler) {
-        this.incidentHandler.trackReverseSyncUpdate(incidentIOId);
-      }
-
     } catch (error) {
       this.logger.error('Failed to sync ServiceNow changes to incident.io', {
         sys_id: sysId,
         error: error.message,
         stack: error.stack
       });
+      await this.auditReverseSync({ ...audit, outcome: 'failed', error: error.message }, startedAt);
       throw error;
-    } finally {
-      this.processingUpdates.delete(sysId);
     }
   }
 
   /**
-   * Map ServiceNow field changes to incident.io updates
+   * Remove changed fields whose value is exactly what forward sync last wrote
+   * to the record. Resolves to the fields left to sync.
+   */
+  async dropEchoedFields(sysId, serviceNowIncident, updatedFields) {
+    const currentValues = Object.fromEntries(
+      updatedFields
+        .filter(field => field !== 'work_notes')
+        .map(field => [field, serviceNowIncident[field]])
+    );
+    const echoed = await this.originTracker.findEchoedFields('servicenow', sysId, currentValues);
+
+    if (echoed.length > 0) {
+      this.logger.info('Skipping fields last written by forward sync', { sys_id: sysId, fields: echoed });
+    }
+    return updatedFields.filter(field => !echoed.includes(field));
+  }
+
+  /**
+   * Remove changed fields that field_ownership gives to incident.io (or to the
+   * later writer, when that was incident.io). The incident is only fetched
+   * when a last_writer_wins field changed. Resolves to { allowed, conflicts }.
+   */
+  async applyFieldOwnership(incidentIOId, serviceNowIncident, changedFields) {
+    if (!this.fieldMapper) {
+      return { allowed: changedFields, conflicts: [] };
+    }
+
+    let incidentIOUpdatedAt;
+    if (changedFields.some(field => this.fieldMapper.getFieldOwnership(field) === 'last_writer_wins')) {
+      const incidentData = await this.incidentIOClient.getIncident(incidentIOId);
+      incidentIOUpdatedAt = incidentData?.incident?.updated_at;
+    }
+
+    return this.fieldMapper.resolveOwnership(changedFields, 'reverse', {
+      incident_io_id: incidentIOId,
+      servicenow_sys_id: serviceNowIncident.sys_id,
+      incident_io_updated_at: incidentIOUpdatedAt,
+      servicenow_updated_on: serviceNowIncident.sys_updated_on
+    });
+  }
+
+  /**
+   * Remember what was written to an incident.io incident, keyed by the
+   * incident attribute forward sync reads it from
+   */
+  async recordIncidentIOWrite(incidentIOId, updates) {
+    await this.originTracker.recordWrite('incident_io', incidentIOId, {
+      name: updates.name,
+      summary: updates.summary,
+      incident_status: updates.incident_status_id,
+      severity: updates.severity_id
+    });
+  }
+
+  /**
+   * Resolve the incident.io ID for a ServiceNow record, preferring the link registry
+   */
+  async resolveIncidentIOId(sysId, serviceNowIncident) {
+    const link = this.linkRegistry ? await this.linkRegistry.findBySysId(sysId) : null;
+    if (link) {
+      return link.incident_io_id;
+    }
+
+    const field = this.config.servicenow?.incident_id_field || 'u_incident_io_id';
+    const incidentIOId = serviceNowIncident[field];
+
+    if (incidentIOId && this.linkRegistry) {
+      try {
+        await this.linkRegistry.upsert(incidentIOId, serviceNowIncident);
+      } catch (error) {
+        this.logger.warn('Failed to record incident link', {
+          sys_id: sysId,
+          incident_io_id: incidentIOId,
+          error: error.message
+        });
+      }
+    }
+
+    return incidentIOId || null;
+  }
+
+  /**
+   * Map ServiceNow field changes to incident.io updates, using
+   * reverse_mappings.fields when configured and the built-in rules otherwise
    */
   async mapServiceNowToIncidentIO(serviceNowIncident, updatedFields, oldValues) {
+    if (this.fieldMapper?.getReverseMappings()) {
+      return this.mapWithConfiguredRules(serviceNowIncident, updatedFields, oldValues);
+    }
+    return this.mapWithLegacyRules(serviceNowIncident, updatedFields, oldValues);
+  }
+
+  /**
+   * Map changes with the configurable reverse mappings. Each mapping runs when
+   * one of its trigger_fields changed (default: the ServiceNow field named in
+   * its source) and its requires_feature flag, if any, is enabled.
+   *
+   * Target names are incident.io edit fields (name, summary,
+   * incident_status_id, severity_id, ...), "custom_fields.<name or ID>",
+   * "incident_timestamps.<name or ID>", or "add_update" to post the value as
+   * an incident update.
+   */
+  async mapWithConfiguredRules(serviceNowIncident, updatedFields, oldValues) {
+    const active = {};
+    for (const [target, mapping] of Object.entries(this.fieldMapper.getReverseMappings())) {
+      if (target.startsWith('_')) continue; // comments
+
+      if (mapping.requires_feature && !this.config.features?.[mapping.requires_feature]) {
+        continue;
+      }
+
+      const triggers = mapping.trigger_fields || this.getTriggerFields(mapping.source);
+      if (triggers && !triggers.some(field => updatedFields.includes(field))) {
+        continue;
+      }
+
+      active[target] = mapping;
+    }
+
+    if (Object.keys(active).length === 0) {
+      return {};
+    }
+
+    const data = {
+      servicenow: serviceNowIncident,
+      changes: {
+        updated_fields: updatedFields,
+        old_values: oldValues,
+        // With journal sync, work notes are posted note by note instead
+        new_work_notes: updatedFields.includes('work_notes') && !this.isJournalSyncEnabled()
+          ? this.extractNewWorkNotes(serviceNowIncident.work_notes, oldValues.work_notes)
+          : null
+      }
+    };
+
+    const mapped = await this.fieldMapper.applyMappings(
+      active,
+      data,
+      this.serviceNowClient,
+      null,
+      { direction: 'reverse' }
+    );
+
+    await this.resolveStatusAndSeverity(mapped);
+
+    const updates = {};
+    const customFields = {};
+    const timestamps = {};
+    for (const [target, value] of Object.entries(mapped)) {
+      if (target === 'add_update') {
+        updates.add_update = { message: String(value), update_type: 'update' };
+      } else if (target.startsWith('custom_fields.')) {
+        customFields[target.slice('custom_fields.'.length)] = value;
+      } else if (target.startsWith('incident_timestamps.')) {
+        timestamps[target.slice('incident_timestamps.'.length)] = value;
+      } else {
+        updates[target] = value;
+      }
+    }
+
+    if (Object.keys(customFields).length > 0) {
+      const entries = await this.buildCustomFieldEntries(customFields);
+      if (entries.length > 0) {
+        updates.custom_field_entries = entries;
+      }
+    }
+
+    if (Object.keys(timestamps).length > 0) {
+      const values = await this.buildTimestampValues(timestamps);
+      if (values.length > 0) {
+        updates.incident_timestamp_values = values;
+      }
+    }
+
+    this.logger.debug('Mapped ServiceNow changes with configured reverse mappings', {
+      sys_id: serviceNowIncident.sys_id,
+      updated_fields: updatedFields,
+      mapped_targets: Object.keys(mapped)
+    });
+
+    return updates;
+  }
+
+  /**
+   * ServiceNow fields a mapping depends on, taken from its source path
+   * ("servicenow.short_description" -> ["short_description"])
+   */
+  getTriggerFields(source) {
+    const match = source?.match(/^servicenow\.([^.[]+)/);
+    return match ? [match[1]] : null;
+  }
+
+  /**
+   * Convert { <custom field name or ID>: value } into incident.io
+   * custom_field_entries, resolving select options by name
+   */
+  async buildCustomFieldEntries(customFields) {
+    const definitions = await this.getCustomFieldDefinitions();
+    const entries = [];
+
+    for (const [key, value] of Object.entries(customFields)) {
+      const field = definitions.find(definition =>
+        definition.id === key || definition.name?.toLowerCase() === key.toLowerCase()
+      );
+      if (!field) {
+        this.logger.warn('incident.io custom field not found, skipping', { custom_field: key });
+        continue;
+      }
+
+      const values = await this.buildCustomFieldValues(field, value);
+      if (values) {
+        entries.push({ custom_field_id: field.id, values });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Convert { <incident timestamp name or ID>: ISO value } into incident.io
+   * incident_timestamp_values
+   */
+  async buildTimestampValues(timestamps) {
+    const definitions = await this.resolver.getIncidentTimestamps();
+    const values = [];
+
+    for (const [key, value] of Object.entries(timestamps)) {
+      const timestamp = IncidentIOResolver.find(definitions, key);
+      if (!timestamp) {
+        this.logger.warn('incident.io incident timestamp not found, skipping', { incident_timestamp: key });
+        continue;
+      }
+      values.push({ incident_timestamp_id: timestamp.id, value });
+    }
+
+    return values;
+  }
+
+  /**
+   * Build the values array for one custom field entry based on its type
+   */
+  async buildCustomFieldValues(field, value) {
+    switch (field.field_type) {
+      case 'single_select':
+      case 'multi_select': {
+        const names = Array.isArray(value) ? value : String(value).split(',');
+        const options = await this.incidentIOClient.getCustomFieldOptions(field.id);
+        const optionIds = names
+          .map(name => String(name).trim().toLowerCase())
+          .map(name => options.find(option => option.value?.toLowerCase() === name)?.id)
+          .filter(Boolean);
+
+        if (optionIds.length === 0) {
+          this.logger.warn('No matching custom field option, skipping', {
+            custom_field: field.name,
+            value
+          });
+          return null;
+        }
+        const selected = field.field_type === 'single_select' ? optionIds.slice(0, 1) : optionIds;
+        return selected.map(id => ({ value_option_id: id }));
+      }
+
+      case 'numeric':
+        return [{ value_numeric: String(value) }];
+
+      case 'link':
+        return [{ value_link: String(value) }];
+
+      default:
+        return [{ value_text: String(value) }];
+    }
+  }
+
+  /**
+   * Replace status and severity names produced by reverse mappings with their
+   * IDs. Names that do not resolve are dropped with a warning.
+   */
+  async resolveStatusAndSeverity(mapped) {
+    const resolvers = {
+      [STATUS_TARGET]: value => this.resolver.resolveStatusId(value),
+      [SEVERITY_TARGET]: value => this.resolver.resolveSeverityId(value)
+    };
+
+    for (const [target, resolve] of Object.entries(resolvers)) {
+      if (mapped[target] === undefined) continue;
+
+      const id = await resolve(mapped[target]);
+      if (!id) {
+        this.logger.warn('Unknown incident.io name in reverse mapping, skipping field', {
+          target,
+          value: mapped[target]
+        });
+        delete mapped[target];
+        continue;
+      }
+      mapped[target] = id;
+    }
+  }
+
+  /**
+   * incident.io custom field definitions (cached by the resolver)
+   */
+  async getCustomFieldDefinitions() {
+    return this.resolver.getCustomFields();
+  }
+
+  /**
+   * Status and severity names the reverse mappings can produce, for the
+   * mappings that are enabled
+   */
+  getConfiguredIncidentIONames() {
+    const names = { statuses: [], severities: [] };
+    const reverseMappings = this.fieldMapper?.getReverseMappings();
+
+    if (reverseMappings) {
+      const targets = { [STATUS_TARGET]: names.statuses, [SEVERITY_TARGET]: names.severities };
+      for (const [target, list] of Object.entries(targets)) {
+        const mapping = reverseMappings[target];
+        if (!mapping || (mapping.requires_feature && !this.config.features?.[mapping.requires_feature])) {
+          continue;
+        }
+        list.push(
+          ...Object.values(mapping.mappings || {}),
+          ...(mapping.conditions || []).map(condition => condition.then),
+          mapping.else,
+          mapping.fallback
+        );
+      }
+    } else {
+      const legacy = this.fieldMapper?.mappingsConfig?.reverse_mappings || {};
+      if (this.config.features?.sync_status) {
+        names.statuses.push(...Object.values({ ...DEFAULT_STATUS_NAMES, ...legacy.status }));
+      }
+      if (this.config.features?.sync_severity) {
+        names.severities.push(...Object.values({ ...DEFAULT_SEVERITY_NAMES, ...legacy.severity }));
+      }
+    }
+
+    return {
+      statuses: names.statuses.filter(value => typeof value === 'string' && value),
+      severities: names.severities.filter(value => typeof value === 'string' && value)
+    };
+  }
+
+  /**
+   * Fail if a configured status or severity name does not exist in the
+   * incident.io organization (run at startup)
+   */
+  async validateIncidentIONames() {
+    if (!this.config.features?.reverse_sync && !this.config.features?.create_from_servicenow) {
+      return;
+    }
+    await this.resolver.validate(this.getConfiguredIncidentIONames());
+  }
+
+  /**
+   * Built-in mapping rules, used when reverse_mappings.fields is not configured
+   */
+  async mapWithLegacyRules(serviceNowIncident, updatedFields, oldValues) {
     const updates = {};
 
     // Map short_description to incident.io title/name
@@ -140,8 +803,9 @@ class ReverseSyncHandler {
       });
     }
 
-    // Map work_notes to incident.io updates (as comments)
-    if (updatedFields.includes('work_notes') && serviceNowIncident.work_notes) {
+    // Map work_notes to incident.io updates (as comments), unless journal sync
+    // posts them note by note
+    if (updatedFields.includes('work_notes') && serviceNowIncident.work_notes && !this.isJournalSyncEnabled()) {
       // Only sync new work notes (not the entire history)
       const newWorkNotes = this.extractNewWorkNotes(
         serviceNowIncident.work_notes, 
@@ -161,7 +825,7 @@ class ReverseSyncHandler {
 
     // Map status changes (if configured)
     if (this.config.features?.sync_status && updatedFields.includes('incident_state')) {
-      const incidentIOStatus = this.mapServiceNowStatusToIncidentIO(serviceNowIncident.incident_state);
+      const incidentIOStatus = await this.mapServiceNowStatusToIncidentIO(serviceNowIncident.incident_state);
       if (incidentIOStatus) {
         // incident.io API for /actions/edit expects incident_status_id as a string
         updates.incident_status_id = incidentIOStatus.id;
@@ -186,7 +850,7 @@ class ReverseSyncHandler {
       }
       
       if (priorityValue) {
-        const incidentIOSeverity = this.mapServiceNowPriorityToIncidentIO(priorityValue);
+        const incidentIOSeverity = await this.mapServiceNowPriorityToIncidentIO(priorityValue);
         if (incidentIOSeverity) {
           // incident.io API expects severity_id as a string, not severity as an object
           updates.severity_id = incidentIOSeverity.id;
@@ -222,11 +886,100 @@ class ReverseSyncHandler {
       if (updates.incident_status) updateOptions.status = updates.incident_status;
       if (updates.severity) updateOptions.severity = updates.severity;
 
-      await this.incidentIOClient.addIncidentUpdate(
+      const result = await this.incidentIOClient.addIncidentUpdate(
         incidentIOId, 
         updates.add_update.message,
         updateOptions
       );
+      await this.markUpdatePosted(incidentIOId, result?.update?.id);
+    }
+  }
+
+  /**
+   * The incident's current values for the fields an update will write, in the
+   * same shape as the update. Added updates (add_update) have no previous
+   * value. Resolves to {} if the incident cannot be read, since this only
+   * feeds the audit log.
+   */
+  async getIncidentIOValues(incidentIOId, updates) {
+    const fields = Object.keys(updates).filter(field => field !== 'add_update');
+    if (fields.length === 0) {
+      return {};
+    }
+
+    let incident;
+    try {
+      incident = (await this.incidentIOClient.getIncident(incidentIOId))?.incident;
+    } catch (error) {
+      this.logger.warn('Failed to read incident.io values before update', {
+        incident_io_id: incidentIOId,
+        error: error.message
+      });
+      return {};
+    }
+    if (!incident) {
+      return {};
+    }
+
+    const values = {};
+    for (const field of fields) {
+      if (field === 'incident_status_id') {
+        values[field] = incident.incident_status?.id ?? null;
+      } else if (field === 'severity_id') {
+        values[field] = incident.severity?.id ?? null;
+      } else if (field === 'custom_field_entries') {
+        const ids = updates.custom_field_entries.map(entry => entry.custom_field_id);
+        values[field] = (incident.custom_field_entries || [])
+          .filter(entry => ids.includes(entry.custom_field?.id))
+          .map(entry => ({ custom_field_id: entry.custom_field.id, values: entry.values }));
+      } else if (field === 'incident_timestamp_values') {
+        const ids = updates.incident_timestamp_values.map(entry => entry.incident_timestamp_id);
+        values[field] = (incident.incident_timestamp_values || [])
+          .filter(entry => ids.includes(entry.incident_timestamp?.id))
+          .map(entry => ({ incident_timestamp_id: entry.incident_timestamp.id, value: entry.value?.value ?? null }));
+      } else {
+        values[field] = incident[field] ?? null;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Whether work notes are read from the journal (features.journal_work_notes)
+   */
+  isJournalSyncEnabled() {
+    return Boolean(this.journalSync && this.config.features?.journal_work_notes);
+  }
+
+  /**
+   * Post new journal work notes as incident.io updates. changedOn is the
+   * triggering change's sys_updated_on. Resolves to the notes posted.
+   */
+  async syncWorkNotes(incidentIOId, sysId, changedOn = null) {
+    const posted = await this.journalSync.sync(incidentIOId, sysId, changedOn);
+    for (const note of posted) {
+      await this.markUpdatePosted(incidentIOId, note.update_id);
+    }
+    return posted;
+  }
+
+  /**
+   * Keep an incident.io update created by reverse sync out of the timeline
+   * backfill, so it is not echoed back into ServiceNow as a work note
+   */
+  async markUpdatePosted(incidentIOId, updateId) {
+    if (!this.timelineSync || !updateId) {
+      return;
+    }
+
+    try {
+      await this.timelineSync.markPosted(incidentIOId, [updateId]);
+    } catch (error) {
+      this.logger.warn('Failed to mark incident.io update as posted', {
+        incident_io_id: incidentIOId,
+        update_id: updateId,
+        error: error.message
+      });
     }
   }
 
@@ -248,82 +1001,63 @@ class ReverseSyncHandler {
   }
 
   /**
-   * Map ServiceNow incident state to incident.io status object
+   * Map ServiceNow incident state to incident.io status object. Status names
+   * come from "reverse_mappings.status" when configured, else the defaults.
    */
-  mapServiceNowStatusToIncidentIO(serviceNowState) {
-    // Only use transitions that are ALLOWED by incident.io workflow rules
-    // incident.io only allows transitions between "live" category statuses
-    const statusMapping = {
-      '1': { id: '01JT3NNT3D4J0DDWS19MQYF0RC' },   // New -> Investigating (can't use Triage)
-      '2': { id: '01JT3NNT3D4J0DDWS19MQYF0RC' },   // In Progress -> Investigating  
-      '3': { id: '01JT3NNT3D455EB53SWJHK1QST' },   // On Hold -> Monitoring (closest to paused)
-      '6': { id: '01JT3NNT3D73EK2RXFW4GJY310' },   // Resolved -> Fixing (can't use Closed)
-      '7': { id: '01JT3NNT3D73EK2RXFW4GJY310' },   // Closed -> Fixing (can't use Closed)
-      '8': { id: '01JT3NNT3D73EK2RXFW4GJY310' }    // Canceled -> Fixing (can't use Canceled)
-    };
-
-    // Use field mapper's reverse mappings if available
-    if (this.fieldMapper?.mappingsConfig?.reverse_mappings?.status) {
-      const statusId = this.fieldMapper.mappingsConfig.reverse_mappings.status[serviceNowState];
-      return statusId ? { id: statusId } : statusMapping[serviceNowState];
+  async mapServiceNowStatusToIncidentIO(serviceNowState) {
+    const configured = this.fieldMapper?.mappingsConfig?.reverse_mappings?.status;
+    const statusName = configured?.[serviceNowState] || DEFAULT_STATUS_NAMES[serviceNowState];
+    if (!statusName) {
+      return null;
     }
 
-    return statusMapping[serviceNowState];
+    const statusId = await this.resolver.resolveStatusId(statusName);
+    if (!statusId) {
+      this.logger.warn('incident.io status not found', {
+        servicenow_state: serviceNowState,
+        status_name: statusName
+      });
+      return null;
+    }
+    return { id: statusId };
   }
 
   /**
    * Map ServiceNow priority to incident.io severity object
-   * 
-   * This method maps ServiceNow priority values (1-5) to incident.io severity UUIDs.
-   * The mapping is configured in config/field-mappings.json under "reverse_mappings.severity"
-   * 
-   * MAPPING CONFIGURATION:
-   * - Priority 1 (Critical) → Critical severity UUID
-   * - Priority 2 (High) → Major severity UUID  
-   * - Priority 3-5 (Medium/Low/Planning) → Minor severity UUID
-   * 
-   * SETUP INSTRUCTIONS:
-   * 1. The severity UUIDs in field-mappings.json must match your incident.io organization
-   * 2. You can find your organization's severity UUIDs via the incident.io catalog API
-   * 3. See the field-mappings.json file for the current configured mappings
-   */
-  mapServiceNowPriorityToIncidentIO(serviceNowPriority) {
-
-    // Use configured mappings from field-mappings.json if available
-    if (this.fieldMapper?.mappingsConfig?.reverse_mappings?.severity) {
-      const severityId = this.fieldMapper.mappingsConfig.reverse_mappings.severity[serviceNowPriority];
-      if (severityId) {
-        const mappedSeverity = { id: severityId };
-        
-        this.logger.debug('ServiceNow priority mapped to incident.io severity', {
-          servicenow_priority: serviceNowPriority,
-          incident_io_severity_id: severityId,
-          mapping_source: 'field_mappings_config'
-        });
-        
-        return mappedSeverity;
-      }
-    }
+   *
+   * Severity names come from "reverse_mappings.severity" when configured,
+   * else the defaults:
+   * - Priority 1 (Critical) → Critical
+   * - Priority 2 (High) → Major
+   * - Priority 3-5 (Medium/Low/Planning) → Minor
+   */
+  async mapServiceNowPriorityToIncidentIO(serviceNowPriority) {
+    const configured = this.fieldMapper?.mappingsConfig?.reverse_mappings?.severity;
+    const severityName = configured?.[serviceNowPriority] || DEFAULT_SEVERITY_NAMES[serviceNowPriority];
 
-    // Fallback to default mapping
-    const mappedSeverity = defaultSeverityMapping[serviceNowPriority];
-    
-    if (!mappedSeverity) {
+    if (!severityName) {
       this.logger.warn('No severity mapping found for ServiceNow priority', {
         servicenow_priority: serviceNowPriority,
-        available_priorities: Object.keys(defaultSeverityMapping),
-        mapping_note: 'Please configure severity mappings in config/field-mappings.json'
+        available_priorities: Object.keys({ ...DEFAULT_SEVERITY_NAMES, ...configured })
+      });
+      return null;
+    }
+
+    const severityId = await this.resolver.resolveSeverityId(severityName);
+    if (!severityId) {
+      this.logger.warn('incident.io severity not found', {
+        servicenow_priority: serviceNowPriority,
+        severity_name: severityName
       });
       return null;
     }
 
     this.logger.debug('ServiceNow priority mapped to incident.io severity', {
       servicenow_priority: serviceNowPriority,
-      incident_io_severity_id: mappedSeverity.id,
-      mapping_source: 'default_fallback'
+      severity_name: severityName,
+      incident_io_severity_id: severityId
     });
-
-    return mappedSeverity;
+    return { id: severityId };
   }
 
   /**
@@ -355,7 +1089,8 @@ class ReverseSyncHandler {
           await this.handleServiceNowUpdate(
             update.sys_id, 
             update.updated_fields, 
-            update.old_values
+            update.old_values,
+            { trigger: 'bulk_sync' }
           );
           results.successful++;
         } catch (error) {
@@ -387,6 +1122,7 @@ class ReverseSyncHandler {
     const health = {
       status: 'healthy',
       processing_count: this.processingUpdates.size,
+      state_backend: this.stateStore.constructor.name,
       features: {
         sync_status: this.config.features?.sync_status || false,
         sync_severity: this.config.features?.sync_severity || false
@@ -397,9 +1133,12 @@ class ReverseSyncHandler {
   }
 
   /**
-   * Clear processing locks (for testing/debugging)
+   * Clear processing locks held by this process (for testing/debugging)
    */
-  clearProcessingLocks() {
+  async clearProcessingLocks() {
+    for (const [sysId, lockToken] of this.processingUpdates.entries()) {
+      await this.stateStore.releaseLock(`servicenow:${sysId}`, lockToken);
+    }
     this.processingUpdates.clear();
     this.logger.info('Reverse sync processing locks cleared');
   }
@@ -0,0 +1,309 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ReverseSyncHandler = require('./reverse-sync-handler');
+const FieldMapper = require('./field-mapper');
+const IncidentIOResolver = require('./incident-io-resolver');
+const LinkRegistry = require('./link-registry');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// Stand-in for the incident.io catalog endpoints the resolver reads
+const createIncidentIOClient = () => ({
+  getIncidentStatuses: jest.fn(async () => [
+    { id: '01ST-INV', name: 'Investigating' },
+    { id: '01ST-FIX', name: 'Fixing' }
+  ]),
+  getSeverities: jest.fn(async () => [
+    { id: '01SEV-CRIT', name: 'Critical' },
+    { id: '01SEV-MIN', name: 'Minor' }
+  ]),
+  getCustomFields: jest.fn(async () => [
+    { id: '01CF-TEAM', name: 'Team', field_type: 'single_select' },
+    { id: '01CF-SVC', name: 'Services', field_type: 'multi_select' },
+    { id: '01CF-COUNT', name: 'Affected users', field_type: 'numeric' },
+    { id: '01CF-TICKET', name: 'Ticket', field_type: 'link' },
+    { id: '01CF-NOTES', name: 'Notes', field_type: 'text' }
+  ]),
+  getCustomFieldOptions: jest.fn(async id => ({
+    '01CF-TEAM': [{ id: '01OPT-CORE', value: 'Core' }, { id: '01OPT-EDGE', value: 'Edge' }],
+    '01CF-SVC': [{ id: '01OPT-PAY', value: 'Payments' }, { id: '01OPT-CHK', value: 'Checkout' }]
+  })[id] || []),
+  getIncidentTimestamps: jest.fn(async () => [
+    { id: '01TS-REP', name: 'Reported at' },
+    { id: '01TS-IMP', name: 'Impact started' }
+  ])
+});
+
+describe('ReverseSyncHandler configured reverse mappings', () => {
+  const record = {
+    sys_id: 'sys1',
+    number: 'INC001',
+    short_description: 'Checkout down',
+    description: 'Customers cannot pay',
+    incident_state: '2',
+    priority: '1',
+    u_team: 'core',
+    u_services: 'payments, Checkout, Unknown',
+    u_affected: '120',
+    u_ticket: 'https://tickets.example.com/1',
+    u_notes: 'Escalated',
+    u_reported: '2026-03-04 05:06:07',
+    u_impact: '2026-03-04 05:00:00',
+    work_notes: 'New note\n\nOld note'
+  };
+
+  let incidentIOClient;
+  let features;
+
+  const createHandler = (fields, options = {}) => {
+    const fieldMapper = new FieldMapper({ reverse_mappings: { fields } }, logger);
+    return new ReverseSyncHandler({}, incidentIOClient, { features }, logger, fieldMapper, null, {
+      incidentIOResolver: new IncidentIOResolver(incidentIOClient, {}, logger),
+      ...options
+    });
+  };
+
+  beforeEach(() => {
+    incidentIOClient = createIncidentIOClient();
+    features = { sync_status: true };
+    logger.warn.mockClear();
+  });
+
+  test('runs only the mappings whose trigger fields changed', async () => {
+    const handler = createHandler({
+      _comment: 'ignored',
+      name: { source: 'servicenow.short_description', type: 'text' },
+      summary: { source: 'servicenow.description', type: 'text' },
+      'custom_fields.Notes': { source: 'servicenow.u_notes', type: 'text', trigger_fields: ['u_notes', 'description'] }
+    });
+
+    expect(await handler.mapServiceNowToIncidentIO(record, ['short_description'], {})).toEqual({ name: 'Checkout down' });
+    expect(await handler.mapServiceNowToIncidentIO(record, ['description'], {})).toEqual({
+      summary: 'Customers cannot pay',
+      custom_field_entries: [{ custom_field_id: '01CF-NOTES', values: [{ value_text: 'Escalated' }] }]
+    });
+    expect(await handler.mapServiceNowToIncidentIO(record, ['priority'], {})).toEqual({});
+  });
+
+  test('builds custom_field_entries by field name or ID for each field type', async () => {
+    const handler = createHandler({
+      'custom_fields.team': { source: 'servicenow.u_team', type: 'text' },
+      'custom_fields.Services': { source: 'servicenow.u_services', type: 'text' },
+      'custom_fields.01CF-COUNT': { source: 'servicenow.u_affected', type: 'text' },
+      'custom_fields.Ticket': { source: 'servicenow.u_ticket', type: 'text' },
+      'custom_fields.Missing': { source: 'servicenow.u_notes', type: 'text' }
+    });
+    const changed = ['u_team', 'u_services', 'u_affected', 'u_ticket', 'u_notes'];
+
+    expect((await handler.mapServiceNowToIncidentIO(record, changed, {})).custom_field_entries).toEqual([
+      { custom_field_id: '01CF-TEAM', values: [{ value_option_id: '01OPT-CORE' }] },
+      { custom_field_id: '01CF-SVC', values: [{ value_option_id: '01OPT-PAY' }, { value_option_id: '01OPT-CHK' }] },
+      { custom_field_id: '01CF-COUNT', values: [{ value_numeric: '120' }] },
+      { custom_field_id: '01CF-TICKET', values: [{ value_link: 'https://tickets.example.com/1' }] }
+    ]);
+    expect(logger.warn).toHaveBeenCalledWith('incident.io custom field not found, skipping', { custom_field: 'Missing' });
+  });
+
+  test('skips select values without a matching option', async () => {
+    const handler = createHandler({ 'custom_fields.Team': { source: 'servicenow.u_team', type: 'text' } });
+
+    expect(await handler.mapServiceNowToIncidentIO({ ...record, u_team: 'Platform' }, ['u_team'], {})).toEqual({});
+    expect(logger.warn).toHaveBeenCalledWith('No matching custom field option, skipping', { custom_field: 'Team', value: 'Platform' });
+  });
+
+  test('builds incident_timestamp_values by timestamp name or ID', async () => {
+    const handler = createHandler({
+      'incident_timestamps.reported at': { source: 'servicenow.u_reported', type: 'datetime' },
+      'incident_timestamps.01TS-IMP': { source: 'servicenow.u_impact', type: 'datetime' },
+      'incident_timestamps.Resolved at': { source: 'servicenow.u_reported', type: 'datetime', trigger_fields: ['u_impact'] }
+    });
+
+    expect(await handler.mapServiceNowToIncidentIO(record, ['u_reported', 'u_impact'], {})).toEqual({
+      incident_timestamp_values: [
+        { incident_timestamp_id: '01TS-REP', value: '2026-03-04T05:06:07.000Z' },
+        { incident_timestamp_id: '01TS-IMP', value: '2026-03-04T05:00:00.000Z' }
+      ]
+    });
+    expect(logger.warn).toHaveBeenCalledWith('incident.io incident timestamp not found, skipping', { incident_timestamp: 'Resolved at' });
+  });
+
+  test('posts new work notes as an update through add_update', async () => {
+    const fields = {
+      add_update: {
+        source: 'changes.new_work_notes',
+        type: 'expression',
+        expression: "'ServiceNow Work Note: ' + value",
+        trigger_fields: ['work_notes']
+      }
+    };
+
+    expect(await createHandler(fields).mapServiceNowToIncidentIO(record, ['work_notes'], { work_notes: 'Old note' })).toEqual({
+      add_update: { message: 'ServiceNow Work Note: New note', update_type: 'update' }
+    });
+  });
+
+  test('leaves work notes to journal sync when it is enabled', async () => {
+    features.journal_work_notes = true;
+    const handler = createHandler({
+      add_update: { source: 'changes.new_work_notes', type: 'text', trigger_fields: ['work_notes'] }
+    }, { journalSync: {} });
+
+    expect(await handler.mapServiceNowToIncidentIO(record, ['work_notes'], { work_notes: 'Old note' })).toEqual({});
+  });
+
+  test('resolves status and severity names, honouring requires_feature', async () => {
+    const handler = createHandler({
+      incident_status_id: {
+        source: 'servicenow.incident_state',
+        type: 'choice_mapping',
+        requires_feature: 'sync_status',
+        mappings: { '2': 'fixing', '3': 'Paused' }
+      },
+      severity_id: {
+        source: 'servicenow.priority',
+        type: 'choice_mapping',
+        requires_feature: 'sync_severity',
+        mappings: { '1': 'Critical' }
+      }
+    });
+
+    expect(await handler.mapServiceNowToIncidentIO(record, ['incident_state', 'priority'], {}))
+      .toEqual({ incident_status_id: '01ST-FIX' });
+
+    features.sync_severity = true;
+    expect(await handler.mapServiceNowToIncidentIO({ ...record, incident_state: '3' }, ['incident_state', 'priority'], {}))
+      .toEqual({ severity_id: '01SEV-CRIT' });
+    expect(logger.warn).toHaveBeenCalledWith('Unknown incident.io name in reverse mapping, skipping field', {
+      target: 'incident_status_id',
+      value: 'Paused'
+    });
+  });
+});
+
+describe('ReverseSyncHandler.createFromServiceNow', () => {
+  const insert = (fields = {}) => ({
+    sys_id: 'sys1',
+    number: 'INC001',
+    short_description: 'Payments failing',
+    priority: '1',
+    assignment_group: { link: 'https://dev.service-now.com/api/now/table/sys_user_group/g1', value: 'g1' },
+    sys_created_by: 'jdoe',
+    u_incident_io_id: '',
+    ...fields
+  });
+
+  let dir;
+  let record;
+  let linkRegistry;
+  let serviceNowClient;
+  let incidentIOClient;
+  let auditLog;
+  let originTracker;
+  let config;
+
+  const createHandler = () => new ReverseSyncHandler(serviceNowClient, incidentIOClient, config, logger,
+    new FieldMapper({
+      reverse_mappings: {
+        fields: {
+          name: { source: 'servicenow.short_description', type: 'text' },
+          add_update: { source: 'servicenow.short_description', type: 'text' }
+        }
+      }
+    }, logger), null, { linkRegistry, auditLog, originTracker });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reverse-sync-handler-'));
+    linkRegistry = new LinkRegistry({ file: path.join(dir, 'links.json'), instance: 'dev' }, logger);
+    record = insert();
+    serviceNowClient = {
+      getIncidentBySysId: jest.fn(async () => record),
+      updateIncident: jest.fn(async () => ({}))
+    };
+    incidentIOClient = { createIncident: jest.fn(async () => ({ id: '01NEW' })) };
+    auditLog = { record: jest.fn(async entry => entry) };
+    originTracker = { recordWrite: jest.fn(async () => {}) };
+    config = {
+      features: { create_from_servicenow: true },
+      servicenow: { incident_id_field: 'u_incident_io_id' },
+      servicenow_inserts: {
+        conditions: { priority: ['1', '2'], assignment_group: ['g1'] },
+        integration_user: 'svc_incident_sync',
+        visibility: 'private',
+        incident_type_id: '01TYPE'
+      }
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('declares the incident with an idempotency key per record, links it and writes the ID back', async () => {
+    expect(await createHandler().handleServiceNowInsert('sys1', { trigger: 'servicenow_webhook' })).toEqual({ id: '01NEW' });
+
+    expect(incidentIOClient.createIncident).toHaveBeenCalledWith({
+      name: 'Payments failing',
+      visibility: 'private',
+      incident_type_id: '01TYPE'
+    }, 'servicenow-sys1');
+    expect(await linkRegistry.get('01NEW')).toMatchObject({ sys_id: 'sys1', number: 'INC001' });
+    expect(serviceNowClient.updateIncident).toHaveBeenCalledWith('sys1', { u_incident_io_id: '01NEW' });
+    expect(originTracker.recordWrite).toHaveBeenCalledWith('servicenow', 'sys1', { u_incident_io_id: '01NEW' });
+    expect(auditLog.record).toHaveBeenCalledWith(expect.objectContaining({
+      direction: 'reverse',
+      operation: 'create',
+      trigger: 'servicenow_webhook',
+      sys_id: 'sys1',
+      number: 'INC001',
+      incident_io_id: '01NEW',
+      outcome: 'success'
+    }));
+  });
+
+  test('names the incident after the record number when nothing maps to a name', async () => {
+    record = insert({ short_description: '' });
+
+    await createHandler().createFromServiceNow('sys1');
+    expect(incidentIOClient.createIncident.mock.calls[0][0].name).toBe('ServiceNow INC001');
+  });
+
+  test.each([
+    ['servicenow_record_not_found', () => { record = null; }],
+    ['already_has_incident_io_id', () => { record = insert({ u_incident_io_id: '01OLD' }); }],
+    ['created_by_integration', () => { record = insert({ sys_created_by: 'svc_incident_sync' }); }],
+    ['already_linked', () => linkRegistry.upsert('01OLD', { sys_id: 'sys1' })],
+    ['conditions_not_met', () => { record = insert({ priority: '3' }); }],
+    ['conditions_not_met', () => { record = insert({ assignment_group: { value: 'g2' } }); }],
+    ['conditions_not_met', () => { record = insert({ priority: undefined }); }],
+    ['conditions_not_met', () => { config.servicenow_inserts.condition = "servicenow.short_description != 'Payments failing'"; }]
+  ])('skips the record when %s', async (reason, arrange) => {
+    await arrange();
+
+    expect(await createHandler().createFromServiceNow('sys1')).toBeNull();
+    expect(incidentIOClient.createIncident).not.toHaveBeenCalled();
+    expect(serviceNowClient.updateIncident).not.toHaveBeenCalled();
+    expect(auditLog.record).toHaveBeenCalledWith(expect.objectContaining({ operation: 'create', outcome: 'skipped', reason }));
+  });
+
+  test('declares the record when the condition expression matches', async () => {
+    config.servicenow_inserts.condition = "servicenow.short_description == 'Payments failing'";
+
+    expect(await createHandler().createFromServiceNow('sys1')).toEqual({ id: '01NEW' });
+  });
+
+  test('does nothing unless create_from_servicenow is enabled', async () => {
+    config.features.create_from_servicenow = false;
+
+    expect(await createHandler().handleServiceNowInsert('sys1')).toBeNull();
+    expect(serviceNowClient.getIncidentBySysId).not.toHaveBeenCalled();
+  });
+
+  test('records a failed declaration and rethrows', async () => {
+    incidentIOClient.createIncident.mockRejectedValue(new Error('422 Unprocessable Entity'));
+
+    await expect(createHandler().createFromServiceNow('sys1')).rejects.toThrow('422 Unprocessable Entity');
+    expect(serviceNowClient.updateIncident).not.toHaveBeenCalled();
+    expect(auditLog.record).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'failed', error: '422 Unprocessable Entity' }));
+  });
+});
@@ -62,6 +62,43 @@ class ServiceNowClient {
     );
   }
 
+  /**
+   * Normalise a field value the way ServiceNow stores it, so a mapped value
+   * can be compared with the value read back from the Table API: references
+   * become their sys_id, numbers and booleans strings, ISO timestamps UTC
+   * "YYYY-MM-DD HH:mm:ss", line endings "\n", and surrounding whitespace is
+   * trimmed. Other objects compare by their JSON, never as empty.
+   */
+  static normalizeValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      const reference = value.value ?? value.sys_id;
+      return reference !== undefined ? ServiceNowClient.normalizeValue(reference) : JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => ServiceNowClient.normalizeValue(item)).join(',');
+    }
+
+    const text = String(value).replace(/\r\n/g, '\n').trim();
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(text)) {
+      const date = new Date(text);
+      if (!isNaN(date)) {
+        return date.toISOString().slice(0, 19).replace('T', ' ');
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Escape a value for an encoded query, so a "^" in it (e.g. "x^ORactive=false")
+   * is matched literally instead of starting another condition
+   */
+  static escapeQueryValue(value) {
+    return String(value).replace(/\^/g, '^^');
+  }
+
   /**
    * Create a new incident in ServiceNow
    */
@@ -185,6 +222,106 @@ class ServiceNowClient {
     }
   }
 
+  /**
+   * Get a page of incidents that carry an incident.io ID, oldest update first
+   * (ties broken by sys_id). Pass the last record of the previous page as
+   * options.after ({ sys_updated_on, sys_id }) to get the next page, which
+   * neither skips nor repeats records updated while paging.
+   */
+  async getLinkedIncidents(options = {}) {
+    const { limit = 100, updatedSince = null, after = null, fields = null } = options;
+    const field = this.config.incident_id_field || 'u_incident_io_id';
+
+    let queryString = `${field}ISNOTEMPTY`;
+    if (after) {
+      const updatedOn = ServiceNowClient.escapeQueryValue(after.sys_updated_on);
+      queryString += `^sys_updated_on>${updatedOn}` +
+        `^NQ${field}ISNOTEMPTY^sys_updated_on=${updatedOn}^sys_id>${ServiceNowClient.escapeQueryValue(after.sys_id)}`;
+    } else if (updatedSince) {
+      queryString += `^sys_updated_on>=${updatedSince}`;
+    }
+    queryString += '^ORDERBYsys_updated_on^ORDERBYsys_id';
+
+    try {
+      this.logger.debug('Fetching linked ServiceNow incidents', { query: queryString, limit });
+
+      const params = {
+        sysparm_query: queryString,
+        sysparm_limit: limit
+      };
+      if (fields) params.sysparm_fields = fields.join(',');
+
+      const response = await this.client.get(`/table/${this.config.table}`, { params });
+      return response.data.result || [];
+    } catch (error) {
+      this.logger.error('Failed to fetch linked ServiceNow incidents', {
+        query: queryString,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List the attachments of an incident record
+   */
+  async listAttachments(sysId) {
+    try {
+      const response = await this.client.get('/attachment', {
+        params: {
+          sysparm_query: `table_name=${this.config.table}^table_sys_id=${sysId}^ORDERBYsys_created_on`
+        }
+      });
+      return response.data.result || [];
+    } catch (error) {
+      this.logger.error('Failed to list ServiceNow attachments', {
+        sys_id: sysId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file as an attachment of an incident record
+   */
+  async uploadAttachment(sysId, fileName, contentType, content) {
+    try {
+      this.logger.info('Uploading attachment to ServiceNow', {
+        sys_id: sysId,
+        file_name: fileName,
+        content_type: contentType,
+        size_bytes: content.length
+      });
+
+      const response = await this.client.post('/attachment/file', content, {
+        params: {
+          table_name: this.config.table,
+          table_sys_id: sysId,
+          file_name: fileName
+        },
+        headers: { 'Content-Type': contentType }
+      });
+
+      return response.data.result;
+    } catch (error) {
+      this.logger.error('Failed to upload attachment to ServiceNow', {
+        sys_id: sysId,
+        file_name: fileName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Browser URL for downloading an attachment
+   */
+  getAttachmentUrl(attachmentSysId) {
+    return `${this.config.instance_url}/sys_attachment.do?sys_id=${attachmentSysId}`;
+  }
+
   /**
    * Lookup user by name or email
    */
@@ -195,7 +332,7 @@ class ServiceNowClient {
       
       const response = await this.client.get('/table/sys_user', {
         params: {
-          sysparm_query: `${lookupField}=${value}^active=true`,
+          sysparm_query: `${lookupField}=${ServiceNowClient.escapeQueryValue(value)}^active=true`,
           sysparm_fields: 'sys_id,name,email,user_name',
           sysparm_limit: 1
         }
@@ -230,7 +367,7 @@ class ServiceNowClient {
       
       const response = await this.client.get(`/table/${table}`, {
         params: {
-          sysparm_query: `${lookupField}=${value}^active=true`,
+          sysparm_query: `${lookupField}=${ServiceNowClient.escapeQueryValue(value)}^active=true`,
           sysparm_fields: `sys_id,${lookupField}`,
           sysparm_limit: 1
         }
@@ -255,6 +392,126 @@ class ServiceNowClient {
     });
   }
 
+  /**
+   * Look up the display value of a record by sys_id (reverse of lookupReference)
+   */
+  async lookupDisplayValue(table, sysId, displayField = 'name') {
+    const cacheKey = `display:${table}:${displayField}:${sysId}`;
+    return this.cachedLookup(cacheKey, async () => {
+      this.logger.debug('Looking up ServiceNow display value', {
+        table,
+        sys_id: sysId,
+        display_field: displayField
+      });
+
+      try {
+        const response = await this.client.get(`/table/${table}/${sysId}`, {
+          params: { sysparm_fields: displayField }
+        });
+        return response.data.result?.[displayField] ?? null;
+      } catch (error) {
+        if (error.response?.status === 404) {
+          this.logger.warn('ServiceNow record not found for display value', { table, sys_id: sysId });
+          return null;
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Get up to options.limit journal entries (e.g. work notes) of a record
+   * created at or after a timestamp ("YYYY-MM-DD HH:mm:ss" UTC), oldest first,
+   * leaving out options.excludeIds
+   */
+  async getJournalEntries(sysId, element = 'work_notes', since = null, options = {}) {
+    const { limit = 100, excludeIds = [] } = options;
+    let queryString = `element_id=${sysId}^element=${element}`;
+    if (since) {
+      queryString += `^sys_created_on>=${since}`;
+    }
+    if (excludeIds.length > 0) {
+      queryString += `^sys_idNOT IN${excludeIds.join(',')}`;
+    }
+    queryString += '^ORDERBYsys_created_on';
+
+    try {
+      this.logger.debug('Fetching ServiceNow journal entries', { sys_id: sysId, element, since });
+
+      const response = await this.client.get('/table/sys_journal_field', {
+        params: {
+          sysparm_query: queryString,
+          sysparm_fields: 'sys_id,element,value,sys_created_on,sys_created_by',
+          sysparm_limit: limit
+        }
+      });
+      return response.data.result || [];
+    } catch (error) {
+      this.logger.error('Failed to fetch ServiceNow journal entries', {
+        sys_id: sysId,
+        element,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the field-level audit history (sys_audit) of a record created at or
+   * after a timestamp ("YYYY-MM-DD HH:mm:ss" UTC), oldest first
+   */
+  async getAuditEntries(sysId, since = null) {
+    let queryString = `tablename=${this.config.table}^documentkey=${sysId}`;
+    if (since) {
+      queryString += `^sys_created_on>=${since}`;
+    }
+    queryString += '^ORDERBYsys_created_on';
+
+    try {
+      this.logger.debug('Fetching ServiceNow audit entries', { sys_id: sysId, since });
+
+      const response = await this.client.get('/table/sys_audit', {
+        params: {
+          sysparm_query: queryString,
+          sysparm_fields: 'fieldname,oldvalue,newvalue,user,record_checkpoint,sys_created_on'
+        }
+      });
+      return response.data.result || [];
+    } catch (error) {
+      this.logger.error('Failed to fetch ServiceNow audit entries', {
+        sys_id: sysId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the display name of a user by user_name (falls back to the user_name,
+   * also when the lookup fails)
+   */
+  async getUserDisplayName(userName) {
+    const cacheKey = `user_display:${userName}`;
+    try {
+      return await this.cachedLookup(cacheKey, async () => {
+        const response = await this.client.get('/table/sys_user', {
+          params: {
+            sysparm_query: `user_name=${ServiceNowClient.escapeQueryValue(userName)}`,
+            sysparm_fields: 'name,user_name',
+            sysparm_limit: 1
+          }
+        });
+        return response.data.result?.[0]?.name || userName;
+      });
+    } catch (error) {
+      this.logger.warn('Failed to look up ServiceNow user display name, using the user name', {
+        user_name: userName,
+        error: error.message
+      });
+      return userName;
+    }
+  }
+
   /**
    * Get choice options for a field (useful for mapping validation)
    */
@@ -466,10 +723,10 @@ class ServiceNowClient {
    */
   async testConnection() {
     try {
-      const response = await this.client.get('/table/sys_user', {
+      await this.client.get('/table/sys_user', {
         params: { sysparm_limit: 1 }
       });
-      
+
       this.logger.info('ServiceNow connection test successful');
       return { success: true, message: 'Connection successful' };
     } catch (error) {
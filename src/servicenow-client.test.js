@@ -0,0 +1,127 @@
+const ServiceNowClient = require('./servicenow-client');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('ServiceNowClient lookups', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new ServiceNowClient({
+      instance_url: 'https://dev.service-now.com',
+      table: 'incident',
+      auth: { type: 'basic', username: 'sync', password: 'secret' }
+    }, logger);
+    client.client.get = jest.fn(async () => ({ data: { result: [] } }));
+  });
+
+  test('escapes "^" in encoded query values', () => {
+    expect(ServiceNowClient.escapeQueryValue('jane^ORactive=false')).toBe('jane^^ORactive=false');
+    expect(ServiceNowClient.escapeQueryValue(42)).toBe('42');
+  });
+
+  test('looks up a display name by exact user name and caches it', async () => {
+    client.client.get.mockResolvedValue({ data: { result: [{ name: 'Jane Doe', user_name: 'jane^ORactive=false' }] } });
+
+    expect(await client.getUserDisplayName('jane^ORactive=false')).toBe('Jane Doe');
+    expect(await client.getUserDisplayName('jane^ORactive=false')).toBe('Jane Doe');
+    expect(client.client.get).toHaveBeenCalledTimes(1);
+    expect(client.client.get.mock.calls[0][1].params).toMatchObject({
+      sysparm_query: 'user_name=jane^^ORactive=false',
+      sysparm_limit: 1
+    });
+  });
+
+  test('falls back to the user name when the user is missing or the lookup fails', async () => {
+    expect(await client.getUserDisplayName('jdoe')).toBe('jdoe');
+
+    client.client.get.mockRejectedValue(new Error('403 Forbidden'));
+    expect(await client.getUserDisplayName('asmith')).toBe('asmith');
+    expect(logger.warn).toHaveBeenCalledWith('Failed to look up ServiceNow user display name, using the user name', {
+      user_name: 'asmith',
+      error: '403 Forbidden'
+    });
+
+    // Failures are not cached
+    client.client.get.mockResolvedValue({ data: { result: [{ name: 'Alex Smith' }] } });
+    expect(await client.getUserDisplayName('asmith')).toBe('Alex Smith');
+  });
+
+  test('escapes lookup values for users and references', async () => {
+    await client.lookupUser('a^NQsys_id!=x', 'email');
+    await client.lookupReference('cmn_location', 'HQ^ORname=Other');
+
+    expect(client.client.get.mock.calls.map(([, { params }]) => params.sysparm_query)).toEqual([
+      'email=a^^NQsys_id!=x^active=true',
+      'name=HQ^^ORname=Other^active=true'
+    ]);
+  });
+
+  test('pages linked incidents by sys_updated_on and sys_id', async () => {
+    await client.getLinkedIncidents({ limit: 50, updatedSince: '2026-03-04 05:00:00' });
+    await client.getLinkedIncidents({
+      limit: 50,
+      updatedSince: '2026-03-04 05:00:00',
+      after: { sys_updated_on: '2026-03-04 05:06:07', sys_id: 'abc' }
+    });
+
+    expect(client.client.get.mock.calls.map(([, { params }]) => params.sysparm_query)).toEqual([
+      'u_incident_io_idISNOTEMPTY^sys_updated_on>=2026-03-04 05:00:00^ORDERBYsys_updated_on^ORDERBYsys_id',
+      'u_incident_io_idISNOTEMPTY^sys_updated_on>2026-03-04 05:06:07' +
+        '^NQu_incident_io_idISNOTEMPTY^sys_updated_on=2026-03-04 05:06:07^sys_id>abc^ORDERBYsys_updated_on^ORDERBYsys_id'
+    ]);
+  });
+
+  test('reads journal entries a page at a time', async () => {
+    await client.getJournalEntries('sys1', 'work_notes', '2026-03-04 05:00:00', { limit: 25, excludeIds: ['j1', 'j2'] });
+    await client.getJournalEntries('sys1');
+
+    const [[url, { params }], [, defaults]] = client.client.get.mock.calls;
+    expect(url).toBe('/table/sys_journal_field');
+    expect(params).toMatchObject({
+      sysparm_query: 'element_id=sys1^element=work_notes^sys_created_on>=2026-03-04 05:00:00^sys_idNOT INj1,j2^ORDERBYsys_created_on',
+      sysparm_limit: 25
+    });
+    expect(defaults.params.sysparm_limit).toBe(100);
+  });
+});
+
+describe('ServiceNowClient.normalizeValue', () => {
+  const { normalizeValue } = ServiceNowClient;
+
+  test('reads references and display values as their sys_id', () => {
+    expect(normalizeValue({ link: 'https://dev.service-now.com/api/now/table/sys_user_group/g1', value: 'g1' })).toBe('g1');
+    expect(normalizeValue({ display_value: 'Network', value: 'g1' })).toBe('g1');
+    expect(normalizeValue({ sys_id: 'g1', name: 'Network' })).toBe('g1');
+    expect(normalizeValue({ display_value: '', value: '' })).toBe('');
+  });
+
+  test('never reads other objects as empty', () => {
+    expect(normalizeValue({ display_value: 'Network' })).toBe('{"display_value":"Network"}');
+    expect(normalizeValue({})).toBe('{}');
+  });
+
+  test('turns missing values, numbers, booleans and lists into the stored strings', () => {
+    expect(normalizeValue(null)).toBe('');
+    expect(normalizeValue(undefined)).toBe('');
+    expect(normalizeValue(2)).toBe('2');
+    expect(normalizeValue(false)).toBe('false');
+    expect(normalizeValue(['u1', { value: 'u2' }])).toBe('u1,u2');
+  });
+
+  test('formats ISO timestamps as UTC "YYYY-MM-DD HH:mm:ss"', () => {
+    expect(normalizeValue('2026-03-04T05:06:07Z')).toBe('2026-03-04 05:06:07');
+    expect(normalizeValue('2026-03-04T05:06:07.890Z')).toBe('2026-03-04 05:06:07');
+    expect(normalizeValue('2026-03-04T06:06:07+01:00')).toBe('2026-03-04 05:06:07');
+    expect(normalizeValue('2026-03-04T05:06Z')).toBe('2026-03-04 05:06:00');
+    expect(normalizeValue('2026-03-04 05:06:07')).toBe('2026-03-04 05:06:07');
+    expect(normalizeValue('2026-03-04')).toBe('2026-03-04');
+    expect(normalizeValue('2026-13-40T05:06:07Z')).toBe('2026-13-40T05:06:07Z');
+  });
+
+  test('trims surrounding whitespace and normalises line endings only', () => {
+    expect(normalizeValue('  Checkout down\n')).toBe('Checkout down');
+    expect(normalizeValue('Line one\r\nLine two')).toBe('Line one\nLine two');
+    expect(normalizeValue('Checkout  down')).not.toBe(normalizeValue('Checkout down'));
+    expect(normalizeValue('Checkout Down')).not.toBe(normalizeValue('Checkout down'));
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * ServiceNow Polling for Reverse Sync
+ *
+ * For instances where the business rule from docs/servicenow-business-rules.md
+ * cannot be installed. Every interval_ms the configured table is queried for
+ * records carrying an incident.io ID whose sys_updated_on is at or past a
+ * stored cursor, oldest first. The fields that changed are read from
+ * sys_audit (which needs auditing on the table), and each change is queued
+ * exactly like a business rule notification, so the queue worker hands it to
+ * ReverseSyncHandler.handleServiceNowUpdate with retries and dead letters.
+ *
+ * The cursor holds the sys_updated_on of the last queued change plus the
+ * record versions (sys_id and sys_mod_count) queued at that timestamp, since
+ * several updates can share a second. The sys_mod_count last queued for each
+ * record is kept in the link registry ("polling" section), so audit entries
+ * already synced are not queued again. Records are paged by
+ * (sys_updated_on, sys_id), so a record updated mid-poll is neither skipped
+ * nor queued twice. Each change is queued with the user who made it
+ * (updated_by) and ReverseSyncHandler's origin tracker decides whether it was
+ * the integration's own write.
+ */
+const FileStore = require('./file-store');
+const ServiceNowClient = require('./servicenow-client');
+
+class ServiceNowPoller {
+  /**
+   * enqueue(deliveryId, payload, metadata) persists a change for the queue
+   * worker and resolves once it is stored
+   */
+  constructor(serviceNowClient, config, logger, linkRegistry, enqueue) {
+    this.serviceNowClient = serviceNowClient;
+    this.config = config;
+    this.logger = logger;
+    this.linkRegistry = linkRegistry;
+    this.enqueue = enqueue;
+    this.store = new FileStore(config.file, { cursor: null }, logger);
+
+    this.pageSize = config.page_size || 100;
+    this.idField = serviceNowClient.config.incident_id_field || 'u_incident_io_id';
+
+    this.timer = null;
+    this.running = false;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling every interval_ms
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule(0);
+    this.logger.info('ServiceNow polling started', {
+      table: this.serviceNowClient.config.table,
+      interval_ms: this.config.interval_ms
+    });
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedule(delay = this.config.interval_ms) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.poll()
+        .catch((error) => {
+          this.logger.error('ServiceNow poll failed', { error: error.message });
+        })
+        .finally(() => this.schedule());
+    }, delay);
+  }
+
+  /**
+   * The stored cursor, or one initial_lookback_ms before now on first run
+   */
+  async getCursor() {
+    const data = await this.store.read();
+    if (data.cursor) {
+      return data.cursor;
+    }
+
+    const start = new Date(Date.now() - (this.config.initial_lookback_ms || 0)).toISOString();
+    return { updated_on: ServiceNowClient.normalizeValue(start), versions: [] };
+  }
+
+  /**
+   * Move the cursor past a record version that has been queued
+   */
+  async advanceCursor(record) {
+    const version = `${record.sys_id}:${record.sys_mod_count}`;
+    await this.store.update((data) => {
+      const cursor = data.cursor?.updated_on === record.sys_updated_on
+        ? data.cursor
+        : { updated_on: record.sys_updated_on, versions: [] };
+      cursor.versions = [...cursor.versions, version];
+      data.cursor = cursor;
+    });
+  }
+
+  /**
+   * Queue the changes made since the cursor. Resolves to the number queued.
+   */
+  async poll() {
+    if (this.polling) return 0;
+    this.polling = true;
+
+    try {
+      const cursor = await this.getCursor();
+      const seen = new Set(cursor.versions);
+      let queued = 0;
+
+      let after = null;
+      for (;;) {
+        const records = await this.serviceNowClient.getLinkedIncidents({
+          limit: this.pageSize,
+          updatedSince: cursor.updated_on,
+          after
+        });
+
+        for (const record of records) {
+          if (seen.has(`${record.sys_id}:${record.sys_mod_count}`)) {
+            continue;
+          }
+          if (await this.queueChange(record, cursor.updated_on)) {
+            queued++;
+          }
+          await this.advanceCursor(record);
+        }
+
+        if (records.length < this.pageSize) break;
+        after = records[records.length - 1];
+      }
+
+      if (queued > 0) {
+        this.logger.info('Queued ServiceNow changes from polling', { count: queued });
+      }
+      return queued;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Work out what changed on a record from sys_audit and queue it. Resolves to
+   * false when there is nothing to sync.
+   */
+  async queueChange(record, since) {
+    const incidentIOId = record[this.idField];
+    const link = await this.linkRegistry.get(incidentIOId);
+    const lastModCount = link?.polling?.mod_count ?? -1;
+
+    const audited = (await this.serviceNowClient.getAuditEntries(record.sys_id, since))
+      .filter(entry => Number(entry.record_checkpoint) > lastModCount)
+      .filter(entry => !entry.fieldname.startsWith('sys_'));
+
+    // Changes made only by the integration user are queued as theirs, so the
+    // origin tracker recognises them; when someone else changed fields too,
+    // only those are reported, as made by the last of them
+    const byOthers = audited.filter(entry => !this.config.integration_user || entry.user !== this.config.integration_user);
+    const entries = byOthers.length > 0 ? byOthers : audited;
+
+    if (entries.length === 0) {
+      this.logger.debug('No audited changes to sync for ServiceNow record', {
+        sys_id: record.sys_id,
+        sys_mod_count: record.sys_mod_count
+      });
+      await this.markQueued(incidentIOId, record, link);
+      return false;
+    }
+
+    // The oldest audit entry per field holds the value before this change
+    const oldValues = {};
+    for (const entry of entries) {
+      if (!(entry.fieldname in oldValues)) {
+        oldValues[entry.fieldname] = entry.oldvalue;
+      }
+    }
+
+    const payload = {
+      sys_id: record.sys_id,
+      table: this.serviceNowClient.config.table,
+      operation: 'update',
+      updated_fields: Object.keys(oldValues),
+      old_values: oldValues,
+      updated_by: entries[entries.length - 1].user,
+      updated_on: entries[0].sys_created_on,
+      trigger: 'servicenow_poll'
+    };
+    const deliveryId = `poll:${record.sys_id}:${record.sys_mod_count}`;
+    await this.enqueue(deliveryId, payload, { operation: 'update', delivery_id: deliveryId });
+    await this.markQueued(incidentIOId, record, link);
+    return true;
+  }
+
+  /**
+   * Remember the record version last queued
+   */
+  async markQueued(incidentIOId, record, link) {
+    if (!link) return;
+    await this.linkRegistry.updateState(incidentIOId, 'polling', (polling) => {
+      polling.mod_count = Number(record.sys_mod_count);
+    });
+  }
+}
+
+module.exports = ServiceNowPoller;
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ServiceNowPoller = require('./servicenow-poller');
+const LinkRegistry = require('./link-registry');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const record = (sysId, incidentIOId, updatedOn, modCount) => ({
+  sys_id: sysId,
+  u_incident_io_id: incidentIOId,
+  sys_updated_on: `2030-01-01 00:00:${String(updatedOn).padStart(2, '0')}`,
+  sys_mod_count: String(modCount)
+});
+
+const audit = (fieldname, oldvalue, newvalue, user, checkpoint, second) => ({
+  fieldname,
+  oldvalue,
+  newvalue,
+  user,
+  record_checkpoint: String(checkpoint),
+  sys_created_on: `2030-01-01 00:00:${String(second).padStart(2, '0')}`
+});
+
+describe('ServiceNowPoller', () => {
+  let dir;
+  let linkRegistry;
+  let records;
+  let auditEntries;
+  let serviceNowClient;
+  let queued;
+
+  const createPoller = (config = {}) => new ServiceNowPoller(serviceNowClient, {
+    file: path.join(dir, 'servicenow-poll.json'),
+    page_size: 2,
+    integration_user: 'svc_incident_sync',
+    ...config
+  }, logger, linkRegistry, async (deliveryId, payload, metadata) => queued.push({ deliveryId, payload, metadata }));
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'servicenow-poller-'));
+    linkRegistry = new LinkRegistry({ file: path.join(dir, 'links.json'), instance: 'dev' }, logger);
+    records = [];
+    auditEntries = {};
+    queued = [];
+
+    // Stand-in for the Table API: ordered by (sys_updated_on, sys_id), paged by keyset
+    serviceNowClient = {
+      config: { table: 'incident', incident_id_field: 'u_incident_io_id' },
+      getLinkedIncidents: jest.fn(async ({ limit, updatedSince, after }) => records
+        .filter(r => !updatedSince || r.sys_updated_on >= updatedSince)
+        .filter(r => !after || r.sys_updated_on > after.sys_updated_on ||
+          (r.sys_updated_on === after.sys_updated_on && r.sys_id > after.sys_id))
+        .sort((a, b) => a.sys_updated_on.localeCompare(b.sys_updated_on) || a.sys_id.localeCompare(b.sys_id))
+        .slice(0, limit)),
+      getAuditEntries: jest.fn(async (sysId, since) =>
+        (auditEntries[sysId] || []).filter(entry => entry.sys_created_on >= since))
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('queues what changed, with the previous values and the user who changed it', async () => {
+    await linkRegistry.upsert('01A', { sys_id: 'sys1' });
+    records = [record('sys1', '01A', 5, 3)];
+    auditEntries.sys1 = [
+      audit('state', '1', '2', 'jdoe', 2, 4),
+      audit('state', '2', '6', 'asmith', 3, 5),
+      audit('sys_updated_by', 'jdoe', 'asmith', 'asmith', 3, 5)
+    ];
+
+    expect(await createPoller().poll()).toBe(1);
+    expect(queued).toEqual([{
+      deliveryId: 'poll:sys1:3',
+      payload: {
+        sys_id: 'sys1',
+        table: 'incident',
+        operation: 'update',
+        updated_fields: ['state'],
+        old_values: { state: '1' },
+        updated_by: 'asmith',
+        updated_on: '2030-01-01 00:00:04',
+        trigger: 'servicenow_poll'
+      },
+      metadata: { operation: 'update', delivery_id: 'poll:sys1:3' }
+    }]);
+    expect((await linkRegistry.get('01A')).polling).toEqual({ mod_count: 3 });
+
+    expect(await createPoller().poll()).toBe(0);
+  });
+
+  test('queues changes made only by the integration user as its own', async () => {
+    records = [record('sys1', '01A', 5, 1)];
+    auditEntries.sys1 = [audit('short_description', 'Old', 'New', 'svc_incident_sync', 1, 5)];
+
+    await createPoller().poll();
+    expect(queued[0].payload).toMatchObject({ updated_fields: ['short_description'], updated_by: 'svc_incident_sync' });
+  });
+
+  test('reports only the fields someone else changed alongside the integration', async () => {
+    records = [record('sys1', '01A', 6, 2)];
+    auditEntries.sys1 = [
+      audit('priority', '3', '1', 'jdoe', 1, 5),
+      audit('short_description', 'Old', 'New', 'svc_incident_sync', 2, 6)
+    ];
+
+    await createPoller().poll();
+    expect(queued[0].payload).toMatchObject({ updated_fields: ['priority'], old_values: { priority: '3' }, updated_by: 'jdoe' });
+  });
+
+  test('skips audit entries already synced for the record', async () => {
+    await linkRegistry.upsert('01A', { sys_id: 'sys1' });
+    await linkRegistry.updateState('01A', 'polling', (polling) => {
+      polling.mod_count = 4;
+    });
+    records = [record('sys1', '01A', 5, 4)];
+    auditEntries.sys1 = [audit('state', '1', '2', 'jdoe', 4, 5)];
+
+    expect(await createPoller().poll()).toBe(0);
+    expect(queued).toEqual([]);
+  });
+
+  test('pages by sys_updated_on and sys_id, so records sharing a second are all seen once', async () => {
+    records = [record('sys3', '01C', 5, 1), record('sys1', '01A', 5, 1), record('sys2', '01B', 5, 1), record('sys4', '01D', 6, 1)];
+    for (const { sys_id: sysId } of records) {
+      auditEntries[sysId] = [audit('state', '1', '2', 'jdoe', 1, 5)];
+    }
+
+    expect(await createPoller().poll()).toBe(4);
+    expect(queued.map(({ payload }) => payload.sys_id)).toEqual(['sys1', 'sys2', 'sys3', 'sys4']);
+    expect(serviceNowClient.getLinkedIncidents.mock.calls.map(([{ after }]) => after?.sys_id ?? null))
+      .toEqual([null, 'sys2', 'sys4']);
+  });
+
+  test('picks up a record updated while the poll runs without skipping the others', async () => {
+    records = [record('sys1', '01A', 5, 1), record('sys2', '01B', 5, 1), record('sys3', '01C', 7, 1)];
+    for (const { sys_id: sysId } of records) {
+      auditEntries[sysId] = [audit('state', '1', '2', 'jdoe', 1, 5)];
+    }
+    const enqueue = async (deliveryId, payload) => {
+      queued.push({ deliveryId, payload });
+      if (payload.sys_id === 'sys1' && queued.length === 1) {
+        // sys1 changes again before the next page is read; with offsets this
+        // would shift sys3 back onto the page already read
+        Object.assign(records[0], { sys_updated_on: '2030-01-01 00:00:08', sys_mod_count: '2' });
+        auditEntries.sys1.push(audit('priority', '3', '1', 'jdoe', 2, 8));
+      }
+    };
+    const poller = new ServiceNowPoller(serviceNowClient, {
+      file: path.join(dir, 'servicenow-poll.json'),
+      page_size: 2
+    }, logger, linkRegistry, enqueue);
+
+    await poller.poll();
+    expect(queued.map(({ deliveryId }) => deliveryId)).toEqual(['poll:sys1:1', 'poll:sys2:1', 'poll:sys3:1', 'poll:sys1:2']);
+  });
+
+  test('starts initial_lookback_ms before the first run and keeps the cursor', async () => {
+    const poller = createPoller({ initial_lookback_ms: 60000 });
+    const before = new Date(Date.now() - 61000).toISOString().slice(0, 19).replace('T', ' ');
+    expect((await poller.getCursor()).updated_on >= before).toBe(true);
+
+    await poller.advanceCursor(record('sys1', '01A', 5, 1));
+    await poller.advanceCursor(record('sys2', '01B', 5, 3));
+    expect(await poller.getCursor()).toEqual({ updated_on: '2030-01-01 00:00:05', versions: ['sys1:1', 'sys2:3'] });
+
+    await poller.advanceCursor(record('sys1', '01A', 6, 2));
+    expect(await poller.getCursor()).toEqual({ updated_on: '2030-01-01 00:00:06', versions: ['sys1:2'] });
+  });
+});
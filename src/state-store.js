@@ -0,0 +1,147 @@
+/**
+ * Shared State Store
+ *
+ * Pluggable key/value backend with TTLs for the state both sync handlers use to
+ * prevent duplicate processing and sync loops (processing locks and write
+ * fingerprints). Keeping this state outside the process makes it survive
+ * restarts and, with the Redis backend, be shared by every replica.
+ *
+ * BACKENDS (config.state.backend):
+ * - memory: in-process only, lost on restart
+ * - file:   JSON file on local disk, survives restarts of a single instance
+ * - redis:  any server speaking the Redis protocol, shared across replicas
+ *
+ * Implementations provide get/set/setIfAbsent/delete/deleteIfEquals/
+ * expireIfEquals; locks are built on top.
+ * Values must be JSON-serialisable.
+ */
+const crypto = require('crypto');
+
+class StateStore {
+  /**
+   * Create the state store configured in config.state
+   */
+  static create(config = {}, logger) {
+    switch (config.backend || 'memory') {
+      case 'memory': {
+        const MemoryStateStore = require('./memory-state-store');
+        return new MemoryStateStore(config, logger);
+      }
+      case 'file': {
+        const FileStateStore = require('./file-state-store');
+        return new FileStateStore(config, logger);
+      }
+      case 'redis': {
+        const RedisStateStore = require('./redis-state-store');
+        return new RedisStateStore(config, logger);
+      }
+      default:
+        throw new Error(`Unknown state backend: ${config.backend}`);
+    }
+  }
+
+  constructor(config = {}, logger) {
+    this.config = config;
+    this.logger = logger;
+  }
+
+  async get(key) {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  async set(key, value, ttlMs) {
+    throw new Error(`${this.constructor.name} does not implement set`);
+  }
+
+  /**
+   * Set a key only if it does not exist yet. Resolves to true if it was set.
+   */
+  async setIfAbsent(key, value, ttlMs) {
+    throw new Error(`${this.constructor.name} does not implement setIfAbsent`);
+  }
+
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  /**
+   * Delete a key only if it still holds the given value, as one atomic step.
+   * Resolves to true if it was deleted.
+   */
+  async deleteIfEquals(key, value) {
+    throw new Error(`${this.constructor.name} does not implement deleteIfEquals`);
+  }
+
+  /**
+   * Reset the TTL of a key only if it still holds the given value, as one
+   * atomic step. Resolves to true if it was extended.
+   */
+  async expireIfEquals(key, value, ttlMs) {
+    throw new Error(`${this.constructor.name} does not implement expireIfEquals`);
+  }
+
+  async close() {}
+
+  /**
+   * How long a lock lives without being renewed
+   */
+  getLockTtlMs() {
+    return this.config.lock_ttl_ms || 120000;
+  }
+
+  /**
+   * Try to acquire a named lock. Resolves to a token when acquired, or null
+   * when someone else holds it. The lock expires after ttlMs so a crashed
+   * holder cannot block others forever.
+   */
+  async acquireLock(name, ttlMs = this.getLockTtlMs()) {
+    const token = crypto.randomUUID();
+    const acquired = await this.setIfAbsent(`lock:${name}`, token, ttlMs);
+    return acquired ? token : null;
+  }
+
+  /**
+   * Acquire a named lock, polling until it is free. Resolves to a token, or
+   * null if the lock could not be acquired within timeoutMs.
+   */
+  async waitForLock(name, timeoutMs = this.config.lock_wait_ms || 30000, ttlMs = undefined) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      const token = await this.acquireLock(name, ttlMs);
+      if (token || Date.now() >= deadline) {
+        return token;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+
+  /**
+   * Keep a held lock from expiring while a long task runs, by renewing it
+   * every third of its TTL. Returns a function that stops the renewal.
+   */
+  keepLockAlive(name, token, ttlMs = this.getLockTtlMs()) {
+    const timer = setInterval(async () => {
+      try {
+        if (!(await this.expireIfEquals(`lock:${name}`, token, ttlMs))) {
+          this.logger.warn('Processing lock expired before it could be renewed', { lock: name });
+          clearInterval(timer);
+        }
+      } catch (error) {
+        this.logger.warn('Failed to renew processing lock', { lock: name, error: error.message });
+      }
+    }, Math.max(Math.floor(ttlMs / 3), 1));
+    timer.unref?.();
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Release a lock, but only if it is still held with the given token
+   */
+  async releaseLock(name, token) {
+    await this.deleteIfEquals(`lock:${name}`, token);
+  }
+}
+
+module.exports = StateStore;
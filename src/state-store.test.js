@@ -0,0 +1,70 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MemoryStateStore = require('./memory-state-store');
+const FileStateStore = require('./file-state-store');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe.each([
+  ['MemoryStateStore', async () => new MemoryStateStore({ lock_ttl_ms: 60 }, logger)],
+  ['FileStateStore', async (dir) => new FileStateStore({ file: path.join(dir, 'state.json'), lock_ttl_ms: 60 }, logger)]
+])('%s locks', (name, createStore) => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'state-store-'));
+    store = await createStore(dir);
+  });
+
+  afterEach(async () => {
+    await store.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('keeps a lock while it is renewed and lets it expire afterwards', async () => {
+    const token = await store.acquireLock('incident:01A');
+    const stopRenewal = store.keepLockAlive('incident:01A', token);
+
+    await sleep(200);
+    expect(await store.acquireLock('incident:01A')).toBeNull();
+
+    stopRenewal();
+    await sleep(100);
+    expect(await store.acquireLock('incident:01A')).toEqual(expect.any(String));
+  });
+
+  test('renews and releases only with the token that holds the lock', async () => {
+    const token = await store.acquireLock('incident:01A');
+
+    expect(await store.expireIfEquals('lock:incident:01A', 'someone-else', 1000)).toBe(false);
+    await store.releaseLock('incident:01A', 'someone-else');
+    expect(await store.acquireLock('incident:01A')).toBeNull();
+
+    expect(await store.expireIfEquals('lock:incident:01A', token, 1000)).toBe(true);
+    await store.releaseLock('incident:01A', token);
+    expect(await store.expireIfEquals('lock:incident:01A', token, 1000)).toBe(false);
+  });
+
+  test('stops renewing a lock that was lost', async () => {
+    const token = await store.acquireLock('incident:01A');
+    await store.delete('lock:incident:01A');
+    const stopRenewal = store.keepLockAlive('incident:01A', token);
+
+    await sleep(100);
+    stopRenewal();
+    expect(logger.warn).toHaveBeenCalledWith('Processing lock expired before it could be renewed', { lock: 'incident:01A' });
+    expect(logger.warn.mock.calls.filter(([message]) => message.startsWith('Processing lock expired'))).toHaveLength(1);
+    logger.warn.mockClear();
+  });
+});
+
+describe('FileStateStore lock TTL', () => {
+  test('is capped at lock_wait_ms', () => {
+    expect(new FileStateStore({ file: 'unused.json', lock_ttl_ms: 120000, lock_wait_ms: 30000 }, logger).getLockTtlMs()).toBe(30000);
+    expect(new FileStateStore({ file: 'unused.json', lock_ttl_ms: 10000, lock_wait_ms: 30000 }, logger).getLockTtlMs()).toBe(10000);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Templates for the "template" mapping type
+ *
+ * Text with {{ }} placeholders, each holding an expression (usually a path)
+ * and optional pipe filters:
+ *
+ *   "[{{incident.severity.name | upper}}] {{incident.name | truncate:120}} ({{incident.reference}})"
+ *
+ * Placeholders are expressions in the language from expression-language.js,
+ * so {{incident.custom_field ?? incident.name}} works too. Filter arguments
+ * are expressions as well, usually literals: truncate:160, default:"n/a",
+ * date:"YYYY-MM-DD HH:mm", join:", ".
+ *
+ * Templates are compiled once; rendering only evaluates the compiled parts.
+ */
+const ExpressionLanguage = require('./expression-language');
+
+const { ExpressionError, helpers } = ExpressionLanguage;
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Text for a value in rendered output: lists are joined and objects show
+ * their name or label
+ */
+function renderValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(renderValue).filter(item => item !== '').join(', ');
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return String(value.name ?? value.label ?? JSON.stringify(value));
+  }
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+const FILTERS = {
+  upper: (value) => renderValue(value).toUpperCase(),
+  lower: (value) => renderValue(value).toLowerCase(),
+  trim: (value) => renderValue(value).trim(),
+  truncate: (value, length, suffix = '...') => {
+    const text = renderValue(value);
+    const limit = Number(length);
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`truncate needs a length, got ${length}`);
+    }
+    if (text.length <= limit) return text;
+    const ending = String(suffix).length < limit ? String(suffix) : '';
+    return text.substring(0, limit - ending.length) + ending;
+  },
+  default: (value, fallback = '') => (isEmpty(value) || (Array.isArray(value) && value.length === 0) ? fallback : value),
+  date: (value, pattern, timezone) => helpers.formatDate(value, pattern, timezone) ?? '',
+  join: (value, separator = ', ') =>
+    (Array.isArray(value) ? value.map(renderValue).filter(item => item !== '').join(String(separator)) : value)
+};
+
+/**
+ * Split text on a character outside quoted strings, leaving "||" alone
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === separator && text[i + 1] !== separator && text[i - 1] !== separator) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Index of the "}}" closing a placeholder, skipping quoted strings
+ */
+function findClose(text, from) {
+  let quote = null;
+  for (let i = from; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (text.startsWith('}}', i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function positionOf(text, index) {
+  const before = text.slice(0, index).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Compile one placeholder body ("path | filter:arg") into a function of the scope
+ */
+function compilePlaceholder(body) {
+  const [expressionSource, ...filterSources] = splitOutsideQuotes(body, '|');
+  if (expressionSource.trim() === '') {
+    throw new Error('Empty placeholder');
+  }
+
+  const expression = ExpressionLanguage.compile(expressionSource);
+  const filters = filterSources.map((source) => {
+    const match = source.match(/^\s*([A-Za-z_]\w*)\s*(?::([\s\S]*))?$/);
+    if (!match) {
+      throw new Error(`Invalid filter '${source.trim()}'`);
+    }
+    const [, name, argsSource] = match;
+    if (!FILTERS[name]) {
+      throw new Error(`Unknown filter '${name}' (available: ${Object.keys(FILTERS).join(', ')})`);
+    }
+    if (argsSource !== undefined && argsSource.trim() === '') {
+      throw new Error(`Filter '${name}' is missing its argument after ':'`);
+    }
+    const args = argsSource === undefined ? null : ExpressionLanguage.compile(`[${argsSource}]`);
+    return { name, apply: FILTERS[name], args };
+  });
+
+  return (scope) => filters.reduce((value, filter) => {
+    const args = filter.args ? filter.args.evaluate(scope) : [];
+    try {
+      return filter.apply(value, ...args);
+    } catch (error) {
+      throw new Error(`Filter '${filter.name}' failed: ${error.message}`);
+    }
+  }, expression.evaluate(scope));
+}
+
+class Template {
+  /**
+   * Compile a template. Returns { source, render(scope) } and throws
+   * ExpressionError (with line and column) for an invalid placeholder.
+   */
+  static compile(source) {
+    if (typeof source !== 'string') {
+      throw new ExpressionError('Template must be a string');
+    }
+
+    const parts = [];
+    let index = 0;
+    while (index < source.length) {
+      const open = source.indexOf('{{', index);
+      if (open === -1) {
+        parts.push(source.slice(index));
+        break;
+      }
+      if (open > index) {
+        parts.push(source.slice(index, open));
+      }
+
+      const { line, column } = positionOf(source, open);
+      const close = findClose(source, open + 2);
+      if (close === -1) {
+        throw new ExpressionError('Unclosed placeholder', line, column);
+      }
+
+      try {
+        parts.push(compilePlaceholder(source.slice(open + 2, close)));
+      } catch (error) {
+        throw new ExpressionError(`Invalid placeholder: ${error.reason || error.message}`, line, column);
+      }
+      index = close + 2;
+    }
+
+    return {
+      source,
+      render: (scope = {}) => parts
+        .map(part => (typeof part === 'string' ? part : renderValue(part(scope))))
+        .join('')
+    };
+  }
+
+  /**
+   * Check a template's syntax. Returns the error message, or null if valid.
+   */
+  static check(source) {
+    try {
+      Template.compile(source);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+}
+
+Template.FILTERS = Object.freeze(Object.keys(FILTERS));
+
+module.exports = Template;
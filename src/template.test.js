@@ -0,0 +1,93 @@
+const Template = require('./template');
+
+const render = (source, scope = {}) => Template.compile(source).render(scope);
+
+const incident = {
+  name: 'Checkout is down for every customer in the EU region',
+  reference: 'INC-42',
+  severity: { name: 'Major' },
+  created_at: '2026-03-08T07:30:00Z',
+  tags: ['payments', null, 'eu'],
+  custom_fields: { 'Affected Service': 'Checkout' }
+};
+
+describe('Template.render', () => {
+  test('fills placeholders from the scope', () => {
+    expect(render('[{{incident.severity.name | upper}}] {{incident.reference}}', { incident }))
+      .toBe('[MAJOR] INC-42');
+    expect(render('{{incident.custom_fields["Affected Service"]}}', { incident })).toBe('Checkout');
+  });
+
+  test('renders missing values as empty text', () => {
+    expect(render('({{incident.summary}})', { incident })).toBe('()');
+  });
+
+  test('renders lists and objects readably', () => {
+    expect(render('{{incident.tags}}', { incident })).toBe('payments, eu');
+    expect(render('{{incident.severity}}', { incident })).toBe('Major');
+  });
+
+  test('evaluates expressions in placeholders', () => {
+    expect(render('{{incident.summary ?? incident.reference}}', { incident })).toBe('INC-42');
+    expect(render('{{incident.reference == "INC-42" ? "yes" : "no"}}', { incident })).toBe('yes');
+    expect(render('{{ incident.summary || "n/a" }}', { incident })).toBe('n/a');
+  });
+
+  test('leaves text without placeholders unchanged', () => {
+    expect(render('No placeholders } here {')).toBe('No placeholders } here {');
+  });
+});
+
+describe('filters', () => {
+  test('truncate keeps the suffix within the limit', () => {
+    expect(render('{{incident.name | truncate:20}}', { incident })).toBe('Checkout is down ...');
+    expect(render('{{incident.name | truncate:8,""}}', { incident })).toBe('Checkout');
+    expect(render('{{incident.reference | truncate:20}}', { incident })).toBe('INC-42');
+  });
+
+  test('default replaces empty values', () => {
+    expect(render('{{incident.summary | default:"n/a"}}', { incident })).toBe('n/a');
+    expect(render('{{incident.reference | default:"n/a"}}', { incident })).toBe('INC-42');
+    expect(render('{{incident.none | default:"none"}}', { incident: { none: [] } })).toBe('none');
+  });
+
+  test('date formats in a timezone', () => {
+    expect(render('{{incident.created_at | date:"YYYY-MM-DD HH:mm","America/New_York"}}', { incident }))
+      .toBe('2026-03-08 03:30');
+  });
+
+  test('join, trim and lower', () => {
+    expect(render('{{incident.tags | join:" / "}}', { incident })).toBe('payments / eu');
+    expect(render('{{"  Mixed Case  " | trim | lower}}')).toBe('mixed case');
+  });
+
+  test('quoted pipes are not filter separators', () => {
+    expect(render('{{incident.summary | default:"a | b"}}', { incident })).toBe('a | b');
+  });
+
+  test('report failures with the filter name', () => {
+    expect(() => render('{{incident.name | truncate:"x"}}', { incident }))
+      .toThrow("Filter 'truncate' failed: truncate needs a length, got x");
+  });
+});
+
+describe('Template.check', () => {
+  test('accepts valid templates', () => {
+    expect(Template.check('{{incident.name | truncate:120}} ({{incident.reference}})')).toBeNull();
+  });
+
+  test('reports errors with the placeholder position', () => {
+    expect(Template.check('Title\n  {{incident.name')).toBe('Unclosed placeholder at line 2, column 3');
+    expect(Template.check('{{incident.name | shout}}'))
+      .toBe(`Invalid placeholder: Unknown filter 'shout' (available: ${Template.FILTERS.join(', ')}) at line 1, column 1`);
+    expect(Template.check('a {{ }}')).toBe('Invalid placeholder: Empty placeholder at line 1, column 3');
+    expect(Template.check('{{incident.name | truncate:}}'))
+      .toBe("Invalid placeholder: Filter 'truncate' is missing its argument after ':' at line 1, column 1");
+    expect(Template.check('{{incident.name +}}'))
+      .toBe('Invalid placeholder: Expected a value, found end of expression at line 1, column 1');
+  });
+
+  test('rejects non-string templates', () => {
+    expect(Template.check(42)).toBe('Template must be a string');
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Timeline Backfill
+ *
+ * Copies the full incident.io update timeline into ServiceNow work notes.
+ * Enabled with features.backfill_timeline.
+ *
+ * Mapping only incident.most_recent_update_message loses updates whenever
+ * events are coalesced, missed, or arrive while the incident is locked.
+ * Instead, every forward sync fetches the incident's updates and posts each one
+ * that has not been posted yet as its own work note, oldest first.
+ *
+ * The IDs of posted updates are kept per incident in the link registry
+ * ("timeline" section). A link without that section belongs to a record synced
+ * before the backfill was enabled, whose updates already reached ServiceNow
+ * another way: its existing updates are recorded as posted without writing
+ * them, and only later updates are backfilled. During that seeding sync the
+ * triggering update still goes out through the work_notes mapping (see
+ * isTracking). Updates that reverse sync created in incident.io are
+ * marked as posted too, and updates made with our own API key are skipped, so
+ * they are not echoed back into ServiceNow.
+ */
+class TimelineSync {
+  constructor(serviceNowClient, incidentIOClient, config, logger, linkRegistry, originTracker = null) {
+    this.serviceNowClient = serviceNowClient;
+    this.incidentIOClient = incidentIOClient;
+    this.config = config;
+    this.logger = logger;
+    this.linkRegistry = linkRegistry;
+    this.originTracker = originTracker;
+    this.maxNoteLength = config.max_note_length || 4000;
+  }
+
+  /**
+   * Whether the incident's updates are tracked, i.e. its timeline has been
+   * seeded or backfilled. Until then the backfill only seeds, and the
+   * triggering update must reach ServiceNow through the work_notes mapping.
+   */
+  async isTracking(incidentId) {
+    const link = await this.linkRegistry.get(incidentId);
+    return Boolean(link?.timeline);
+  }
+
+  /**
+   * IDs of updates already posted for an incident
+   */
+  async getPostedIds(incidentId) {
+    const link = await this.linkRegistry.get(incidentId);
+    return new Set(link?.timeline?.posted_update_ids || []);
+  }
+
+  /**
+   * Remember updates as posted so they are never written as work notes
+   */
+  async markPosted(incidentId, updateIds) {
+    const ids = updateIds.filter(Boolean);
+    if (ids.length === 0) {
+      return;
+    }
+
+    await this.linkRegistry.updateState(incidentId, 'timeline', (timeline) => {
+      timeline.posted_update_ids = [...new Set([...(timeline.posted_update_ids || []), ...ids])];
+      timeline.last_posted_at = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Record the existing updates of an incident synced before the backfill was
+   * enabled as posted, without writing them to ServiceNow
+   */
+  async seed(incidentId, updates) {
+    await this.linkRegistry.updateState(incidentId, 'timeline', (timeline) => {
+      timeline.posted_update_ids = [...new Set([...(timeline.posted_update_ids || []), ...updates.map(update => update.id)])];
+      timeline.seeded_at = new Date().toISOString();
+    });
+
+    this.logger.info('Seeded timeline backfill with existing incident.io updates', {
+      incident_id: incidentId,
+      updates: updates.length
+    });
+  }
+
+  /**
+   * Format one incident.io update as a ServiceNow work note
+   */
+  formatWorkNote(update) {
+    const author = update.updater?.user?.name || update.updater?.api_key?.name || 'incident.io';
+    const changes = [
+      update.new_incident_status?.name && `Status: ${update.new_incident_status.name}`,
+      update.new_severity?.name && `Severity: ${update.new_severity.name}`
+    ].filter(Boolean);
+
+    const lines = [`[incident.io update by ${author} at ${update.created_at}]`];
+    if (changes.length > 0) {
+      lines.push(changes.join(' | '));
+    }
+    lines.push(update.message);
+
+    const note = lines.join('\n');
+    return note.length > this.maxNoteLength
+      ? `${note.slice(0, this.maxNoteLength - 3)}...`
+      : note;
+  }
+
+  /**
+   * Post every update of the incident that has not been posted yet, oldest
+   * first. options.created marks a record that was just created, whose
+   * updates are all posted. Resolves to the IDs of the updates written as
+   * work notes.
+   */
+  async backfill(incidentId, sysId, options = {}) {
+    // Without a link there is nowhere to remember posted updates
+    const link = await this.linkRegistry.get(incidentId);
+    if (!link) {
+      this.logger.warn('Incident is not in the link registry, skipping timeline backfill', {
+        incident_id: incidentId
+      });
+      return [];
+    }
+
+    const updates = (await this.incidentIOClient.getIncidentUpdates(incidentId))
+      .slice()
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    if (!link.timeline && !options.created) {
+      await this.seed(incidentId, updates);
+      return [];
+    }
+
+    const postedIds = [];
+    for (const update of updates) {
+      // Re-read before each note: reverse sync may have just marked one posted
+      const alreadyPosted = await this.getPostedIds(incidentId);
+      if (alreadyPosted.has(update.id)) {
+        continue;
+      }
+
+      // Updates posted by our own API key came from ServiceNow
+      const ownUpdate = await this.originTracker?.isOwnIncidentIOActor(update.updater);
+      if (update.message?.trim() && !ownUpdate) {
+        await this.serviceNowClient.updateIncident(sysId, { work_notes: this.formatWorkNote(update) });
+        postedIds.push(update.id);
+      }
+
+      // Recorded one by one so a failure part-way never posts a note twice
+      await this.markPosted(incidentId, [update.id]);
+    }
+
+    if (postedIds.length > 0) {
+      this.logger.info('Backfilled incident.io timeline into ServiceNow work notes', {
+        incident_id: incidentId,
+        servicenow_sys_id: sysId,
+        posted_updates: postedIds.length
+      });
+    }
+    return postedIds;
+  }
+}
+
+module.exports = TimelineSync;
@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TimelineSync = require('./timeline-sync');
+const LinkRegistry = require('./link-registry');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const update = (id, minute, extra = {}) => ({
+  id,
+  message: `Update ${id}`,
+  created_at: `2026-03-04T05:${String(minute).padStart(2, '0')}:00Z`,
+  updater: { user: { name: 'Jane Doe' } },
+  ...extra
+});
+
+describe('TimelineSync', () => {
+  let dir;
+  let linkRegistry;
+  let serviceNowClient;
+  let updates;
+  let originTracker;
+
+  const createSync = (config = {}) => new TimelineSync(
+    serviceNowClient,
+    { getIncidentUpdates: jest.fn(async () => updates) },
+    config,
+    logger,
+    linkRegistry,
+    originTracker
+  );
+
+  const postedIds = async () => (await linkRegistry.get('01A')).timeline?.posted_update_ids;
+  const notes = () => serviceNowClient.updateIncident.mock.calls.map(([, fields]) => fields.work_notes);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'timeline-sync-'));
+    linkRegistry = new LinkRegistry({ file: path.join(dir, 'links.json'), instance: 'dev' }, logger);
+    await linkRegistry.upsert('01A', { sys_id: 'sys1', number: 'INC0010001' });
+    serviceNowClient = { updateIncident: jest.fn(async () => ({})) };
+    originTracker = null;
+    updates = [];
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('seeds an incident linked before the backfill was enabled without posting', async () => {
+    updates = [update('u1', 1), update('u2', 2)];
+    const sync = createSync();
+
+    expect(await sync.isTracking('01A')).toBe(false);
+    expect(await sync.backfill('01A', 'sys1')).toEqual([]);
+
+    expect(serviceNowClient.updateIncident).not.toHaveBeenCalled();
+    expect(await postedIds()).toEqual(['u1', 'u2']);
+    expect(await sync.isTracking('01A')).toBe(true);
+
+    updates.push(update('u3', 3));
+    expect(await sync.backfill('01A', 'sys1')).toEqual(['u3']);
+    expect(notes()).toEqual(['[incident.io update by Jane Doe at 2026-03-04T05:03:00Z]\nUpdate u3']);
+  });
+
+  test('posts every update of a newly created record, oldest first', async () => {
+    updates = [update('u2', 2, { new_incident_status: { name: 'Fixing' }, new_severity: { name: 'Major' } }), update('u1', 1)];
+    const sync = createSync();
+
+    expect(await sync.backfill('01A', 'sys1', { created: true })).toEqual(['u1', 'u2']);
+    expect(notes()).toEqual([
+      '[incident.io update by Jane Doe at 2026-03-04T05:01:00Z]\nUpdate u1',
+      '[incident.io update by Jane Doe at 2026-03-04T05:02:00Z]\nStatus: Fixing | Severity: Major\nUpdate u2'
+    ]);
+    expect(await postedIds()).toEqual(['u1', 'u2']);
+  });
+
+  test('posts each update once', async () => {
+    updates = [update('u1', 1)];
+    const sync = createSync();
+
+    await sync.backfill('01A', 'sys1', { created: true });
+    expect(await sync.backfill('01A', 'sys1')).toEqual([]);
+    expect(serviceNowClient.updateIncident).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips updates reverse sync marked as posted', async () => {
+    updates = [update('u1', 1), update('u2', 2)];
+    const sync = createSync();
+    await sync.markPosted('01A', ['u1']);
+
+    expect(await sync.backfill('01A', 'sys1')).toEqual(['u2']);
+  });
+
+  test('skips updates made with our own API key and updates without text', async () => {
+    originTracker = { isOwnIncidentIOActor: jest.fn(async actor => actor?.api_key?.name === 'ServiceNow sync') };
+    updates = [
+      update('u1', 1, { updater: { api_key: { name: 'ServiceNow sync' } } }),
+      update('u2', 2, { message: '  ' }),
+      update('u3', 3)
+    ];
+    const sync = createSync();
+
+    expect(await sync.backfill('01A', 'sys1', { created: true })).toEqual(['u3']);
+    expect(await postedIds()).toEqual(['u1', 'u2', 'u3']);
+  });
+
+  test('keeps what was posted when a write fails part-way', async () => {
+    updates = [update('u1', 1), update('u2', 2)];
+    serviceNowClient.updateIncident
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('ServiceNow unavailable'));
+    const sync = createSync();
+
+    await expect(sync.backfill('01A', 'sys1', { created: true })).rejects.toThrow('ServiceNow unavailable');
+    expect(await postedIds()).toEqual(['u1']);
+
+    expect(await sync.backfill('01A', 'sys1')).toEqual(['u2']);
+  });
+
+  test('does nothing for incidents without a link', async () => {
+    updates = [update('u1', 1)];
+    expect(await createSync().backfill('01UNLINKED', 'sys9')).toEqual([]);
+    expect(serviceNowClient.updateIncident).not.toHaveBeenCalled();
+  });
+
+  test('truncates long notes', () => {
+    const note = createSync({ max_note_length: 60 }).formatWorkNote(update('u1', 1, { message: 'x'.repeat(100) }));
+    expect(note).toHaveLength(60);
+    expect(note.endsWith('...')).toBe(true);
+  });
+});
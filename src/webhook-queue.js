@@ -0,0 +1,328 @@
+/**
+ * Durable Webhook Job Queue
+ *
+ * Webhook deliveries are written to a local file-backed queue before the HTTP
+ * request is acknowledged, and a worker loop processes them in the background.
+ * Failed jobs are retried with exponential backoff. Because the queue lives on
+ * disk, jobs that were pending (or in flight) when the process stopped are
+ * picked up again on the next start.
+ *
+ * JOB LIFECYCLE:
+ * - pending:    waiting for its next_attempt_at time
+ * - processing: claimed by the worker loop
+ * Jobs are removed from the queue once they succeed. Jobs that run out of
+ * attempts, or fail with an error that retrying cannot fix, are moved to the
+ * dead-letter store.
+ *
+ * ORDERING:
+ * Jobs with the same order key (one incident or record) run in the order they
+ * were enqueued. A job waiting for a retry or a coalescing window holds back
+ * the later jobs for its key, so a newer event never overtakes an older one.
+ */
+const crypto = require('crypto');
+const FileStore = require('./file-store');
+const DeadLetterStore = require('./dead-letter-store');
+
+class WebhookQueue {
+  constructor(config, logger, deadLetterStore = null) {
+    this.config = config;
+    this.logger = logger;
+    this.deadLetterStore = deadLetterStore;
+    this.store = new FileStore(config.file, { jobs: [] }, logger);
+    this.handlers = new Map();
+
+    this.maxAttempts = config.max_attempts || 5;
+    this.backoffMs = config.backoff_ms || 1000;
+    this.maxBackoffMs = config.max_backoff_ms || 5 * 60 * 1000;
+    this.pollIntervalMs = config.poll_interval_ms || 1000;
+    this.concurrency = config.concurrency || 1;
+
+    this.running = false;
+    this.timer = null;
+    this.polling = false;
+    this.pollPromise = null;
+    this.inFlight = new Map(); // job id -> promise
+  }
+
+  /**
+   * Register the function that processes jobs of a given type
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Durably enqueue a job. Resolves once the job has been written to disk.
+   *
+   * Jobs sharing options.orderKey are processed one at a time, oldest first.
+   * With options.coalesceKey the job is held for options.windowMs; further jobs
+   * with the same key arriving in that window are folded into it with
+   * options.merge(existingPayload, newPayload), pushing the window out up to
+   * options.maxWaitMs after the first event.
+   */
+  async enqueue(type, payload, metadata = {}, options = {}) {
+    const { orderKey = null, coalesceKey = null, windowMs = 0, maxWaitMs = windowMs, merge = null } = options;
+    const now = Date.now();
+
+    const job = await this.store.update((data) => {
+      if (coalesceKey) {
+        const pending = data.jobs.find(existing =>
+          existing.coalesce_key === coalesceKey && existing.status === 'pending' && existing.attempts === 0
+        );
+
+        if (pending) {
+          pending.payload = merge ? merge(pending.payload, payload) : payload;
+          pending.metadata.coalesced_events = (pending.metadata.coalesced_events || 1) + 1;
+          pending.next_attempt_at = new Date(
+            Math.min(now + windowMs, Date.parse(pending.created_at) + maxWaitMs)
+          ).toISOString();
+          return pending;
+        }
+      }
+
+      const created = {
+        id: crypto.randomUUID(),
+        type,
+        payload,
+        metadata,
+        order_key: orderKey,
+        coalesce_key: coalesceKey,
+        status: 'pending',
+        attempts: 0,
+        created_at: new Date(now).toISOString(),
+        next_attempt_at: new Date(now + (coalesceKey ? windowMs : 0)).toISOString(),
+        last_error: null
+      };
+      data.jobs.push(created);
+      return created;
+    });
+
+    if (job.metadata.coalesced_events) {
+      this.logger.debug('Webhook event coalesced into pending job', {
+        job_id: job.id,
+        type,
+        coalesced_events: job.metadata.coalesced_events
+      });
+    } else {
+      this.logger.debug('Webhook job enqueued', { job_id: job.id, type });
+    }
+
+    // Process immediately rather than waiting for the next poll
+    if (this.running) {
+      this.schedule(0);
+    }
+
+    return job;
+  }
+
+  /**
+   * Start the worker loop. Jobs left in "processing" by a previous run
+   * were interrupted and are returned to the pending state.
+   */
+  async start() {
+    if (this.running) return;
+
+    const recovered = await this.store.update((data) => {
+      let count = 0;
+      for (const job of data.jobs) {
+        if (job.status === 'processing') {
+          job.status = 'pending';
+          job.next_attempt_at = new Date().toISOString();
+          count++;
+        }
+      }
+      return count;
+    });
+
+    if (recovered > 0) {
+      this.logger.warn('Recovered interrupted webhook jobs', { count: recovered });
+    }
+
+    this.running = true;
+    this.schedule(0);
+    this.logger.info('Webhook queue worker started', {
+      file: this.config.file,
+      concurrency: this.concurrency,
+      max_attempts: this.maxAttempts
+    });
+  }
+
+  /**
+   * Stop the worker loop and wait for a poll in progress and the jobs in flight
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    // A poll that is claiming jobs adds them to inFlight, so let it finish first
+    await this.pollPromise;
+    await Promise.allSettled(Array.from(this.inFlight.values()));
+    this.logger.info('Webhook queue worker stopped');
+  }
+
+  schedule(delay = this.pollIntervalMs) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pollPromise = this.poll().catch((error) => {
+        this.logger.error('Webhook queue poll failed', { error: error.message });
+      });
+    }, delay);
+  }
+
+  /**
+   * Claim ready jobs up to the concurrency limit and start processing them
+   */
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+
+    try {
+      const slots = this.concurrency - this.inFlight.size;
+      if (slots > 0) {
+        const claimed = await this.store.update((data) => {
+          const now = Date.now();
+          const ready = [];
+          const heldKeys = new Set(); // keys with an earlier job still queued or running
+
+          for (const job of data.jobs) {
+            if (ready.length >= slots) break;
+            if (job.order_key && heldKeys.has(job.order_key)) continue;
+            if (job.order_key) heldKeys.add(job.order_key);
+
+            if (job.status === 'pending' && Date.parse(job.next_attempt_at) <= now) {
+              ready.push(job);
+            }
+          }
+
+          for (const job of ready) {
+            job.status = 'processing';
+            job.attempts++;
+          }
+          return ready;
+        });
+
+        for (const job of claimed) {
+          const promise = this.processJob(job)
+            .catch((error) => {
+              this.logger.error('Failed to record webhook job outcome', {
+                job_id: job.id,
+                error: error.message
+              });
+            })
+            .finally(() => {
+              this.inFlight.delete(job.id);
+              this.schedule(0);
+            });
+          this.inFlight.set(job.id, promise);
+        }
+      }
+    } finally {
+      this.polling = false;
+      this.schedule();
+    }
+  }
+
+  /**
+   * Run a single job and record the outcome
+   */
+  async processJob(job) {
+    const handler = this.handlers.get(job.type);
+    const startTime = Date.now();
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      await handler(job.payload, job);
+
+      await this.store.update((data) => {
+        data.jobs = data.jobs.filter(existing => existing.id !== job.id);
+      });
+
+      this.logger.info('Webhook job processed', {
+        job_id: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        duration_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      await this.handleFailure(job, error);
+    }
+  }
+
+  /**
+   * Reschedule a failed job with exponential backoff, or dead-letter it once
+   * it has used all of its attempts or failed with a non-retryable error
+   */
+  async handleFailure(job, error) {
+    const classified = DeadLetterStore.classifyError(error);
+    const exhausted = job.attempts >= this.maxAttempts || !classified.retryable;
+    const delay = Math.min(this.backoffMs * Math.pow(2, job.attempts - 1), this.maxBackoffMs);
+
+    // Dead-letter before removing from the queue so the event is never lost in between
+    if (exhausted && this.deadLetterStore) {
+      await this.deadLetterStore.add(job, error, classified);
+    }
+
+    await this.store.update((data) => {
+      if (exhausted) {
+        data.jobs = data.jobs.filter(existing => existing.id !== job.id);
+        return;
+      }
+
+      const stored = data.jobs.find(existing => existing.id === job.id);
+      if (stored) {
+        stored.status = 'pending';
+        stored.next_attempt_at = new Date(Date.now() + delay).toISOString();
+        stored.last_error = error.message;
+      }
+    });
+
+    if (exhausted) {
+      this.logger.error('Webhook job failed permanently, giving up', {
+        job_id: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        classification: classified.classification,
+        error: error.message
+      });
+    } else {
+      this.logger.warn('Webhook job failed, will retry', {
+        job_id: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        retry_in_ms: delay,
+        classification: classified.classification,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get queue statistics
+   */
+  async getStats() {
+    const data = await this.store.read();
+    const byStatus = data.jobs.reduce((acc, job) => {
+      acc[job.status] = (acc[job.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    return {
+      running: this.running,
+      in_flight: this.inFlight.size,
+      total: data.jobs.length,
+      pending: byStatus.pending || 0,
+      processing: byStatus.processing || 0,
+      oldest_job_at: data.jobs[0]?.created_at || null
+    };
+  }
+}
+
+module.exports = WebhookQueue;
@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const WebhookQueue = require('./webhook-queue');
+const FileStore = require('./file-store');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('WebhookQueue', () => {
+  let dir;
+  let queue;
+
+  const createQueue = (options = {}) => new WebhookQueue({
+    file: path.join(dir, 'queue.json'),
+    backoff_ms: 5,
+    poll_interval_ms: 10,
+    max_attempts: 3,
+    ...options
+  }, logger);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhook-queue-'));
+  });
+
+  afterEach(async () => {
+    await queue?.stop();
+    queue = null;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('writes jobs to disk before processing them', async () => {
+    queue = createQueue();
+    const job = await queue.enqueue('incident_io', { id: 'a' }, { delivery_id: 'd1' });
+
+    const stored = JSON.parse(await fs.readFile(path.join(dir, 'queue.json'), 'utf8'));
+    expect(stored.jobs).toEqual([expect.objectContaining({
+      id: job.id,
+      type: 'incident_io',
+      payload: { id: 'a' },
+      metadata: { delivery_id: 'd1' },
+      status: 'pending',
+      attempts: 0
+    })]);
+  });
+
+  test('removes jobs once their handler succeeds', async () => {
+    queue = createQueue();
+    const handled = [];
+    queue.registerHandler('incident_io', async (payload) => handled.push(payload.id));
+
+    await queue.start();
+    await queue.enqueue('incident_io', { id: 'a' });
+    await queue.enqueue('incident_io', { id: 'b' });
+
+    await waitFor(async () => (await queue.getStats()).total === 0);
+    expect(handled).toEqual(['a', 'b']);
+  });
+
+  test('retries failures with backoff until the handler succeeds', async () => {
+    queue = createQueue();
+    const attempts = [];
+    queue.registerHandler('incident_io', async (payload, job) => {
+      attempts.push(job.attempts);
+      if (job.attempts < 3) {
+        throw Object.assign(new Error('Service unavailable'), { response: { status: 503 } });
+      }
+    });
+
+    await queue.start();
+    await queue.enqueue('incident_io', { id: 'a' });
+
+    await waitFor(async () => (await queue.getStats()).total === 0);
+    expect(attempts).toEqual([1, 2, 3]);
+    expect(logger.warn).toHaveBeenCalledWith('Webhook job failed, will retry', expect.objectContaining({
+      attempts: 1,
+      retry_in_ms: 5,
+      classification: 'transient'
+    }));
+    expect(logger.warn).toHaveBeenCalledWith('Webhook job failed, will retry', expect.objectContaining({
+      attempts: 2,
+      retry_in_ms: 10
+    }));
+  });
+
+  test('picks up jobs interrupted by a previous run', async () => {
+    const store = new FileStore(path.join(dir, 'queue.json'), { jobs: [] }, logger);
+    await store.write({
+      jobs: [{
+        id: 'interrupted',
+        type: 'incident_io',
+        payload: { id: 'a' },
+        metadata: {},
+        status: 'processing',
+        attempts: 1,
+        created_at: new Date().toISOString(),
+        next_attempt_at: new Date().toISOString(),
+        last_error: null
+      }]
+    });
+
+    queue = createQueue();
+    const handled = [];
+    queue.registerHandler('incident_io', async (payload, job) => handled.push(job.attempts));
+    await queue.start();
+
+    await waitFor(async () => (await queue.getStats()).total === 0);
+    expect(handled).toEqual([2]);
+    expect(logger.warn).toHaveBeenCalledWith('Recovered interrupted webhook jobs', { count: 1 });
+  });
+
+  test('holds later jobs for an order key while an earlier one waits to retry', async () => {
+    queue = createQueue({ backoff_ms: 100, concurrency: 2 });
+    const handled = [];
+    queue.registerHandler('incident_io', async (payload, job) => {
+      if (payload.id === 'a1' && job.attempts === 1) {
+        throw new Error('Temporary failure');
+      }
+      handled.push(payload.id);
+    });
+    await queue.start();
+
+    await queue.enqueue('incident_io', { id: 'a1' }, {}, { orderKey: 'incident_io:a' });
+    await queue.enqueue('incident_io', { id: 'a2' }, {}, { orderKey: 'incident_io:a' });
+    await queue.enqueue('incident_io', { id: 'b1' }, {}, { orderKey: 'incident_io:b' });
+    await queue.enqueue('incident_io', { id: 'c1' });
+
+    await waitFor(() => handled.length === 2);
+    expect(handled.sort()).toEqual(['b1', 'c1']);
+
+    await waitFor(async () => (await queue.getStats()).total === 0);
+    expect(handled.slice(2)).toEqual(['a1', 'a2']);
+  });
+
+  test('runs jobs for one order key one at a time', async () => {
+    queue = createQueue({ concurrency: 3 });
+    let running = 0;
+    let maxRunning = 0;
+    const handled = [];
+    queue.registerHandler('incident_io', async (payload) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      handled.push(payload);
+      running--;
+    });
+
+    for (const payload of [1, 2, 3]) {
+      await queue.enqueue('incident_io', payload, {}, { orderKey: 'incident_io:a' });
+    }
+    await queue.start();
+
+    await waitFor(async () => (await queue.getStats()).total === 0);
+    expect(handled).toEqual([1, 2, 3]);
+    expect(maxRunning).toBe(1);
+  });
+
+  test('folds jobs with the same coalesce key into one', async () => {
+    queue = createQueue();
+    const options = { coalesceKey: 'incident_io:a', windowMs: 50, merge: (existing, incoming) => ({ ...existing, ...incoming }) };
+
+    const first = await queue.enqueue('incident_io', { id: 'a', status: 'triage' }, {}, options);
+    const second = await queue.enqueue('incident_io', { id: 'a', severity: 'major' }, {}, options);
+    await queue.enqueue('incident_io', { id: 'b' }, {}, { ...options, coalesceKey: 'incident_io:b' });
+
+    expect(second.id).toBe(first.id);
+    expect(second.payload).toEqual({ id: 'a', status: 'triage', severity: 'major' });
+    expect(second.metadata.coalesced_events).toBe(2);
+    expect((await queue.getStats()).total).toBe(2);
+  });
+
+  test('pushes the window out no further than maxWaitMs after the first event', async () => {
+    queue = createQueue();
+    const options = { coalesceKey: 'incident_io:a', windowMs: 1000, maxWaitMs: 1500 };
+
+    const first = await queue.enqueue('incident_io', { id: 'a' }, {}, options);
+    const created = Date.parse(first.created_at);
+    expect(Date.parse(first.next_attempt_at)).toBe(created + 1000);
+
+    const realNow = Date.now;
+    Date.now = () => created + 800;
+    try {
+      const second = await queue.enqueue('incident_io', { id: 'a' }, {}, options);
+      expect(Date.parse(second.next_attempt_at)).toBe(created + 1500);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('holds coalesced jobs for the window, then runs them once', async () => {
+    queue = createQueue();
+    const handled = [];
+    queue.registerHandler('incident_io', async (payload) => handled.push(payload));
+    await queue.start();
+
+    const options = { coalesceKey: 'incident_io:a', windowMs: 100, merge: (existing, incoming) => [].concat(existing, incoming) };
+    await queue.enqueue('incident_io', 1, {}, options);
+    await queue.enqueue('incident_io', 2, {}, options);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(handled).toEqual([]);
+
+    await waitFor(async () => (await queue.getStats()).total === 0);
+    expect(handled).toEqual([[1, 2]]);
+  });
+
+  test('does not fold events into a job that has already been attempted', async () => {
+    queue = createQueue();
+    let failed = false;
+    const handled = [];
+    queue.registerHandler('incident_io', async (payload) => {
+      if (!failed) {
+        failed = true;
+        throw new Error('Temporary failure');
+      }
+      handled.push(payload);
+    });
+    await queue.start();
+
+    const options = { coalesceKey: 'incident_io:a', windowMs: 0 };
+    await queue.enqueue('incident_io', 1, {}, options);
+    await waitFor(() => failed);
+    await queue.enqueue('incident_io', 2, {}, options);
+
+    await waitFor(async () => (await queue.getStats()).total === 0);
+    expect(handled.sort()).toEqual([1, 2]);
+  });
+});